@@ -1,13 +1,73 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, useNavigate, useParams } from 'react-router-dom';
 import { DISCLAIMERS } from './disclaimers';
+import { caseAuthHeaders, getCaseToken, resolveCaseToken, saveCaseToken } from './caseAccess';
+import { fetchIntakeSchema, fieldOptions } from './intakeSchema';
 import heroImage from './assets/hero-deposit.png';
 
 const formatValue = (value) => (value ? value : 'Not provided');
 const formatArray = (value) =>
   Array.isArray(value) && value.length > 0 ? value.join(', ') : 'Not provided';
 
+// Dollar amounts are entered as text ("1200", "$1,200.00"); these work in cents.
+const parseDollarAmount = (value) => {
+  const match = /^\$?\s*(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return parseInt(match[1].replace(/,/g, ''), 10) * 100 + (match[2] ? parseInt(match[2].padEnd(2, '0'), 10) : 0);
+};
+const formatDollarAmount = (cents) =>
+  `$${(cents / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
 // Home Page Component
+// Lease uploads are read in the background; the job being polled is kept for
+// the tab so a refresh picks the progress back up.
+const leaseJobStorageKey = 'depositDefender.leaseJob';
+
+const readStoredLeaseJob = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(leaseJobStorageKey));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Where each field read from a lease goes in the intake form.
+const leaseFieldPaths = {
+  tenant_name: 'tenant_information.full_name',
+  property_address: 'property_information.property_address',
+  city: 'property_information.city',
+  zip_code: 'property_information.zip_code',
+  lease_start_date: 'lease_information.lease_start_date',
+  lease_end_date: 'lease_information.lease_end_date',
+  deposit_amount: 'security_deposit_information.deposit_amount',
+};
+
+// Values the server is less sure of are shown next to the field but left for
+// the tenant to enter.
+const leaseAutoFillMinConfidence = 0.6;
+
+// The lease fields ({ value, confidence, snippet, page, ... }) keyed by the
+// intake path they belong to.
+const leaseSourcesByPath = (fields) =>
+  Object.keys(leaseFieldPaths).reduce(
+    (sources, key) => (fields && fields[key] ? { ...sources, [leaseFieldPaths[key]]: fields[key] } : sources),
+    {}
+  );
+
+// Fills empty intake answers from confident lease fields, adding the path of
+// each one it fills to `filledFields`.
+const autoFillFromLease = (prev, fields, filledFields) => {
+  const updated = { ...prev };
+  Object.keys(leaseFieldPaths).forEach((key) => {
+    const field = fields[key];
+    const [group, name] = leaseFieldPaths[key].split('.');
+    if (!field || field.confidence < leaseAutoFillMinConfidence || prev[group][name]) return;
+    updated[group] = { ...updated[group], [name]: field.value };
+    filledFields.add(leaseFieldPaths[key]);
+  });
+  return updated;
+};
+
 function Home() {
   const navigate = useNavigate();
   const [showTerms, setShowTerms] = useState(false);
@@ -23,6 +83,7 @@ function Home() {
             <a href="/blog" className="nav-link">Blog</a>
             <a href="/faq" className="nav-link">FAQ</a>
             <a href="/how-it-works" className="nav-link">How It Works</a>
+            <a href="/find-case" className="nav-link">Find My Case</a>
           </nav>
         </div>
       </header>
@@ -110,10 +171,28 @@ function Home() {
   );
 }
 
+// Lease Source Note Component
+// Shows where in the lease a value was found, under the field it belongs to.
+function LeaseSourceNote({ source, filled }) {
+  if (!source) return null;
+  const uncertain = source.confidence < leaseAutoFillMinConfidence;
+  return (
+    <p className={`mt-1 text-xs ${filled ? 'text-green-700' : 'text-slate-500'}`}>
+      {filled ? 'From your lease' : `Found in your lease: ${source.value}`}
+      {source.page ? ` (page ${source.page})` : ''}
+      {uncertain ? ', not filled in because the match is uncertain' : ''}
+      {source.snippet ? `: “${source.snippet}”` : ''}
+    </p>
+  );
+}
+
 // Intake Page Component
 function IntakePage() {
   const navigate = useNavigate();
+  const { caseId: editCaseId } = useParams();
+  const isEditing = Boolean(editCaseId);
   const apiBaseUrl = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+  const [editStatus, setEditStatus] = useState(isEditing ? 'loading' : 'ready');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitError, setSubmitError] = useState('');
   const [submitErrors, setSubmitErrors] = useState([]);
@@ -124,8 +203,22 @@ function IntakePage() {
   const [leaseSections, setLeaseSections] = useState([]);
   const [leasePreview, setLeasePreview] = useState('');
   const [showLeasePreview, setShowLeasePreview] = useState(false);
+  const [storedLease, setStoredLease] = useState(null);
+  const [leaseJob, setLeaseJob] = useState(readStoredLeaseJob);
+  const [leaseProgress, setLeaseProgress] = useState(null);
   const [intakeMode, setIntakeMode] = useState('manual');
   const [autoFilledFields, setAutoFilledFields] = useState(new Set());
+  const [leaseSources, setLeaseSources] = useState({});
+  const [intakeSchema, setIntakeSchema] = useState(null);
+  const [schemaError, setSchemaError] = useState('');
+  const [draftId, setDraftId] = useState('');
+  const [draftStatus, setDraftStatus] = useState('');
+  // Autosave bookkeeping: the last snapshot sent, the draft id as soon as it is
+  // known, and the chain of in-flight saves so they never overlap.
+  const lastSavedDraft = useRef(null);
+  const draftIdRef = useRef('');
+  const draftRequest = useRef(Promise.resolve());
+  const [notesWarnings, setNotesWarnings] = useState([]);
   const [form, setForm] = useState({
     jurisdiction: 'TX',
     tenant_information: {
@@ -167,6 +260,7 @@ function IntakePage() {
       date_itemized_list_received: '',
       communication_methods_used: [],
     },
+    deductions: [],
     additional_notes: {
       tenant_notes: '',
     },
@@ -176,6 +270,303 @@ function IntakePage() {
     },
   });
 
+  // Edit mode: load the current intake so the tenant can correct it.
+  useEffect(() => {
+    if (!editCaseId) return undefined;
+    let isMounted = true;
+
+    resolveCaseToken(editCaseId);
+    fetch(`${apiBaseUrl}/api/cases/${editCaseId}`, { headers: caseAuthHeaders(editCaseId) })
+      .then((response) => {
+        if (!isMounted) return;
+        if (response.status === 401) {
+          setEditStatus('unauthorized');
+          return;
+        }
+        if (!response.ok) {
+          setEditStatus('not_found');
+          return;
+        }
+        return response.json();
+      })
+      .then((payload) => {
+        if (!isMounted || !payload || payload.status !== 'ok') return;
+        const intake = payload.case.intake || {};
+        setForm((prev) => {
+          const next = { ...prev };
+          Object.keys(prev).forEach((key) => {
+            next[key] = typeof prev[key] === 'object' && !Array.isArray(prev[key])
+              ? { ...prev[key], ...(intake[key] || {}) }
+              : intake[key] ?? prev[key];
+          });
+          return next;
+        });
+        setIntakeMode('manual');
+        setEditStatus('ready');
+      })
+      .catch(() => {
+        if (isMounted) {
+          setEditStatus('error');
+        }
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [apiBaseUrl, editCaseId]);
+
+  useEffect(() => {
+    let isMounted = true;
+    fetchIntakeSchema(apiBaseUrl)
+      .then((schema) => {
+        if (isMounted) setIntakeSchema(schema);
+      })
+      .catch((error) => {
+        if (isMounted) setSchemaError(error.message);
+      });
+    return () => {
+      isMounted = false;
+    };
+  }, [apiBaseUrl]);
+
+  // Resume a saved draft from /intake?draft=<id>.
+  useEffect(() => {
+    if (editCaseId) return undefined;
+    const resumeId = new URLSearchParams(window.location.search).get('draft');
+    if (!resumeId) return undefined;
+    let isMounted = true;
+
+    resolveCaseToken(resumeId);
+    fetch(`${apiBaseUrl}/api/drafts/${resumeId}`, { headers: caseAuthHeaders(resumeId) })
+      .then((response) => response.json().then((data) => ({ response, data })))
+      .then(({ response, data }) => {
+        if (!isMounted) return;
+        if (response.status === 409) {
+          navigate(`/review/${resumeId}`);
+          return;
+        }
+        if (!response.ok) {
+          setDraftStatus('unavailable');
+          return;
+        }
+
+        const { intake, lease } = data.draft;
+        setForm((prev) => {
+          const next = { ...prev };
+          Object.keys(prev).forEach((key) => {
+            next[key] = typeof prev[key] === 'object' && !Array.isArray(prev[key])
+              ? { ...prev[key], ...((intake && intake[key]) || {}) }
+              : (intake && intake[key]) ?? prev[key];
+          });
+          return next;
+        });
+        if (lease) {
+          setLeaseSections(Array.isArray(lease.sections) ? lease.sections : []);
+          setLeasePreview(lease.preview || '');
+          setAutoFilledFields(new Set(lease.autoFilledFields || []));
+          if (lease.sections && lease.sections.length > 0) {
+            setLeaseStatus('ready');
+          }
+        }
+        draftIdRef.current = resumeId;
+        lastSavedDraft.current = null;
+        setDraftId(resumeId);
+        setIntakeMode('manual');
+        setDraftStatus('saved');
+
+        return fetch(`${apiBaseUrl}/api/cases/${resumeId}/lease`, { headers: caseAuthHeaders(resumeId) })
+          .then((leaseResponse) => (leaseResponse.ok ? leaseResponse.json() : null))
+          .then((leaseData) => {
+            if (isMounted && leaseData && leaseData.lease) {
+              setStoredLease(leaseData.lease);
+              setLeaseSources(leaseSourcesByPath(leaseData.lease.fields));
+              // Drafts saved before the lease finished reading have no sections yet.
+              const storedSections = leaseData.lease.sections || [];
+              if ((!lease || !lease.sections || lease.sections.length === 0) && storedSections.length > 0) {
+                setLeaseSections(storedSections);
+                setLeasePreview(leaseData.lease.preview || '');
+                setLeaseStatus('ready');
+              }
+            }
+          });
+      })
+      .catch(() => {
+        if (isMounted) {
+          setDraftStatus('unavailable');
+        }
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [apiBaseUrl, editCaseId, navigate]);
+
+  useEffect(() => {
+    if (leaseJob) {
+      window.sessionStorage.setItem(leaseJobStorageKey, JSON.stringify(leaseJob));
+    } else {
+      window.sessionStorage.removeItem(leaseJobStorageKey);
+    }
+  }, [leaseJob]);
+
+  // Poll the lease being read until it is done, then show what was found.
+  useEffect(() => {
+    if (!leaseJob) return undefined;
+    let isMounted = true;
+    let pollTimer = null;
+    setLeaseStatus('uploading');
+
+    const finishJob = (status, message) => {
+      setLeaseJob(null);
+      setLeaseProgress(null);
+      setLeaseStatus(status);
+      setLeaseMessage(message);
+    };
+
+    const poll = async () => {
+      try {
+        const response = await fetch(`${apiBaseUrl}/api/extraction-jobs/${leaseJob.jobId}`, {
+          headers: leaseJob.caseId ? caseAuthHeaders(leaseJob.caseId) : {},
+        });
+        const data = await response.json();
+        if (!isMounted) return;
+        if (!response.ok) {
+          finishJob('error', data.message || 'Unable to upload lease right now.');
+          return;
+        }
+
+        const { job } = data;
+        if (job.state === 'failed') {
+          finishJob('error', job.error || 'Unable to upload lease right now.');
+          return;
+        }
+        if (job.state === 'completed') {
+          const result = job.result || {};
+          finishJob('ready', result.message || '');
+          setLeaseSections(Array.isArray(result.sections) ? result.sections : []);
+          setLeasePreview(result.preview || '');
+          if (result.lease) {
+            setStoredLease(result.lease);
+          }
+          // Auto-fill form fields the lease is clear about
+          const fields = result.fields || {};
+          setLeaseSources(leaseSourcesByPath(fields));
+          if (Object.keys(fields).length > 0) {
+            const filledFields = new Set();
+            setForm((prev) => autoFillFromLease(prev, fields, filledFields));
+            setAutoFilledFields(filledFields);
+          }
+          return;
+        }
+        setLeaseProgress(job);
+      } catch (error) {
+        // A dropped connection is retried on the next poll.
+        if (!isMounted) return;
+      }
+      pollTimer = setTimeout(poll, 1000);
+    };
+
+    poll();
+    return () => {
+      isMounted = false;
+      clearTimeout(pollTimer);
+    };
+  }, [apiBaseUrl, leaseJob]);
+
+  // Autosave the form a few seconds after the last change.
+  useEffect(() => {
+    if (isEditing || caseId || editStatus !== 'ready') return undefined;
+
+    const body = {
+      intake: form,
+      lease: {
+        sections: leaseSections,
+        preview: leasePreview,
+        autoFilledFields: Array.from(autoFilledFields),
+      },
+    };
+    const snapshot = JSON.stringify(body);
+    if (lastSavedDraft.current === null) {
+      lastSavedDraft.current = snapshot;
+      return undefined;
+    }
+    if (snapshot === lastSavedDraft.current) return undefined;
+
+    const persistDraft = async () => {
+      const existingId = draftIdRef.current;
+      const response = await fetch(
+        existingId ? `${apiBaseUrl}/api/drafts/${existingId}` : `${apiBaseUrl}/api/drafts`,
+        {
+          method: existingId ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(existingId ? caseAuthHeaders(existingId) : {}),
+          },
+          body: snapshot,
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Unable to save your progress.');
+      }
+      if (!existingId) {
+        draftIdRef.current = data.draft.draftId;
+        saveCaseToken(data.draft.draftId, data.accessToken);
+        setDraftId(data.draft.draftId);
+        // Refreshing the page now resumes this draft.
+        window.history.replaceState(null, '', `/intake?draft=${data.draft.draftId}`);
+      }
+      lastSavedDraft.current = snapshot;
+      setDraftStatus('saved');
+    };
+
+    const timer = setTimeout(() => {
+      setDraftStatus('saving');
+      draftRequest.current = draftRequest.current
+        .then(persistDraft)
+        .catch(() => setDraftStatus('error'));
+    }, 3000);
+
+    return () => clearTimeout(timer);
+  }, [
+    apiBaseUrl,
+    autoFilledFields,
+    caseId,
+    editStatus,
+    form,
+    isEditing,
+    leasePreview,
+    leaseSections,
+  ]);
+
+  // Warn about wording the documents cannot include while the notes are typed.
+  const tenantNotes = form.additional_notes.tenant_notes;
+  useEffect(() => {
+    if (!tenantNotes.trim()) {
+      setNotesWarnings([]);
+      return undefined;
+    }
+    let isMounted = true;
+
+    const timer = setTimeout(() => {
+      fetch(`${apiBaseUrl}/api/lint`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: tenantNotes }),
+      })
+        .then((response) => (response.ok ? response.json() : null))
+        .then((data) => {
+          if (isMounted && data) setNotesWarnings(data.violations);
+        })
+        .catch(() => {});
+    }, 600);
+
+    return () => {
+      isMounted = false;
+      clearTimeout(timer);
+    };
+  }, [apiBaseUrl, tenantNotes]);
+
   const toggleCommunicationMethod = (method) => {
     setForm((prev) => {
       const current = prev.post_move_out_communications.communication_methods_used;
@@ -193,6 +584,51 @@ function IntakePage() {
     });
   };
 
+  const addDeduction = () => {
+    setForm((prev) => ({
+      ...prev,
+      deductions: [...prev.deductions, { description: '', category: 'cleaning', amount: '', tenant_note: '' }],
+    }));
+  };
+
+  const updateDeduction = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      deductions: prev.deductions.map((deduction, position) =>
+        position === index ? { ...deduction, [field]: value } : deduction
+      ),
+    }));
+  };
+
+  const removeDeduction = (index) => {
+    setForm((prev) => ({
+      ...prev,
+      deductions: prev.deductions.filter((deduction, position) => position !== index),
+    }));
+  };
+
+  // Mirrors the server check: listed deductions should add up to the deposit
+  // minus what was returned. Null when the amounts are not filled in yet.
+  const deductionsCheck = (() => {
+    if (form.deductions.length === 0) return null;
+    const deposit = parseDollarAmount(form.security_deposit_information.deposit_amount);
+    if (deposit === null) return null;
+    const returnedValue = form.security_deposit_information.amount_returned;
+    let withheld = deposit;
+    if (returnedValue) {
+      const returned = parseDollarAmount(returnedValue);
+      if (returned === null) return null;
+      withheld = deposit - returned;
+    } else if (form.security_deposit_information.deposit_returned === 'yes') {
+      withheld = 0;
+    }
+    const total = form.deductions.reduce(
+      (sum, deduction) => sum + (parseDollarAmount(deduction.amount) || 0),
+      0
+    );
+    return { total, withheld, matches: total === withheld };
+  })();
+
   const normalizeYesNoUnknown = (value) =>
     ['yes', 'no', 'unknown'].includes(value) ? value : 'unknown';
 
@@ -229,12 +665,31 @@ function IntakePage() {
         },
       };
 
-      const response = await fetch(`${apiBaseUrl}/api/cases`, {
-        method: 'POST',
+      // Let any autosave in flight finish so the draft id is settled.
+      await draftRequest.current;
+      const currentDraftId = draftIdRef.current;
+
+      let endpoint = `${apiBaseUrl}/api/cases`;
+      let method = 'POST';
+      let authHeaders = {};
+      let body = payload;
+      if (isEditing) {
+        endpoint = `${apiBaseUrl}/api/cases/${editCaseId}`;
+        method = 'PATCH';
+        authHeaders = caseAuthHeaders(editCaseId);
+      } else if (currentDraftId) {
+        endpoint = `${apiBaseUrl}/api/drafts/${currentDraftId}/submit`;
+        authHeaders = caseAuthHeaders(currentDraftId);
+        body = { intake: payload };
+      }
+
+      const response = await fetch(endpoint, {
+        method,
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders,
         },
-        body: JSON.stringify(payload),
+        body: JSON.stringify(body),
       });
 
       const data = await response.json();
@@ -245,6 +700,17 @@ function IntakePage() {
         return;
       }
 
+      if (isEditing) {
+        // Edits never re-charge: paid cases go straight back to their documents.
+        navigate(
+          data.case && data.case.paymentStatus === 'paid'
+            ? `/download/${editCaseId}`
+            : `/review/${editCaseId}`
+        );
+        return;
+      }
+
+      saveCaseToken(data.caseId, data.accessToken);
       setCaseId(data.caseId || '');
       setLeaseFile(null);
       setLeaseStatus('');
@@ -282,11 +748,34 @@ function IntakePage() {
       const formData = new FormData();
       formData.append('lease', leaseFile);
 
-      const endpoint = caseId
-        ? `${apiBaseUrl}/api/cases/${caseId}/lease`
+      // Leases are stored with the case, so a draft is started first if there
+      // is none yet (queued behind any autosave that might be creating one).
+      // Without a draft the lease is only read, not stored.
+      const startDraft = draftRequest.current.then(async () => {
+        if (caseId || draftIdRef.current) return;
+        const draftResponse = await fetch(`${apiBaseUrl}/api/drafts`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ intake: form }),
+        });
+        const draftData = await draftResponse.json();
+        if (draftResponse.ok) {
+          draftIdRef.current = draftData.draft.draftId;
+          saveCaseToken(draftData.draft.draftId, draftData.accessToken);
+          setDraftId(draftData.draft.draftId);
+          window.history.replaceState(null, '', `/intake?draft=${draftData.draft.draftId}`);
+        }
+      }).catch(() => {});
+      draftRequest.current = startDraft;
+      await startDraft;
+
+      const leaseCaseId = caseId || draftIdRef.current;
+      const endpoint = leaseCaseId
+        ? `${apiBaseUrl}/api/cases/${leaseCaseId}/lease`
         : `${apiBaseUrl}/api/cases/lease-extract`;
       const response = await fetch(endpoint, {
         method: 'POST',
+        headers: leaseCaseId ? caseAuthHeaders(leaseCaseId) : {},
         body: formData,
       });
 
@@ -297,83 +786,51 @@ function IntakePage() {
         return;
       }
 
-      setLeaseStatus('ready');
-      setLeaseMessage(data.message || '');
-      setLeaseSections(Array.isArray(data.sections) ? data.sections : []);
-      setLeasePreview(data.preview || '');
-
-      // Auto-fill form fields from extracted data
-      if (data.extractedData && Object.keys(data.extractedData).length > 0) {
-        const extracted = data.extractedData;
-        const filledFields = new Set();
-
-        setForm((prev) => {
-          const updated = { ...prev };
-
-          if (extracted.tenant_name && !prev.tenant_information.full_name) {
-            updated.tenant_information = {
-              ...prev.tenant_information,
-              full_name: extracted.tenant_name,
-            };
-            filledFields.add('tenant_information.full_name');
-          }
-
-          if (extracted.property_address && !prev.property_information.property_address) {
-            updated.property_information = {
-              ...prev.property_information,
-              property_address: extracted.property_address,
-            };
-            filledFields.add('property_information.property_address');
-          }
-
-          if (extracted.city && !prev.property_information.city) {
-            updated.property_information = {
-              ...updated.property_information,
-              city: extracted.city,
-            };
-            filledFields.add('property_information.city');
-          }
-
-          if (extracted.zip_code && !prev.property_information.zip_code) {
-            updated.property_information = {
-              ...updated.property_information,
-              zip_code: extracted.zip_code,
-            };
-            filledFields.add('property_information.zip_code');
-          }
-
-          if (extracted.lease_start_date && !prev.lease_information.lease_start_date) {
-            updated.lease_information = {
-              ...prev.lease_information,
-              lease_start_date: extracted.lease_start_date,
-            };
-            filledFields.add('lease_information.lease_start_date');
-          }
-
-          if (extracted.lease_end_date && !prev.lease_information.lease_end_date) {
-            updated.lease_information = {
-              ...updated.lease_information,
-              lease_end_date: extracted.lease_end_date,
-            };
-            filledFields.add('lease_information.lease_end_date');
-          }
-
-          if (extracted.deposit_amount && !prev.security_deposit_information.deposit_amount) {
-            updated.security_deposit_information = {
-              ...prev.security_deposit_information,
-              deposit_amount: extracted.deposit_amount,
-            };
-            filledFields.add('security_deposit_information.deposit_amount');
-          }
+      // The lease is read in the background; the polling effect takes it from here.
+      setLeaseProgress(data.job);
+      setLeaseJob({ jobId: data.jobId, caseId: leaseCaseId || null });
+    } catch (error) {
+      setLeaseStatus('error');
+      setLeaseMessage('Unable to upload lease right now.');
+    }
+  };
 
-          return updated;
-        });
+  // Deletes the stored lease file and everything extracted from it. Answers
+  // already filled in from the lease stay in the form.
+  const handleLeaseDelete = async () => {
+    const leaseCaseId = caseId || draftIdRef.current;
+    if (
+      !leaseCaseId ||
+      !window.confirm('Delete your uploaded lease and the text extracted from it? Answers already filled in will stay.')
+    ) {
+      return;
+    }
 
-        setAutoFilledFields(filledFields);
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/cases/${leaseCaseId}/lease`, {
+        method: 'DELETE',
+        headers: caseAuthHeaders(leaseCaseId),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setLeaseStatus('error');
+        setLeaseMessage(data.message || 'Unable to delete your lease right now.');
+        return;
       }
+
+      setStoredLease(null);
+      setLeaseSources({});
+      setLeaseFile(null);
+      setLeaseSections([]);
+      setLeasePreview('');
+      setShowLeasePreview(false);
+      setAutoFilledFields(new Set());
+      setIntakeMode('manual');
+      setLeaseStatus('');
+      setLeaseMessage(data.message || '');
     } catch (error) {
       setLeaseStatus('error');
-      setLeaseMessage('Unable to upload lease right now.');
+      setLeaseMessage('Unable to delete your lease right now.');
     }
   };
 
@@ -400,108 +857,185 @@ function IntakePage() {
 
       <main className="container py-12">
         <div className="form-card">
-          <h2 className="text-3xl font-bold text-slate-900 mb-2">Texas Intake</h2>
+          <h2 className="text-3xl font-bold text-slate-900 mb-2">
+            {isEditing ? 'Edit Your Intake' : 'Texas Intake'}
+          </h2>
           <p className="text-slate-600 mb-8">
             This intake is for Texas residential leases only. The information you enter is used to
             prepare a non-legal, informational document.
           </p>
 
-          <section className="mb-10">
-            <h3 className="text-xl font-semibold text-gray-900 mb-6">Choose how to begin</h3>
+          {schemaError ? (
+            <p className="text-red-600 mb-8">{schemaError} Please refresh the page to try again.</p>
+          ) : null}
 
-            {/* Upload Lease - Primary Option */}
-            <div className="mb-6">
-              <div className="card p-6">
-                <h4 className="text-lg font-semibold text-slate-900 mb-4">Upload your lease</h4>
-                <p className="text-sm text-gray-600 mb-4">
-                  PDF or image. Maximum file size: 10MB.
-                </p>
-                <div className="flex flex-col gap-3 sm:flex-row sm:items-center">
-                  <input
-                    type="file"
-                    accept=".pdf,image/*"
-                    onChange={(event) => {
-                      setLeaseFile(event.target.files[0] || null);
-                      if (event.target.files[0]) {
-                        setIntakeMode('upload');
-                      }
-                    }}
-                    className="block w-full text-sm text-slate-600"
-                  />
-                  <button
-                    type="button"
-                    onClick={handleLeaseUpload}
-                    disabled={!leaseFile}
-                    className="cta-primary text-sm px-8"
-                  >
-                    Upload lease
-                  </button>
-                </div>
-                {leaseStatus === 'uploading' ? (
-                  <p className="text-sm text-slate-600 mt-3">Uploading...</p>
-                ) : null}
-                {leaseMessage ? (
-                  <p
-                    className={
-                      leaseStatus === 'error'
-                        ? 'text-sm text-red-600 mt-3'
-                        : 'text-sm text-slate-700 mt-3'
-                    }
-                  >
-                    {leaseMessage}
+          {draftStatus === 'unavailable' ? (
+            <p className="text-red-600 mb-8">
+              We could not reopen that saved draft. The link may be missing its access key, or the
+              draft was deleted after 30 days without changes.
+            </p>
+          ) : null}
+
+          {isEditing && editStatus === 'loading' ? (
+            <p className="text-gray-600 mb-8">Loading your case...</p>
+          ) : null}
+
+          {isEditing && editStatus === 'unauthorized' ? (
+            <p className="text-red-600 mb-8">
+              This link does not include access to the case. Please open it from the browser you
+              used to submit your intake, or use the private link you saved.
+            </p>
+          ) : null}
+
+          {isEditing && (editStatus === 'not_found' || editStatus === 'error') ? (
+            <p className="text-red-600 mb-8">Unable to load this case right now.</p>
+          ) : null}
+
+          {!isEditing ? (
+            <section className="mb-10">
+              <h3 className="text-xl font-semibold text-gray-900 mb-6">Choose how to begin</h3>
+
+              {/* Upload Lease - Primary Option */}
+              <div className="mb-6">
+                <div className="card p-6">
+                  <h4 className="text-lg font-semibold text-slate-900 mb-4">Upload your lease</h4>
+                  <p className="text-sm text-gray-600 mb-4">
+                    PDF or image. Maximum file size: 10MB.
                   </p>
-                ) : null}
-                {visibleLeaseSections.length > 0 ? (
-                  <div className="space-y-3 mt-4">
-                    {visibleLeaseSections.map((section) => (
-                      <div key={section.topic} className="bg-slate-50 rounded-lg p-4">
-                        <p className="text-sm font-semibold text-slate-900">{section.topic}</p>
-                        <p className="mt-2 text-sm text-slate-700">{section.summary}</p>
-                        {section.excerpts && section.excerpts.length > 0 ? (
-                          <ul className="mt-3 space-y-2 text-sm text-slate-600">
-                            {section.excerpts.map((excerpt, index) => (
-                              <li key={`${section.topic}-${index}`} className="border-l border-slate-300 pl-3">
-                                {excerpt}
-                              </li>
-                            ))}
-                          </ul>
-                        ) : null}
-                      </div>
-                    ))}
-                  </div>
-                ) : null}
-                {leasePreview ? (
-                  <div className="mt-4">
+                  <div className="flex flex-col gap-3 sm:flex-row sm:items-center">
+                    <input
+                      type="file"
+                      accept=".pdf,image/*"
+                      onChange={(event) => {
+                        setLeaseFile(event.target.files[0] || null);
+                        if (event.target.files[0]) {
+                          setIntakeMode('upload');
+                        }
+                      }}
+                      className="block w-full text-sm text-slate-600"
+                    />
                     <button
                       type="button"
-                      onClick={() => setShowLeasePreview((prev) => !prev)}
-                      className="btn-outline text-xs uppercase tracking-wide"
+                      onClick={handleLeaseUpload}
+                      disabled={!leaseFile || leaseStatus === 'uploading'}
+                      className="cta-primary text-sm px-8"
                     >
-                      {showLeasePreview ? 'Hide extracted text preview' : 'Show extracted text preview'}
+                      Upload lease
                     </button>
-                    {showLeasePreview ? (
-                      <p className="mt-3 whitespace-pre-wrap text-xs text-slate-600 bg-slate-50 p-3 rounded">{leasePreview}</p>
-                    ) : null}
                   </div>
-                ) : null}
+                  {leaseStatus === 'uploading' ? (
+                    <div className="mt-3">
+                      <div className="flex justify-between gap-3 text-sm text-slate-600">
+                        <span>
+                          {leaseProgress ? leaseProgress.stageLabel : 'Uploading...'}
+                          {leaseProgress && leaseProgress.pages
+                            ? ` (page ${leaseProgress.page} of ${leaseProgress.pages})`
+                            : ''}
+                        </span>
+                        <span>{leaseProgress ? `${leaseProgress.percent}%` : ''}</span>
+                      </div>
+                      <div
+                        className="progress-track mt-2"
+                        role="progressbar"
+                        aria-label="Lease upload progress"
+                        aria-valuemin={0}
+                        aria-valuemax={100}
+                        aria-valuenow={leaseProgress ? leaseProgress.percent : 0}
+                      >
+                        <div
+                          className="progress-fill"
+                          style={{ width: `${leaseProgress ? leaseProgress.percent : 0}%` }}
+                        />
+                      </div>
+                      {leaseProgress && leaseProgress.position > 0 ? (
+                        <p className="text-xs text-slate-500 mt-2">
+                          Your lease is number {leaseProgress.position} in line.
+                        </p>
+                      ) : null}
+                    </div>
+                  ) : null}
+                  {leaseMessage ? (
+                    <p
+                      className={
+                        leaseStatus === 'error'
+                          ? 'text-sm text-red-600 mt-3'
+                          : 'text-sm text-slate-700 mt-3'
+                      }
+                    >
+                      {leaseMessage}
+                    </p>
+                  ) : null}
+                  {storedLease ? (
+                    <div className="mt-3 flex flex-wrap items-center gap-3 text-sm text-slate-600">
+                      <span>
+                        Saved with your intake: {storedLease.filename} (uploaded{' '}
+                        {String(storedLease.uploadedAt || '').slice(0, 10)})
+                      </span>
+                      <button
+                        type="button"
+                        onClick={handleLeaseDelete}
+                        className="text-xs text-red-700 underline"
+                      >
+                        Delete lease
+                      </button>
+                    </div>
+                  ) : null}
+                  {visibleLeaseSections.length > 0 ? (
+                    <div className="space-y-3 mt-4">
+                      {visibleLeaseSections.map((section) => (
+                        <div key={section.topic} className="bg-slate-50 rounded-lg p-4">
+                          <p className="text-sm font-semibold text-slate-900">{section.topic}</p>
+                          <p className="mt-2 text-sm text-slate-700">{section.summary}</p>
+                          {section.excerpts && section.excerpts.length > 0 ? (
+                            <ul className="mt-3 space-y-2 text-sm text-slate-600">
+                              {section.excerpts.map((excerpt, index) => (
+                                <li key={`${section.topic}-${index}`} className="border-l border-slate-300 pl-3">
+                                  {/* Older drafts kept excerpts as plain strings. */}
+                                  {typeof excerpt === 'string' ? excerpt : excerpt.text}
+                                  {excerpt.page ? (
+                                    <span className="ml-2 text-xs text-slate-400">(page {excerpt.page})</span>
+                                  ) : null}
+                                </li>
+                              ))}
+                            </ul>
+                          ) : null}
+                        </div>
+                      ))}
+                    </div>
+                  ) : null}
+                  {leasePreview ? (
+                    <div className="mt-4">
+                      <button
+                        type="button"
+                        onClick={() => setShowLeasePreview((prev) => !prev)}
+                        className="btn-outline text-xs uppercase tracking-wide"
+                      >
+                        {showLeasePreview ? 'Hide extracted text preview' : 'Show extracted text preview'}
+                      </button>
+                      {showLeasePreview ? (
+                        <p className="mt-3 whitespace-pre-wrap text-xs text-slate-600 bg-slate-50 p-3 rounded">{leasePreview}</p>
+                      ) : null}
+                    </div>
+                  ) : null}
+                </div>
               </div>
-            </div>
 
-            {/* Manual Entry - Secondary Option */}
-            <div className="text-center">
-              <p className="text-sm text-slate-500 mb-3">or</p>
-              <button
-                type="button"
-                onClick={() => setIntakeMode('manual')}
-                className={`btn-outline text-sm px-6 py-3 ${intakeMode === 'manual' ? 'bg-slate-100 border-slate-400' : ''}`}
-              >
-                Enter information manually
-              </button>
-            </div>
-          </section>
+              {/* Manual Entry - Secondary Option */}
+              <div className="text-center">
+                <p className="text-sm text-slate-500 mb-3">or</p>
+                <button
+                  type="button"
+                  onClick={() => setIntakeMode('manual')}
+                  className={`btn-outline text-sm px-6 py-3 ${intakeMode === 'manual' ? 'bg-slate-100 border-slate-400' : ''}`}
+                >
+                  Enter information manually
+                </button>
+              </div>
+            </section>
+          ) : null}
 
           <form onSubmit={handleSubmit} className="space-y-8">
-            {(intakeMode === 'manual' || leaseStatus === 'ready') ? (
+            {(intakeMode === 'manual' || leaseStatus === 'ready') && editStatus === 'ready' ? (
               <>
               <section className="space-y-4">
                 <h3 className="text-xl font-semibold text-gray-900">Tenant Information</h3>
@@ -530,6 +1064,10 @@ function IntakePage() {
                       autoFilledFields.has('tenant_information.full_name') ? 'bg-green-50' : ''
                     }`}
                   />
+                  <LeaseSourceNote
+                    source={leaseSources['tenant_information.full_name']}
+                    filled={autoFilledFields.has('tenant_information.full_name')}
+                  />
                 </label>
                 <label className="block">
                   <span className="text-sm font-medium text-gray-700">Email</span>
@@ -596,6 +1134,10 @@ function IntakePage() {
                       autoFilledFields.has('property_information.property_address') ? 'bg-green-50' : ''
                     }`}
                   />
+                  <LeaseSourceNote
+                    source={leaseSources['property_information.property_address']}
+                    filled={autoFilledFields.has('property_information.property_address')}
+                  />
                 </label>
                 <label className="block">
                   <span className="text-sm font-medium text-gray-700">
@@ -621,6 +1163,10 @@ function IntakePage() {
                       autoFilledFields.has('property_information.city') ? 'bg-green-50' : ''
                     }`}
                   />
+                  <LeaseSourceNote
+                    source={leaseSources['property_information.city']}
+                    filled={autoFilledFields.has('property_information.city')}
+                  />
                 </label>
                 <label className="block">
                   <span className="text-sm font-medium text-gray-700">
@@ -646,6 +1192,10 @@ function IntakePage() {
                       autoFilledFields.has('property_information.zip_code') ? 'bg-green-50' : ''
                     }`}
                   />
+                  <LeaseSourceNote
+                    source={leaseSources['property_information.zip_code']}
+                    filled={autoFilledFields.has('property_information.zip_code')}
+                  />
                 </label>
                 <label className="block">
                   <span className="text-sm font-medium text-gray-700">County</span>
@@ -725,6 +1275,25 @@ function IntakePage() {
                     className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
                   />
                 </label>
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">State</span>
+                  <input
+                    type="text"
+                    required
+                    maxLength={2}
+                    value={form.landlord_information.landlord_state}
+                    onChange={(event) =>
+                      setForm((prev) => ({
+                        ...prev,
+                        landlord_information: {
+                          ...prev.landlord_information,
+                          landlord_state: event.target.value.toUpperCase(),
+                        },
+                      }))
+                    }
+                    className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
+                  />
+                </label>
                 <label className="block">
                   <span className="text-sm font-medium text-gray-700">ZIP code</span>
                   <input
@@ -773,6 +1342,10 @@ function IntakePage() {
                       autoFilledFields.has('lease_information.lease_start_date') ? 'bg-green-50' : ''
                     }`}
                   />
+                  <LeaseSourceNote
+                    source={leaseSources['lease_information.lease_start_date']}
+                    filled={autoFilledFields.has('lease_information.lease_start_date')}
+                  />
                 </label>
                 <label className="block">
                   <span className="text-sm font-medium text-gray-700">
@@ -798,6 +1371,10 @@ function IntakePage() {
                       autoFilledFields.has('lease_information.lease_end_date') ? 'bg-green-50' : ''
                     }`}
                   />
+                  <LeaseSourceNote
+                    source={leaseSources['lease_information.lease_end_date']}
+                    filled={autoFilledFields.has('lease_information.lease_end_date')}
+                  />
                 </label>
                 <label className="block">
                   <span className="text-sm font-medium text-gray-700">Lease type</span>
@@ -814,9 +1391,11 @@ function IntakePage() {
                     }
                     className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
                   >
-                    <option value="written">Written</option>
-                    <option value="oral">Oral</option>
-                    <option value="unknown">Unknown</option>
+                    {fieldOptions(intakeSchema, 'lease_information.lease_type').map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
                   </select>
                 </label>
               </div>
@@ -867,9 +1446,11 @@ function IntakePage() {
                     }
                     className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
                   >
-                    <option value="yes">Yes</option>
-                    <option value="no">No</option>
-                    <option value="unknown">Unknown</option>
+                    {fieldOptions(intakeSchema, 'move_out_information.forwarding_address_provided').map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
                   </select>
                 </label>
                 <label className="block">
@@ -921,6 +1502,10 @@ function IntakePage() {
                       autoFilledFields.has('security_deposit_information.deposit_amount') ? 'bg-green-50' : ''
                     }`}
                   />
+                  <LeaseSourceNote
+                    source={leaseSources['security_deposit_information.deposit_amount']}
+                    filled={autoFilledFields.has('security_deposit_information.deposit_amount')}
+                  />
                 </label>
                 <label className="block">
                   <span className="text-sm font-medium text-gray-700">Deposit paid date (optional)</span>
@@ -954,9 +1539,11 @@ function IntakePage() {
                     }
                     className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
                   >
-                    <option value="no">No</option>
-                    <option value="partial">Partial</option>
-                    <option value="yes">Yes</option>
+                    {fieldOptions(intakeSchema, 'security_deposit_information.deposit_returned').map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
                   </select>
                 </label>
                 <label className="block sm:col-span-2">
@@ -999,9 +1586,11 @@ function IntakePage() {
                     }
                     className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
                   >
-                    <option value="unknown">Unknown</option>
-                    <option value="no">No</option>
-                    <option value="yes">Yes</option>
+                    {fieldOptions(intakeSchema, 'post_move_out_communications.itemized_deductions_received').map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
                   </select>
                 </label>
                 <label className="block">
@@ -1027,27 +1616,99 @@ function IntakePage() {
               <div className="space-y-2">
                 <p className="text-sm font-medium text-gray-700">Communication methods used</p>
                 <div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
-                  {['email', 'mail', 'text', 'other'].map((method) => (
-                    <label key={method} className="flex items-center space-x-2 text-sm text-gray-700">
-                      <input
-                        type="checkbox"
-                        checked={form.post_move_out_communications.communication_methods_used.includes(method)}
-                        onChange={() => toggleCommunicationMethod(method)}
-                        className="rounded border-gray-300"
-                      />
-                      <span className="capitalize">{method}</span>
-                    </label>
-                  ))}
+                  {fieldOptions(intakeSchema, 'post_move_out_communications.communication_methods_used').map(
+                    (method) => (
+                      <label key={method.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={form.post_move_out_communications.communication_methods_used.includes(method.value)}
+                          onChange={() => toggleCommunicationMethod(method.value)}
+                          className="rounded border-gray-300"
+                        />
+                        <span>{method.label}</span>
+                      </label>
+                    )
+                  )}
                 </div>
               </div>
             </section>
 
             <section className="space-y-4">
-              <h3 className="text-xl font-semibold text-gray-900">Additional Notes</h3>
-              <label className="block">
-                <span className="text-sm font-medium text-gray-700">Tenant notes (optional)</span>
-                <textarea
-                  value={form.additional_notes.tenant_notes}
+              <h3 className="text-xl font-semibold text-gray-900">Deductions Claimed (optional)</h3>
+              <p className="text-sm text-gray-600">
+                List each amount you understand was deducted from your deposit. The total should match your
+                deposit amount minus any amount returned.
+              </p>
+              {form.deductions.map((deduction, index) => (
+                <div key={index} className="rounded-md border border-gray-200 p-4 space-y-3">
+                  <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                    <label className="block sm:col-span-2">
+                      <span className="text-sm font-medium text-gray-700">What was deducted</span>
+                      <input
+                        type="text"
+                        required
+                        value={deduction.description}
+                        onChange={(event) => updateDeduction(index, 'description', event.target.value)}
+                        className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="text-sm font-medium text-gray-700">Amount</span>
+                      <input
+                        type="text"
+                        required
+                        inputMode="decimal"
+                        value={deduction.amount}
+                        onChange={(event) => updateDeduction(index, 'amount', event.target.value)}
+                        className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="text-sm font-medium text-gray-700">Category</span>
+                      <select
+                        value={deduction.category}
+                        onChange={(event) => updateDeduction(index, 'category', event.target.value)}
+                        className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
+                      >
+                        {fieldOptions(intakeSchema, 'deductions.category').map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="block sm:col-span-2">
+                      <span className="text-sm font-medium text-gray-700">Your note (optional)</span>
+                      <input
+                        type="text"
+                        value={deduction.tenant_note}
+                        onChange={(event) => updateDeduction(index, 'tenant_note', event.target.value)}
+                        className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
+                      />
+                    </label>
+                  </div>
+                  <button type="button" onClick={() => removeDeduction(index)} className="btn-outline text-sm">
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button type="button" onClick={addDeduction} className="btn-outline">
+                Add a deduction
+              </button>
+              {deductionsCheck ? (
+                <p className={`text-sm ${deductionsCheck.matches ? 'text-gray-600' : 'text-red-600'}`}>
+                  Deductions total {formatDollarAmount(deductionsCheck.total)} of{' '}
+                  {formatDollarAmount(deductionsCheck.withheld)} kept from your deposit.
+                </p>
+              ) : null}
+            </section>
+
+            <section className="space-y-4">
+              <h3 className="text-xl font-semibold text-gray-900">Additional Notes</h3>
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">Tenant notes (optional)</span>
+                <textarea
+                  value={form.additional_notes.tenant_notes}
                   onChange={(event) =>
                     setForm((prev) => ({
                       ...prev,
@@ -1061,6 +1722,21 @@ function IntakePage() {
                   className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
                 />
               </label>
+              {notesWarnings.length > 0 ? (
+                <div className="notice-card text-sm text-gray-700 space-y-1">
+                  <p className="font-medium text-red-600">
+                    Your documents cannot include this wording. Please describe what happened in your own
+                    words instead:
+                  </p>
+                  <ul className="list-disc pl-5">
+                    {notesWarnings.map((warning) => (
+                      <li key={`${warning.start}-${warning.phrase}`}>
+                        “{warning.text}” ({warning.category.toLowerCase()})
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : null}
             </section>
 
             <section className="space-y-4">
@@ -1118,6 +1794,25 @@ function IntakePage() {
               </div>
             ) : null}
 
+            {!caseId && !isEditing && draftId ? (
+              <div className="rounded-md border border-slate-200 bg-slate-50 p-3 text-sm text-slate-700">
+                <p>
+                  {draftStatus === 'saving' ? 'Saving your progress...' : null}
+                  {draftStatus === 'saved' ? 'Your progress is saved automatically.' : null}
+                  {draftStatus === 'error' ? 'Your latest changes could not be saved yet.' : null}
+                </p>
+                <p className="mt-2 break-all">
+                  To finish later, keep this private link:{' '}
+                  <a
+                    href={`/intake?draft=${draftId}&token=${getCaseToken(draftId)}`}
+                    className="underline"
+                  >
+                    {`${window.location.origin}/intake?draft=${draftId}&token=${getCaseToken(draftId)}`}
+                  </a>
+                </p>
+              </div>
+            ) : null}
+
             {caseId ? (
               <div className="rounded-md border border-green-200 bg-green-50 p-3 text-sm text-green-700">
                 <p>Intake received. Case ID: {caseId}</p>
@@ -1135,10 +1830,20 @@ function IntakePage() {
 
             <button
               type="submit"
-              disabled={isSubmitting || Boolean(caseId) || (intakeMode !== 'manual' && leaseStatus !== 'ready')}
+              disabled={
+                isSubmitting ||
+                Boolean(caseId) ||
+                !intakeSchema ||
+                editStatus !== 'ready' ||
+                (intakeMode !== 'manual' && leaseStatus !== 'ready')
+              }
               className="btn-accent w-full text-lg disabled:opacity-60"
             >
-              {isSubmitting ? 'Submitting...' : caseId ? 'Intake Submitted' : 'Submit Intake'}
+              {isSubmitting
+                ? 'Submitting...'
+                : isEditing
+                  ? 'Save Changes'
+                  : caseId ? 'Intake Submitted' : 'Submit Intake'}
             </button>
           </form>
         </div>
@@ -1155,6 +1860,253 @@ function IntakePage() {
   );
 }
 
+// Evidence Panel Component
+// Photos, receipts and other files attached to a case, shown on the review and
+// download pages. Photos marked "include in documents" are added to the
+// letter and summary as a photo appendix.
+function EvidencePanel({ caseId, apiBaseUrl }) {
+  const [evidence, setEvidence] = useState([]);
+  const [categories, setCategories] = useState({});
+  const [files, setFiles] = useState([]);
+  const [details, setDetails] = useState({ category: 'move_in', takenAt: '', caption: '' });
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+  const baseUrl = `${apiBaseUrl}/api/cases/${caseId}/evidence`;
+  // <img> and plain links cannot send an Authorization header.
+  const fileUrl = (entry, variant) =>
+    `${baseUrl}/${entry.id}/${variant}?token=${encodeURIComponent(getCaseToken(caseId))}`;
+
+  useEffect(() => {
+    let isMounted = true;
+
+    fetch(`${apiBaseUrl}/api/cases/${caseId}/evidence`, { headers: caseAuthHeaders(caseId) })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (isMounted && data && Array.isArray(data.evidence)) {
+          setEvidence(data.evidence);
+          setCategories(data.categories || {});
+        }
+      })
+      .catch(() => {
+        if (isMounted) {
+          setError('Unable to load your files right now.');
+        }
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [apiBaseUrl, caseId]);
+
+  const errorMessage = (data, fallback) => {
+    if (data && data.status === 'language_violation' && Array.isArray(data.violations)) {
+      const phrases = Array.from(new Set(data.violations.map((violation) => `"${violation.text}"`)));
+      return `${data.message} Wording found: ${phrases.join(', ')}`;
+    }
+    if (data && Array.isArray(data.errors) && data.errors.length > 0) {
+      return data.errors.map((entry) => entry.message).join(' ');
+    }
+    return (data && data.message) || fallback;
+  };
+
+  const handleUpload = async (event) => {
+    event.preventDefault();
+    if (files.length === 0) {
+      setError('Please choose at least one photo or PDF.');
+      return;
+    }
+
+    setIsUploading(true);
+    setError('');
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+    formData.append('details', JSON.stringify(files.map(() => details)));
+
+    try {
+      const response = await fetch(baseUrl, {
+        method: 'POST',
+        headers: caseAuthHeaders(caseId),
+        body: formData,
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok) {
+        setError(errorMessage(data, 'Unable to upload your files. Please try again.'));
+        return;
+      }
+      setEvidence(data.evidence);
+      setFiles([]);
+      setDetails((prev) => ({ ...prev, caption: '' }));
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    } catch (uploadError) {
+      setError('Unable to upload your files. Please try again.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const updateEntry = async (entry, changes) => {
+    setError('');
+    try {
+      const response = await fetch(`${baseUrl}/${entry.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...caseAuthHeaders(caseId) },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok) {
+        setError(errorMessage(data, 'Unable to save your changes. Please try again.'));
+        return;
+      }
+      setEvidence(data.evidence);
+    } catch (updateError) {
+      setError('Unable to save your changes. Please try again.');
+    }
+  };
+
+  const removeEntry = async (entry) => {
+    if (!window.confirm(`Remove ${entry.filename} from your case?`)) {
+      return;
+    }
+    setError('');
+    try {
+      const response = await fetch(`${baseUrl}/${entry.id}`, {
+        method: 'DELETE',
+        headers: caseAuthHeaders(caseId),
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok) {
+        setError(errorMessage(data, 'Unable to remove this file. Please try again.'));
+        return;
+      }
+      setEvidence(data.evidence);
+    } catch (removeError) {
+      setError('Unable to remove this file. Please try again.');
+    }
+  };
+
+  return (
+    <div className="card text-sm text-slate-700">
+      <h3 className="text-base font-semibold text-slate-900 mb-1">Photos and receipts</h3>
+      <p className="text-slate-600 mb-4">
+        Attach move-in and move-out photos, receipts or other records. Dates are read from your
+        photos when available; you can enter your own instead.
+      </p>
+
+      <form onSubmit={handleUpload} className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+        <label className="block sm:col-span-2">
+          <span className="text-sm font-medium text-gray-700">Files (photos or PDFs)</span>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept="image/jpeg,image/png,image/webp,application/pdf"
+            onChange={(event) => setFiles(Array.from(event.target.files || []))}
+            className="mt-1 w-full text-sm"
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Type</span>
+          <select
+            value={details.category}
+            onChange={(event) => setDetails((prev) => ({ ...prev, category: event.target.value }))}
+            className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
+          >
+            {Object.keys(categories).map((key) => (
+              <option key={key} value={key}>
+                {categories[key]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Date taken (optional)</span>
+          <input
+            type="date"
+            value={details.takenAt}
+            onChange={(event) => setDetails((prev) => ({ ...prev, takenAt: event.target.value }))}
+            className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
+          />
+        </label>
+        <label className="block sm:col-span-2">
+          <span className="text-sm font-medium text-gray-700">Caption (optional)</span>
+          <input
+            type="text"
+            maxLength={500}
+            value={details.caption}
+            onChange={(event) => setDetails((prev) => ({ ...prev, caption: event.target.value }))}
+            placeholder="What the photo shows, e.g. Kitchen counters on move-out day"
+            className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
+          />
+        </label>
+        <div className="sm:col-span-2">
+          <button type="submit" disabled={isUploading} className="btn-accent disabled:opacity-60">
+            {isUploading ? 'Uploading...' : 'Add to case'}
+          </button>
+        </div>
+      </form>
+
+      {error ? (
+        <div className="mt-4 rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+          {error}
+        </div>
+      ) : null}
+
+      {evidence.length > 0 ? (
+        <ul className="mt-6 space-y-3">
+          {evidence.map((entry) => (
+            <li key={entry.id} className="flex gap-3 border-t border-slate-200 pt-3">
+              <a href={fileUrl(entry, 'file')} target="_blank" rel="noreferrer" className="shrink-0">
+                {entry.hasThumbnail ? (
+                  <img
+                    src={fileUrl(entry, 'thumbnail')}
+                    alt={entry.caption || entry.filename}
+                    className="h-20 w-20 rounded-md object-cover"
+                  />
+                ) : (
+                  <span className="flex h-20 w-20 items-center justify-center rounded-md bg-slate-100 text-xs text-slate-500">
+                    {entry.kind === 'document' ? 'PDF' : 'File'}
+                  </span>
+                )}
+              </a>
+              <div className="flex-1 space-y-1">
+                <p className="font-medium text-slate-900">
+                  {categories[entry.category] || entry.category}
+                  {entry.takenAt ? ` · ${entry.takenAt}` : ''}
+                </p>
+                <p>{entry.caption || <span className="text-slate-500">{entry.filename}</span>}</p>
+                <div className="flex flex-wrap items-center gap-3">
+                  {entry.kind === 'photo' ? (
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(entry.includeInDocuments)}
+                        onChange={(event) =>
+                          updateEntry(entry, { includeInDocuments: event.target.checked })
+                        }
+                      />
+                      <span>Include in documents</span>
+                    </label>
+                  ) : null}
+                  <button
+                    type="button"
+                    onClick={() => removeEntry(entry)}
+                    className="text-xs text-red-700 underline"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
+
 // Download Page Component
 function DownloadPage() {
   const { caseId } = useParams();
@@ -1163,13 +2115,20 @@ function DownloadPage() {
   const [status, setStatus] = useState('loading');
   const [downloaded, setDownloaded] = useState(false);
   const [caseData, setCaseData] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [documents, setDocuments] = useState([]);
 
   useEffect(() => {
     let isMounted = true;
 
-    fetch(`${apiBaseUrl}/api/cases/${caseId}`)
+    resolveCaseToken(caseId);
+    fetch(`${apiBaseUrl}/api/cases/${caseId}`, { headers: caseAuthHeaders(caseId) })
       .then((response) => {
         if (!isMounted) return;
+        if (response.status === 401) {
+          setStatus('unauthorized');
+          return;
+        }
         if (!response.ok) {
           setStatus('not_found');
           return;
@@ -1187,6 +2146,28 @@ function DownloadPage() {
 
         setCaseData(payload.case || null);
         setStatus('ready');
+
+        const loadDocuments = fetch(`${apiBaseUrl}/api/documents/${caseId}`, {
+          headers: caseAuthHeaders(caseId),
+        })
+          .then((response) => (response.ok ? response.json() : null))
+          .then((data) => {
+            if (isMounted && data && Array.isArray(data.documents)) {
+              setDocuments(data.documents);
+            }
+          });
+
+        const loadRevisions = fetch(`${apiBaseUrl}/api/cases/${caseId}/revisions`, {
+          headers: caseAuthHeaders(caseId),
+        })
+          .then((response) => (response.ok ? response.json() : null))
+          .then((data) => {
+            if (isMounted && data && Array.isArray(data.revisions)) {
+              setRevisions(data.revisions);
+            }
+          });
+
+        return Promise.all([loadDocuments, loadRevisions]);
       })
       .catch(() => {
         if (isMounted) {
@@ -1199,6 +2180,81 @@ function DownloadPage() {
     };
   }, [apiBaseUrl, caseId, navigate]);
 
+  const saveDownload = (blob, filename) => {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+    setDownloaded(true);
+  };
+
+  const downloadDocument = async (docType, revision, format = 'pdf') => {
+    try {
+      const params = new URLSearchParams();
+      if (revision) params.set('revision', revision);
+      if (format !== 'pdf') params.set('format', format);
+      const query = params.toString() ? `?${params.toString()}` : '';
+      const response = await fetch(`${apiBaseUrl}/api/documents/${caseId}/${docType}${query}`, {
+        headers: caseAuthHeaders(caseId),
+      });
+
+      if (response.status === 402) {
+        navigate(`/review/${caseId}`);
+        return;
+      }
+
+      if (response.status === 422) {
+        const data = await response.json();
+        const phrases = Array.from(new Set(data.violations.map((violation) => `"${violation.text}"`)));
+        alert(`${data.message}\n\nWording found: ${phrases.join(', ')}`);
+        return;
+      }
+
+      if (!response.ok) {
+        alert('Unable to download document. Please try again.');
+        return;
+      }
+
+      saveDownload(
+        await response.blob(),
+        revision
+          ? `deposit-defender-${caseId}-${docType}-v${revision}.${format}`
+          : `deposit-defender-${caseId}-${docType}.${format}`
+      );
+    } catch (error) {
+      alert('Unable to download document. Please try again.');
+    }
+  };
+
+  const downloadPacket = async () => {
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/documents/${caseId}/packet`, {
+        headers: caseAuthHeaders(caseId),
+      });
+
+      if (response.status === 402) {
+        navigate(`/review/${caseId}`);
+        return;
+      }
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        alert(data.message || 'Unable to download your case packet. Please try again.');
+        return;
+      }
+
+      saveDownload(await response.blob(), `deposit-defender-${caseId}-packet.zip`);
+    } catch (error) {
+      alert('Unable to download your case packet. Please try again.');
+    }
+  };
+
+  const earlierRevisions = revisions.slice(0, -1).reverse();
+
   return (
     <div className="app-shell">
       <header className="site-header">
@@ -1220,6 +2276,13 @@ function DownloadPage() {
             <p className="text-red-600">Case not found. Please verify the link.</p>
           ) : null}
 
+          {status === 'unauthorized' ? (
+            <p className="text-red-600">
+              This link does not include access to the case. Please open it from the browser you
+              used to submit your intake, or use the private link you saved.
+            </p>
+          ) : null}
+
           {status === 'error' ? (
             <p className="text-red-600">Unable to load this case right now.</p>
           ) : null}
@@ -1324,42 +2387,94 @@ function DownloadPage() {
                         caseData.intake.post_move_out_communications.communication_methods_used
                       )}
                     </li>
+                    {Array.isArray(caseData.intake.deductions) && caseData.intake.deductions.length > 0 ? (
+                      <li>
+                        Deductions claimed:{' '}
+                        {caseData.intake.deductions
+                          .map((deduction) => `${deduction.description} (${deduction.amount})`)
+                          .join(', ')}
+                      </li>
+                    ) : null}
+                  </ul>
+                </div>
+              ) : null}
+              <div className="space-y-3">
+                {documents.map((doc) => (
+                  <div
+                    key={doc.docType}
+                    className="card flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between"
+                  >
+                    <div>
+                      <h3 className="text-base font-semibold text-slate-900">{doc.title}</h3>
+                      <p className="text-sm text-slate-600">{doc.description}</p>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        onClick={() => downloadDocument(doc.docType, null)}
+                        className="btn-accent whitespace-nowrap"
+                      >
+                        Download PDF
+                      </button>
+                      <button
+                        onClick={() => downloadDocument(doc.docType, null, 'docx')}
+                        className="btn-outline whitespace-nowrap"
+                        title="An editable copy for adjusting the wording before you print it"
+                      >
+                        Download Word
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <div className="card flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                <div>
+                  <h3 className="text-base font-semibold text-slate-900">Case packet (ZIP)</h3>
+                  <p className="text-sm text-slate-600">
+                    Every document above, your photos and receipts, your intake answers and your
+                    lease excerpts in one file to email or archive.
+                  </p>
+                </div>
+                <button onClick={downloadPacket} className="btn-accent whitespace-nowrap">
+                  Download packet
+                </button>
+              </div>
+              <EvidencePanel caseId={caseId} apiBaseUrl={apiBaseUrl} />
+              <div className="flex flex-col gap-3 sm:flex-row">
+                <button
+                  onClick={() => navigate(`/edit/${caseId}`)}
+                  className="btn-outline"
+                >
+                  Correct your details
+                </button>
+              </div>
+              {earlierRevisions.length > 0 ? (
+                <div className="card text-sm text-slate-700">
+                  <h3 className="text-base font-semibold text-slate-900 mb-3">Earlier versions</h3>
+                  <ul className="space-y-2">
+                    {earlierRevisions.map((entry) => (
+                      <li key={entry.revision} className="flex items-center justify-between gap-3">
+                        <span>
+                          Version {entry.revision} &middot; {String(entry.createdAt || '').slice(0, 10)}
+                          {entry.changedFields && entry.changedFields.length > 0
+                            ? ` (changed: ${entry.changedFields.join(', ')})`
+                            : ''}
+                        </span>
+                        <span className="flex flex-wrap justify-end gap-2">
+                          {documents.map((doc) => (
+                            <button
+                              key={doc.docType}
+                              onClick={() => downloadDocument(doc.docType, entry.revision)}
+                              className="btn-outline text-xs"
+                            >
+                              {doc.title}
+                            </button>
+                          ))}
+                        </span>
+                      </li>
+                    ))}
                   </ul>
                 </div>
               ) : null}
-              <button
-                onClick={async () => {
-                  try {
-                    const response = await fetch(`${apiBaseUrl}/api/documents/${caseId}`);
-
-                    if (response.status === 402) {
-                      navigate(`/review/${caseId}`);
-                      return;
-                    }
-
-                    if (!response.ok) {
-                      alert('Unable to download document. Please try again.');
-                      return;
-                    }
-
-                    const blob = await response.blob();
-                    const url = window.URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = `deposit-defender-${caseId}.pdf`;
-                    document.body.appendChild(a);
-                    a.click();
-                    window.URL.revokeObjectURL(url);
-                    document.body.removeChild(a);
-                    setDownloaded(true);
-                  } catch (error) {
-                    alert('Unable to download document. Please try again.');
-                  }
-                }}
-                className="btn-accent"
-              >
-                Download informational PDF
-              </button>
               {downloaded ? (
                 <p className="text-sm text-green-700">
                   Download started. Check your downloads folder.
@@ -1396,6 +2511,7 @@ function HowItWorksPage() {
             <a href="/blog" className="nav-link">Blog</a>
             <a href="/faq" className="nav-link">FAQ</a>
             <a href="/how-it-works" className="nav-link">How It Works</a>
+            <a href="/find-case" className="nav-link">Find My Case</a>
           </nav>
         </div>
       </header>
@@ -1459,6 +2575,7 @@ function BlogPage() {
             <a href="/blog" className="nav-link">Blog</a>
             <a href="/faq" className="nav-link">FAQ</a>
             <a href="/how-it-works" className="nav-link">How It Works</a>
+            <a href="/find-case" className="nav-link">Find My Case</a>
           </nav>
         </div>
       </header>
@@ -1514,6 +2631,7 @@ function FAQPage() {
             <a href="/blog" className="nav-link">Blog</a>
             <a href="/faq" className="nav-link">FAQ</a>
             <a href="/how-it-works" className="nav-link">How It Works</a>
+            <a href="/find-case" className="nav-link">Find My Case</a>
           </nav>
         </div>
       </header>
@@ -1641,13 +2759,17 @@ function PaymentSuccessPage() {
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
     const sessionId = params.get('session_id');
+    const returnedCaseId = params.get('case_id');
 
-    if (!sessionId) {
+    if (!sessionId || !returnedCaseId) {
       setStatus('error');
       return;
     }
 
-    fetch(`${apiBaseUrl}/api/payments/verify/${sessionId}`)
+    fetch(
+      `${apiBaseUrl}/api/payments/verify/${sessionId}?case_id=${encodeURIComponent(returnedCaseId)}`,
+      { headers: caseAuthHeaders(returnedCaseId) }
+    )
       .then((response) => response.json())
       .then((data) => {
         if (data.status === 'ok' && data.isPaid) {
@@ -1657,6 +2779,8 @@ function PaymentSuccessPage() {
           setTimeout(() => {
             navigate(`/download/${data.caseId}`);
           }, 2000);
+        } else if (data.status === 'unauthorized' || data.status === 'not_found') {
+          setStatus('error');
         } else {
           setStatus('pending');
         }
@@ -1728,6 +2852,264 @@ function PaymentSuccessPage() {
   );
 }
 
+// Find Case Page Component
+function FindCasePage() {
+  const navigate = useNavigate();
+  const apiBaseUrl = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+  const [email, setEmail] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [message, setMessage] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus('sending');
+    setMessage('');
+
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/auth/magic-link`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data.message || 'Unable to send a sign-in link right now.');
+        return;
+      }
+
+      setStatus('sent');
+      setMessage(data.message || '');
+    } catch (error) {
+      setStatus('error');
+      setMessage('Unable to send a sign-in link right now.');
+    }
+  };
+
+  return (
+    <div className="app-shell">
+      <header className="site-header">
+        <div className="container flex items-center justify-between">
+          <h1 className="brand">DepositDefender</h1>
+          <button
+            onClick={() => navigate('/')}
+            className="btn-outline text-sm"
+          >
+            Back to Home
+          </button>
+        </div>
+      </header>
+
+      <main className="container py-12">
+        <div className="form-card">
+          <h2 className="text-3xl font-bold text-slate-900 mb-2">Find My Case</h2>
+          <p className="text-slate-600 mb-8">
+            Enter the email address from your intake. We will email you a one-time link to view
+            your cases, their payment status and your documents.
+          </p>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Email</span>
+              <input
+                type="email"
+                required
+                value={email}
+                onChange={(event) => setEmail(event.target.value)}
+                className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={status === 'sending'}
+              className="btn-accent w-full text-lg disabled:opacity-60"
+            >
+              {status === 'sending' ? 'Sending...' : 'Email me a sign-in link'}
+            </button>
+          </form>
+
+          {message ? (
+            <p
+              className={
+                status === 'error'
+                  ? 'text-sm text-red-600 mt-4'
+                  : 'text-sm text-green-700 mt-4'
+              }
+            >
+              {message}
+            </p>
+          ) : null}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+// My Cases Page Component
+function MyCasesPage() {
+  const navigate = useNavigate();
+  const apiBaseUrl = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+  const [status, setStatus] = useState('loading');
+  const [message, setMessage] = useState('');
+  const [email, setEmail] = useState('');
+  const [cases, setCases] = useState([]);
+  // The sign-in link works once, so the redemption is shared if the effect re-runs.
+  const loginRedemption = useRef(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    const sessionKey = 'depositDefender.tenantSession';
+
+    const redeemLoginToken = async (loginToken) => {
+      const response = await fetch(`${apiBaseUrl}/api/auth/magic-link/verify`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token: loginToken }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'This sign-in link is no longer valid.');
+      }
+      window.sessionStorage.setItem(sessionKey, data.sessionToken);
+    };
+
+    const loadCases = async () => {
+      const params = new URLSearchParams(window.location.search);
+      const loginToken = params.get('login');
+
+      if (loginToken && !loginRedemption.current) {
+        // Drop the one-time token from the address bar before redeeming it.
+        window.history.replaceState(null, '', '/my-cases');
+        loginRedemption.current = redeemLoginToken(loginToken);
+      }
+      if (loginRedemption.current) {
+        await loginRedemption.current;
+      }
+
+      const sessionToken = window.sessionStorage.getItem(sessionKey);
+      if (!sessionToken) {
+        throw new Error('Please request a sign-in link to view your cases.');
+      }
+
+      const response = await fetch(`${apiBaseUrl}/api/auth/my-cases`, {
+        headers: { Authorization: `Bearer ${sessionToken}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        window.sessionStorage.removeItem(sessionKey);
+        throw new Error(data.message || 'Unable to load your cases right now.');
+      }
+
+      (data.cases || []).forEach((item) => saveCaseToken(item.caseId, item.accessToken));
+      return data;
+    };
+
+    loadCases()
+      .then((data) => {
+        if (!isMounted) return;
+        setEmail(data.email || '');
+        setCases(Array.isArray(data.cases) ? data.cases : []);
+        setStatus('ready');
+      })
+      .catch((error) => {
+        if (!isMounted) return;
+        setMessage(error.message);
+        setStatus('error');
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [apiBaseUrl]);
+
+  return (
+    <div className="app-shell">
+      <header className="site-header">
+        <div className="container flex items-center justify-between">
+          <h1 className="brand">DepositDefender</h1>
+          <button
+            onClick={() => navigate('/')}
+            className="btn-outline text-sm"
+          >
+            Back to Home
+          </button>
+        </div>
+      </header>
+
+      <main className="container py-12">
+        <div className="form-card">
+          <h2 className="text-3xl font-bold text-slate-900 mb-2">My Cases</h2>
+          {email ? <p className="text-slate-600 mb-8">Cases filed under {email}</p> : null}
+
+          {status === 'loading' ? (
+            <p className="text-gray-600">Loading your cases...</p>
+          ) : null}
+
+          {status === 'error' ? (
+            <div className="space-y-4">
+              <p className="text-red-600">{message}</p>
+              <a href="/find-case" className="inline-flex btn-outline text-sm">
+                Request a new sign-in link
+              </a>
+            </div>
+          ) : null}
+
+          {status === 'ready' && cases.length === 0 ? (
+            <p className="text-gray-600">No cases were found for this email address.</p>
+          ) : null}
+
+          {status === 'ready' && cases.length > 0 ? (
+            <ul className="space-y-3">
+              {cases.map((item) => (
+                <li key={item.caseId} className="card text-sm text-slate-700">
+                  <p className="font-semibold text-slate-900">
+                    {formatValue(item.propertyAddress)}
+                  </p>
+                  <p>Submitted: {item.createdAt ? item.createdAt.slice(0, 10) : 'Not provided'}</p>
+                  <p>
+                    {item.status === 'draft' ? 'Draft, not yet submitted. ' : null}
+                    Payment status:{' '}
+                    {item.paymentStatus === 'paid'
+                      ? `Paid${item.paidAt ? ` on ${item.paidAt.slice(0, 10)}` : ''}`
+                      : 'Not yet paid'}
+                  </p>
+                  {item.status === 'draft' ? (
+                    <button
+                      onClick={() => navigate(`/intake?draft=${item.caseId}`)}
+                      className="btn-outline mt-3"
+                    >
+                      Resume draft
+                    </button>
+                  ) : item.paymentStatus === 'paid' ? (
+                    <button
+                      onClick={() => navigate(`/download/${item.caseId}`)}
+                      className="btn-accent mt-3"
+                    >
+                      Download documents
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => navigate(`/review/${item.caseId}`)}
+                      className="btn-outline mt-3"
+                    >
+                      Review & pay
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : null}
+        </div>
+      </main>
+    </div>
+  );
+}
+
 // Review Page Component
 function ReviewPage() {
   const { caseId } = useParams();
@@ -1741,9 +3123,14 @@ function ReviewPage() {
   useEffect(() => {
     let isMounted = true;
 
-    fetch(`${apiBaseUrl}/api/cases/${caseId}`)
+    resolveCaseToken(caseId);
+    fetch(`${apiBaseUrl}/api/cases/${caseId}`, { headers: caseAuthHeaders(caseId) })
       .then((response) => {
         if (!isMounted) return;
+        if (response.status === 401) {
+          setStatus('unauthorized');
+          return;
+        }
         if (!response.ok) {
           setStatus('not_found');
           return;
@@ -1782,6 +3169,7 @@ function ReviewPage() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...caseAuthHeaders(caseId),
         },
         body: JSON.stringify({ caseId }),
       });
@@ -1825,6 +3213,13 @@ function ReviewPage() {
             <p className="text-red-600">Case not found. Please verify the link.</p>
           ) : null}
 
+          {status === 'unauthorized' ? (
+            <p className="text-red-600">
+              This link does not include access to the case. Please open it from the browser you
+              used to submit your intake, or use the private link you saved.
+            </p>
+          ) : null}
+
           {status === 'error' ? (
             <p className="text-red-600">Unable to load this case right now.</p>
           ) : null}
@@ -1841,8 +3236,16 @@ function ReviewPage() {
                   <li><strong>Deposit amount:</strong> {formatValue(caseData.intake.security_deposit_information.deposit_amount)}</li>
                   <li><strong>Move-out date:</strong> {formatValue(caseData.intake.move_out_information.move_out_date)}</li>
                 </ul>
+                <button
+                  onClick={() => navigate(`/edit/${caseId}`)}
+                  className="btn-outline text-sm mt-4"
+                >
+                  Edit details
+                </button>
               </div>
 
+              <EvidencePanel caseId={caseId} apiBaseUrl={apiBaseUrl} />
+
               <div className="notice-card">
                 <h3 className="text-lg font-semibold text-slate-900 mb-3">Before You Pay</h3>
                 <ul className="text-sm text-slate-700 space-y-1 mb-4">
@@ -1883,6 +3286,136 @@ function ReviewPage() {
   );
 }
 
+// Verify Document Page Component
+function VerifyPage() {
+  const navigate = useNavigate();
+  const apiBaseUrl = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+  const [docId, setDocId] = useState(
+    () => new URLSearchParams(window.location.search).get('doc') || ''
+  );
+  const [file, setFile] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [message, setMessage] = useState('');
+  const [issuedDocument, setIssuedDocument] = useState(null);
+  const [matches, setMatches] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus('checking');
+    setMessage('');
+    setIssuedDocument(null);
+    setMatches(null);
+
+    try {
+      const url = `${apiBaseUrl}/api/documents/verify/${encodeURIComponent(docId.trim())}`;
+      let response;
+      if (file) {
+        const body = new FormData();
+        body.append('document', file);
+        response = await fetch(url, { method: 'POST', body });
+      } else {
+        response = await fetch(url);
+      }
+      const data = await response.json();
+
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data.message || 'Unable to check this document right now.');
+        return;
+      }
+
+      setStatus('done');
+      setIssuedDocument(data.document);
+      setMatches(file ? data.matches : null);
+    } catch (error) {
+      setStatus('error');
+      setMessage('Unable to check this document right now.');
+    }
+  };
+
+  return (
+    <div className="app-shell">
+      <header className="site-header">
+        <div className="container flex items-center justify-between">
+          <h1 className="brand">DepositDefender</h1>
+          <button
+            onClick={() => navigate('/')}
+            className="btn-outline text-sm"
+          >
+            Back to Home
+          </button>
+        </div>
+      </header>
+
+      <main className="container py-12">
+        <div className="form-card">
+          <h2 className="text-3xl font-bold text-slate-900 mb-2">Verify a Document</h2>
+          <p className="text-slate-600 mb-8">
+            Every DepositDefender PDF has a document ID in its footer. Enter it to see when the
+            document was generated. To confirm a copy has not been altered, also upload the PDF: it
+            is compared with the file we issued and is not stored.
+          </p>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Document ID</span>
+              <input
+                type="text"
+                required
+                value={docId}
+                onChange={(event) => setDocId(event.target.value)}
+                placeholder="DD-XXXX-XXXX-XXXX"
+                className="mt-1 w-full rounded-md border-gray-300 shadow-sm"
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">PDF to check (optional)</span>
+              <input
+                type="file"
+                accept="application/pdf"
+                onChange={(event) => setFile(event.target.files[0] || null)}
+                className="mt-1 w-full text-sm"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={status === 'checking'}
+              className="btn-accent w-full text-lg disabled:opacity-60"
+            >
+              {status === 'checking' ? 'Checking...' : 'Verify document'}
+            </button>
+          </form>
+
+          {message ? <p className="text-sm text-red-600 mt-4">{message}</p> : null}
+
+          {issuedDocument ? (
+            <div className="card mt-6 space-y-2 text-sm text-gray-700">
+              <p>
+                <strong>{issuedDocument.title}</strong> (version {issuedDocument.version}) was generated by
+                DepositDefender on {new Date(issuedDocument.generatedAt).toLocaleString()}.
+              </p>
+              <p className="break-all">
+                Fingerprint printed on the document: <code>{issuedDocument.fingerprint}</code>
+              </p>
+              {matches === true ? (
+                <p className="font-medium text-green-700">
+                  The uploaded PDF is identical to the document we issued.
+                </p>
+              ) : null}
+              {matches === false ? (
+                <p className="font-medium text-red-600">
+                  The uploaded PDF does not match the document we issued. It may have been edited,
+                  re-saved or printed to a new PDF since it was generated.
+                </p>
+              ) : null}
+            </div>
+          ) : null}
+        </div>
+      </main>
+    </div>
+  );
+}
+
 // Main App Component
 function App() {
   return (
@@ -1891,13 +3424,17 @@ function App() {
         <Routes>
           <Route path="/" element={<Home />} />
           <Route path="/intake" element={<IntakePage />} />
+          <Route path="/edit/:caseId" element={<IntakePage />} />
           <Route path="/review/:caseId" element={<ReviewPage />} />
           <Route path="/payment/success" element={<PaymentSuccessPage />} />
           <Route path="/payment/cancel" element={<PaymentCancelPage />} />
           <Route path="/download/:caseId" element={<DownloadPage />} />
+          <Route path="/find-case" element={<FindCasePage />} />
+          <Route path="/my-cases" element={<MyCasesPage />} />
           <Route path="/how-it-works" element={<HowItWorksPage />} />
           <Route path="/blog" element={<BlogPage />} />
           <Route path="/faq" element={<FAQPage />} />
+          <Route path="/verify" element={<VerifyPage />} />
         </Routes>
       </div>
     </Router>
@@ -0,0 +1,43 @@
+// Case access tokens are kept per case in localStorage so the review, payment
+// and download pages can authenticate without the token living in every URL.
+const STORAGE_KEY = 'depositDefender.caseTokens';
+
+function readTokens() {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+export function saveCaseToken(caseId, token) {
+  if (!caseId || !token) return;
+  const tokens = readTokens();
+  tokens[caseId] = token;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(tokens));
+  } catch (error) {
+    // Storage can be unavailable (private mode); the token still works for this page.
+  }
+}
+
+export function getCaseToken(caseId) {
+  return readTokens()[caseId] || '';
+}
+
+// Picks up a token passed as ?token= (e.g. from a saved link), stores it and
+// returns whichever token is available for the case.
+export function resolveCaseToken(caseId) {
+  const params = new URLSearchParams(window.location.search);
+  const fromUrl = params.get('token');
+  if (fromUrl) {
+    saveCaseToken(caseId, fromUrl);
+    return fromUrl;
+  }
+  return getCaseToken(caseId);
+}
+
+export function caseAuthHeaders(caseId) {
+  const token = getCaseToken(caseId);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
@@ -1,3 +1,5 @@
+// Keep in sync with server/src/config/disclaimers.js, which prints the same
+// lines on every generated document.
 export const DISCLAIMERS = [
   'This service is not a law firm.',
   'No legal advice is provided.',
@@ -0,0 +1,49 @@
+// Helpers for reading the intake JSON Schema served by GET /api/schema/intake.
+// Select and checkbox options come from the schema so the form always offers
+// exactly what the server will accept.
+
+function resolveRef(schema, node) {
+  if (!node || !node.$ref) return node;
+  const target = node.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((current, key) => (current ? current[key] : undefined), schema);
+  return { ...target, ...node, $ref: undefined };
+}
+
+// Returns the sub-schema for a dot-separated field path, e.g.
+// "lease_information.lease_type", or null while the schema is loading. Array
+// fields are stepped through to their items ("deductions.category").
+export function schemaAt(schema, fieldPath) {
+  if (!schema) return null;
+  return fieldPath.split('.').reduce((current, key) => {
+    const node = current && current.type === 'array' ? resolveRef(schema, current.items) : current;
+    if (!node || !node.properties) return null;
+    return resolveRef(schema, node.properties[key]) || null;
+  }, schema);
+}
+
+// Labelled options for an enum field ({ value, label }), written in the schema
+// as a oneOf list of { const, title } entries.
+export function fieldOptions(schema, fieldPath) {
+  let node = schemaAt(schema, fieldPath);
+  if (node && node.type === 'array') {
+    node = resolveRef(schema, node.items);
+  }
+  if (!node) return [];
+  if (Array.isArray(node.oneOf)) {
+    return node.oneOf.map((option) => ({ value: option.const, label: option.title || String(option.const) }));
+  }
+  if (Array.isArray(node.enum)) {
+    return node.enum.map((value) => ({ value, label: String(value) }));
+  }
+  return [];
+}
+
+export async function fetchIntakeSchema(apiBaseUrl) {
+  const response = await fetch(`${apiBaseUrl}/api/schema/intake`);
+  if (!response.ok) {
+    throw new Error('Unable to load the intake form.');
+  }
+  return response.json();
+}
@@ -0,0 +1,12 @@
+-- Case records are stored as a JSON document; columns that are queried
+-- directly are kept alongside it and updated on every write.
+CREATE TABLE IF NOT EXISTS cases (
+  id TEXT PRIMARY KEY,
+  record JSONB NOT NULL,
+  stripe_session_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS cases_stripe_session_id_idx ON cases (stripe_session_id);
+CREATE INDEX IF NOT EXISTS cases_created_at_idx ON cases (created_at);
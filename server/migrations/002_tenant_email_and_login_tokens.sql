@@ -0,0 +1,17 @@
+-- Lets a tenant find every case filed under their email address.
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS tenant_email TEXT;
+
+UPDATE cases
+   SET tenant_email = LOWER(TRIM(record->'intake'->'tenant_information'->>'email'))
+ WHERE tenant_email IS NULL;
+
+CREATE INDEX IF NOT EXISTS cases_tenant_email_idx ON cases (tenant_email);
+
+-- One-time email sign-in links that have already been used.
+CREATE TABLE IF NOT EXISTS login_tokens (
+  jti TEXT PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS login_tokens_expires_at_idx ON login_tokens (expires_at);
@@ -0,0 +1,3 @@
+-- Public document verification looks cases up by the ID printed on a PDF.
+CREATE INDEX IF NOT EXISTS cases_generated_documents_idx
+  ON cases USING GIN ((record->'generatedDocuments') jsonb_path_ops);
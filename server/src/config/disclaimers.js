@@ -0,0 +1,13 @@
+// Shown on every generated document. Keep in sync with client/src/disclaimers.js,
+// which the site shows next to the intake and download pages.
+const DISCLAIMERS = [
+  'This service is not a law firm.',
+  'No legal advice is provided.',
+  'This is a document preparation and informational service only.',
+  'No outcome is guaranteed.',
+  'You may wish to consult a licensed Texas attorney.',
+];
+
+module.exports = {
+  DISCLAIMERS,
+};
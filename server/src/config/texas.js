@@ -0,0 +1,165 @@
+const TEXAS_COUNTIES = [
+  'Anderson', 'Andrews', 'Angelina', 'Aransas', 'Archer', 'Armstrong', 'Atascosa', 'Austin',
+  'Bailey', 'Bandera', 'Bastrop', 'Baylor', 'Bee', 'Bell', 'Bexar', 'Blanco', 'Borden', 'Bosque',
+  'Bowie', 'Brazoria', 'Brazos', 'Brewster', 'Briscoe', 'Brooks', 'Brown', 'Burleson', 'Burnet',
+  'Caldwell', 'Calhoun', 'Callahan', 'Cameron', 'Camp', 'Carson', 'Cass', 'Castro', 'Chambers',
+  'Cherokee', 'Childress', 'Clay', 'Cochran', 'Coke', 'Coleman', 'Collin', 'Collingsworth',
+  'Colorado', 'Comal', 'Comanche', 'Concho', 'Cooke', 'Coryell', 'Cottle', 'Crane', 'Crockett',
+  'Crosby', 'Culberson', 'Dallam', 'Dallas', 'Dawson', 'Deaf Smith', 'Delta', 'Denton', 'DeWitt',
+  'Dickens', 'Dimmit', 'Donley', 'Duval', 'Eastland', 'Ector', 'Edwards', 'El Paso', 'Ellis',
+  'Erath', 'Falls', 'Fannin', 'Fayette', 'Fisher', 'Floyd', 'Foard', 'Fort Bend', 'Franklin',
+  'Freestone', 'Frio', 'Gaines', 'Galveston', 'Garza', 'Gillespie', 'Glasscock', 'Goliad',
+  'Gonzales', 'Gray', 'Grayson', 'Gregg', 'Grimes', 'Guadalupe', 'Hale', 'Hall', 'Hamilton',
+  'Hansford', 'Hardeman', 'Hardin', 'Harris', 'Harrison', 'Hartley', 'Haskell', 'Hays', 'Hemphill',
+  'Henderson', 'Hidalgo', 'Hill', 'Hockley', 'Hood', 'Hopkins', 'Houston', 'Howard', 'Hudspeth',
+  'Hunt', 'Hutchinson', 'Irion', 'Jack', 'Jackson', 'Jasper', 'Jeff Davis', 'Jefferson', 'Jim Hogg',
+  'Jim Wells', 'Johnson', 'Jones', 'Karnes', 'Kaufman', 'Kendall', 'Kenedy', 'Kent', 'Kerr',
+  'Kimble', 'King', 'Kinney', 'Kleberg', 'Knox', 'La Salle', 'Lamar', 'Lamb', 'Lampasas', 'Lavaca',
+  'Lee', 'Leon', 'Liberty', 'Limestone', 'Lipscomb', 'Live Oak', 'Llano', 'Loving', 'Lubbock',
+  'Lynn', 'Madison', 'Marion', 'Martin', 'Mason', 'Matagorda', 'Maverick', 'McCulloch', 'McLennan',
+  'McMullen', 'Medina', 'Menard', 'Midland', 'Milam', 'Mills', 'Mitchell', 'Montague', 'Montgomery',
+  'Moore', 'Morris', 'Motley', 'Nacogdoches', 'Navarro', 'Newton', 'Nolan', 'Nueces', 'Ochiltree',
+  'Oldham', 'Orange', 'Palo Pinto', 'Panola', 'Parker', 'Parmer', 'Pecos', 'Polk', 'Potter',
+  'Presidio', 'Rains', 'Randall', 'Reagan', 'Real', 'Red River', 'Reeves', 'Refugio', 'Roberts',
+  'Robertson', 'Rockwall', 'Runnels', 'Rusk', 'Sabine', 'San Augustine', 'San Jacinto',
+  'San Patricio', 'San Saba', 'Schleicher', 'Scurry', 'Shackelford', 'Shelby', 'Sherman', 'Smith',
+  'Somervell', 'Starr', 'Stephens', 'Sterling', 'Stonewall', 'Sutton', 'Swisher', 'Tarrant',
+  'Taylor', 'Terrell', 'Terry', 'Throckmorton', 'Titus', 'Tom Green', 'Travis', 'Trinity', 'Tyler',
+  'Upshur', 'Upton', 'Uvalde', 'Val Verde', 'Van Zandt', 'Victoria', 'Walker', 'Waller', 'Ward',
+  'Washington', 'Webb', 'Wharton', 'Wheeler', 'Wichita', 'Wilbarger', 'Willacy', 'Williamson',
+  'Wilson', 'Winkler', 'Wise', 'Wood', 'Yoakum', 'Young', 'Zapata', 'Zavala',
+];
+
+// Five-digit ZIP ranges assigned to Texas (inclusive). 733xx is the Austin
+// IRS block and 885xx is the part of El Paso served from the 88x prefix.
+const TEXAS_ZIP_RANGES = [
+  [73301, 73399],
+  [75000, 79999],
+  [88500, 88599],
+];
+
+// Counties served by each three-digit ZIP prefix. ZIP codes follow postal
+// routes rather than county lines, so a prefix lists every county any of its
+// ZIP codes reaches.
+const TEXAS_ZIP_PREFIX_COUNTIES = {
+  '733': ['Travis'],
+  '750': ['Collin', 'Dallas', 'Denton', 'Ellis', 'Grayson', 'Kaufman', 'Rockwall', 'Tarrant'],
+  '751': [
+    'Collin', 'Dallas', 'Ellis', 'Henderson', 'Hunt', 'Kaufman', 'Navarro', 'Rockwall',
+    'Van Zandt',
+  ],
+  '752': ['Collin', 'Dallas', 'Denton'],
+  '753': ['Dallas'],
+  '754': [
+    'Collin', 'Delta', 'Fannin', 'Franklin', 'Grayson', 'Hopkins', 'Hunt', 'Lamar', 'Rains',
+    'Red River', 'Titus', 'Wood',
+  ],
+  '755': ['Bowie', 'Cass', 'Morris', 'Red River', 'Titus'],
+  '756': [
+    'Camp', 'Cass', 'Gregg', 'Harrison', 'Marion', 'Morris', 'Panola', 'Rusk', 'Smith', 'Upshur',
+  ],
+  '757': [
+    'Anderson', 'Cherokee', 'Henderson', 'Nacogdoches', 'Rusk', 'Smith', 'Upshur', 'Van Zandt',
+    'Wood',
+  ],
+  '758': ['Anderson', 'Freestone', 'Houston', 'Leon', 'Madison', 'Navarro', 'Trinity'],
+  '759': [
+    'Angelina', 'Cherokee', 'Jasper', 'Nacogdoches', 'Newton', 'Panola', 'Polk', 'Sabine',
+    'San Augustine', 'Shelby', 'Trinity', 'Tyler',
+  ],
+  '760': [
+    'Dallas', 'Denton', 'Ellis', 'Hill', 'Hood', 'Johnson', 'Palo Pinto', 'Parker', 'Somervell',
+    'Tarrant', 'Wise',
+  ],
+  '761': ['Denton', 'Johnson', 'Parker', 'Tarrant'],
+  '762': ['Clay', 'Cooke', 'Denton', 'Grayson', 'Montague', 'Tarrant', 'Wise'],
+  '763': ['Archer', 'Baylor', 'Clay', 'Knox', 'Wichita', 'Wilbarger', 'Young'],
+  '764': [
+    'Brown', 'Callahan', 'Comanche', 'Eastland', 'Erath', 'Hamilton', 'Hood', 'Jack', 'Palo Pinto',
+    'Parker', 'Shackelford', 'Stephens', 'Throckmorton', 'Wise', 'Young',
+  ],
+  '765': ['Bell', 'Coryell', 'Falls', 'Hamilton', 'Lampasas', 'McLennan', 'Milam', 'Williamson'],
+  '766': [
+    'Bosque', 'Coryell', 'Ellis', 'Falls', 'Freestone', 'Hill', 'Johnson', 'Limestone', 'McLennan',
+    'Navarro', 'Robertson',
+  ],
+  '767': ['McLennan'],
+  '768': [
+    'Brown', 'Coleman', 'Concho', 'Kimble', 'Lampasas', 'Llano', 'Mason', 'McCulloch', 'Menard',
+    'Mills', 'Runnels', 'San Saba', 'Tom Green',
+  ],
+  '769': [
+    'Coke', 'Concho', 'Crockett', 'Irion', 'Reagan', 'Schleicher', 'Sterling', 'Sutton',
+    'Tom Green',
+  ],
+  '770': ['Fort Bend', 'Harris'],
+  '771': ['Harris'],
+  '772': ['Harris'],
+  '773': ['Grimes', 'Hardin', 'Harris', 'Liberty', 'Montgomery', 'Polk', 'San Jacinto', 'Walker'],
+  '774': [
+    'Austin', 'Brazoria', 'Colorado', 'Fort Bend', 'Harris', 'Matagorda', 'Waller', 'Washington',
+    'Wharton',
+  ],
+  '775': ['Brazoria', 'Chambers', 'Fort Bend', 'Galveston', 'Hardin', 'Harris', 'Liberty'],
+  '776': ['Chambers', 'Galveston', 'Hardin', 'Jasper', 'Jefferson', 'Newton', 'Orange', 'Tyler'],
+  '777': ['Jefferson'],
+  '778': [
+    'Brazos', 'Burleson', 'Grimes', 'Lee', 'Leon', 'Madison', 'Milam', 'Robertson', 'Washington',
+  ],
+  '779': ['Calhoun', 'DeWitt', 'Goliad', 'Jackson', 'Lavaca', 'Refugio', 'Victoria'],
+  '780': [
+    'Atascosa', 'Bandera', 'Bexar', 'Comal', 'Frio', 'Kendall', 'Kerr', 'La Salle', 'Live Oak',
+    'McMullen', 'Medina', 'Webb', 'Zapata',
+  ],
+  '781': ['Bee', 'Bexar', 'Comal', 'DeWitt', 'Goliad', 'Gonzales', 'Guadalupe', 'Karnes', 'Wilson'],
+  '782': ['Bexar', 'Comal'],
+  '783': [
+    'Aransas', 'Bee', 'Brooks', 'Duval', 'Jim Hogg', 'Jim Wells', 'Kenedy', 'Kleberg', 'Live Oak',
+    'Nueces', 'Refugio', 'San Patricio', 'Webb',
+  ],
+  '784': ['Nueces', 'San Patricio'],
+  '785': ['Cameron', 'Hidalgo', 'Starr', 'Willacy'],
+  '786': [
+    'Bastrop', 'Blanco', 'Burnet', 'Caldwell', 'Comal', 'Gillespie', 'Gonzales', 'Guadalupe',
+    'Hays', 'Llano', 'Travis', 'Williamson',
+  ],
+  '787': ['Hays', 'Travis', 'Williamson'],
+  '788': [
+    'Bandera', 'Dimmit', 'Edwards', 'Kinney', 'Maverick', 'Medina', 'Real', 'Terrell', 'Uvalde',
+    'Val Verde', 'Zavala',
+  ],
+  '789': ['Austin', 'Bastrop', 'Colorado', 'Fayette', 'Gonzales', 'Lee'],
+  '790': [
+    'Armstrong', 'Carson', 'Castro', 'Collingsworth', 'Dallam', 'Deaf Smith', 'Gray', 'Hale',
+    'Hansford', 'Hartley', 'Hemphill', 'Hutchinson', 'Lamb', 'Lipscomb', 'Moore', 'Ochiltree',
+    'Oldham', 'Parmer', 'Potter', 'Randall', 'Roberts', 'Sherman', 'Swisher', 'Wheeler',
+  ],
+  '791': ['Potter', 'Randall'],
+  '792': [
+    'Briscoe', 'Childress', 'Collingsworth', 'Cottle', 'Dickens', 'Donley', 'Floyd', 'Foard',
+    'Hale', 'Hall', 'Hardeman', 'King', 'Knox', 'Motley',
+  ],
+  '793': [
+    'Bailey', 'Cochran', 'Crosby', 'Dawson', 'Dickens', 'Gaines', 'Garza', 'Hale', 'Hockley',
+    'Lamb', 'Lubbock', 'Lynn', 'Parmer', 'Terry', 'Yoakum',
+  ],
+  '794': ['Lubbock'],
+  '795': [
+    'Callahan', 'Coke', 'Coleman', 'Fisher', 'Haskell', 'Howard', 'Jones', 'Kent', 'Knox',
+    'Mitchell', 'Nolan', 'Runnels', 'Scurry', 'Shackelford', 'Stonewall', 'Taylor',
+  ],
+  '796': ['Jones', 'Taylor'],
+  '797': [
+    'Andrews', 'Borden', 'Crane', 'Dawson', 'Ector', 'Glasscock', 'Howard', 'Jeff Davis', 'Loving',
+    'Martin', 'Midland', 'Pecos', 'Reagan', 'Reeves', 'Upton', 'Ward', 'Winkler',
+  ],
+  '798': ['Brewster', 'Culberson', 'El Paso', 'Hudspeth', 'Jeff Davis', 'Presidio', 'Terrell'],
+  '799': ['El Paso'],
+  '885': ['El Paso'],
+};
+
+module.exports = {
+  TEXAS_COUNTIES,
+  TEXAS_ZIP_PREFIX_COUNTIES,
+  TEXAS_ZIP_RANGES,
+};
@@ -0,0 +1,207 @@
+const puppeteer = require('puppeteer');
+
+// One shared Chromium for every PDF render. At most `size` pages are open at
+// once; further renders wait in a FIFO queue and fail with a
+// BrowserPoolBusyError if no page frees up within queueTimeoutMs. A browser
+// that crashes or disconnects is dropped and relaunched on the next render.
+
+class BrowserPoolBusyError extends Error {
+  constructor(waitedMs) {
+    super(`No PDF renderer became available within ${waitedMs}ms.`);
+    this.name = 'BrowserPoolBusyError';
+  }
+}
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function launchChromium() {
+  return puppeteer.launch({
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+  });
+}
+
+function createBrowserPool(options = {}) {
+  const size = readPositiveInt(options.size, 2);
+  const queueTimeoutMs = readPositiveInt(options.queueTimeoutMs, 15000);
+  const renderTimeoutMs = readPositiveInt(options.renderTimeoutMs, 30000);
+  const launch = options.launch || launchChromium;
+
+  let browserPromise = null;
+  let closed = false;
+  let active = 0;
+  const waiting = [];
+  const inFlight = new Set();
+  const metrics = {
+    launches: 0,
+    renders: 0,
+    failures: 0,
+    queueTimeouts: 0,
+    totalRenderMs: 0,
+    maxRenderMs: 0,
+    lastRenderMs: null,
+    totalWaitMs: 0,
+  };
+
+  function getBrowser() {
+    if (!browserPromise) {
+      const launching = Promise.resolve()
+        .then(launch)
+        .then((browser) => {
+          metrics.launches += 1;
+          browser.on('disconnected', () => {
+            if (browserPromise === launching) browserPromise = null;
+          });
+          return browser;
+        })
+        .catch((error) => {
+          if (browserPromise === launching) browserPromise = null;
+          throw error;
+        });
+      browserPromise = launching;
+    }
+    return browserPromise;
+  }
+
+  function acquireSlot() {
+    if (closed) {
+      return Promise.reject(new Error('The PDF renderer is shutting down.'));
+    }
+    if (active < size) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        metrics.queueTimeouts += 1;
+        reject(new BrowserPoolBusyError(queueTimeoutMs));
+      }, queueTimeoutMs);
+      waiting.push(waiter);
+    });
+  }
+
+  // Hands the slot straight to the next waiter so `active` never drops below
+  // the number of pages actually in use.
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      active -= 1;
+    }
+  }
+
+  async function render(pageTask) {
+    const queuedAt = Date.now();
+    await acquireSlot();
+    const startedAt = Date.now();
+    metrics.totalWaitMs += startedAt - queuedAt;
+
+    let page = null;
+    const task = (async () => {
+      const browser = await getBrowser();
+      try {
+        page = await browser.newPage();
+        page.setDefaultTimeout(renderTimeoutMs);
+        return await pageTask(page);
+      } catch (error) {
+        // A crashed browser cannot open pages again; force a relaunch.
+        if (!browser.isConnected() && browserPromise) {
+          browserPromise = null;
+        }
+        throw error;
+      }
+    })();
+    inFlight.add(task);
+
+    try {
+      const result = await task;
+      const elapsed = Date.now() - startedAt;
+      metrics.renders += 1;
+      metrics.totalRenderMs += elapsed;
+      metrics.maxRenderMs = Math.max(metrics.maxRenderMs, elapsed);
+      metrics.lastRenderMs = elapsed;
+      return result;
+    } catch (error) {
+      metrics.failures += 1;
+      throw error;
+    } finally {
+      inFlight.delete(task);
+      if (page) {
+        await page.close().catch(() => {});
+      }
+      releaseSlot();
+    }
+  }
+
+  function getMetrics() {
+    return {
+      size,
+      activePages: active,
+      queued: waiting.length,
+      browserRunning: browserPromise !== null,
+      launches: metrics.launches,
+      renders: metrics.renders,
+      failures: metrics.failures,
+      queueTimeouts: metrics.queueTimeouts,
+      averageRenderMs: metrics.renders ? Math.round(metrics.totalRenderMs / metrics.renders) : null,
+      maxRenderMs: metrics.maxRenderMs,
+      lastRenderMs: metrics.lastRenderMs,
+      averageWaitMs: metrics.renders + metrics.failures
+        ? Math.round(metrics.totalWaitMs / (metrics.renders + metrics.failures))
+        : null,
+    };
+  }
+
+  // Stops taking work, lets renders already running finish, then closes
+  // Chromium.
+  async function close() {
+    closed = true;
+    waiting.splice(0).forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('The PDF renderer is shutting down.'));
+    });
+    await Promise.allSettled(Array.from(inFlight));
+
+    const launching = browserPromise;
+    browserPromise = null;
+    if (launching) {
+      const browser = await launching.catch(() => null);
+      if (browser) await browser.close().catch(() => {});
+    }
+  }
+
+  return { render, getMetrics, close };
+}
+
+let sharedPool = null;
+
+function getBrowserPool() {
+  if (!sharedPool) {
+    sharedPool = createBrowserPool({
+      size: process.env.PDF_POOL_SIZE,
+      queueTimeoutMs: process.env.PDF_QUEUE_TIMEOUT_MS,
+      renderTimeoutMs: process.env.PDF_RENDER_TIMEOUT_MS,
+    });
+  }
+  return sharedPool;
+}
+
+async function closeBrowserPool() {
+  if (sharedPool) {
+    await sharedPool.close();
+    sharedPool = null;
+  }
+}
+
+module.exports = {
+  BrowserPoolBusyError,
+  closeBrowserPool,
+  createBrowserPool,
+  getBrowserPool,
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getCase, consumeLoginToken } = require('./caseStore');
+
+const TOKEN_SCOPE = 'case';
+const TOKEN_TTL = process.env.CASE_TOKEN_TTL || '30d';
+const LOGIN_LINK_SCOPE = 'login_link';
+const LOGIN_LINK_TTL = '15m';
+const TENANT_SESSION_SCOPE = 'tenant';
+const TENANT_SESSION_TTL = '2h';
+
+let tokenSecret = process.env.CASE_TOKEN_SECRET;
+if (!tokenSecret) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('CASE_TOKEN_SECRET must be set in production.');
+  }
+  // Development fallback: tokens stop working whenever the server restarts.
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('CASE_TOKEN_SECRET is not set; using a temporary secret for this process.');
+}
+
+function issueCaseToken(caseRecord) {
+  const accessToken = jwt.sign(
+    { scope: TOKEN_SCOPE, tv: caseRecord.tokenVersion || 0 },
+    tokenSecret,
+    { subject: caseRecord.id, expiresIn: TOKEN_TTL }
+  );
+  const { exp } = jwt.decode(accessToken);
+  return {
+    accessToken,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function issueLoginLinkToken(email) {
+  return jwt.sign(
+    { scope: LOGIN_LINK_SCOPE },
+    tokenSecret,
+    { subject: normalizeEmail(email), expiresIn: LOGIN_LINK_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+// Exchanges a one-time sign-in link for a short-lived session covering every
+// case filed under that email. Returns null if the link is invalid or used.
+async function redeemLoginLinkToken(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, tokenSecret);
+  } catch (error) {
+    return null;
+  }
+  if (claims.scope !== LOGIN_LINK_SCOPE || !claims.jti) {
+    return null;
+  }
+
+  const firstUse = await consumeLoginToken(claims.jti, new Date(claims.exp * 1000).toISOString());
+  if (!firstUse) {
+    return null;
+  }
+
+  const sessionToken = jwt.sign(
+    { scope: TENANT_SESSION_SCOPE },
+    tokenSecret,
+    { subject: claims.sub, expiresIn: TENANT_SESSION_TTL }
+  );
+  return { sessionToken, email: claims.sub };
+}
+
+function readToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  // Allowed for plain links (e.g. a download opened in a new tab).
+  return typeof req.query.token === 'string' ? req.query.token : '';
+}
+
+function verifyCaseToken(token, caseId) {
+  try {
+    const claims = jwt.verify(token, tokenSecret, { subject: caseId });
+    return claims.scope === TOKEN_SCOPE ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function denyAccess(res) {
+  return res.status(401).json({
+    status: 'unauthorized',
+    message: 'A valid case access token is required. Please use the link provided for your case.',
+  });
+}
+
+// Loads the case named by the request into req.case once the caller has shown
+// a token for it. Rotated tokens carry an older version number and are refused.
+function requireCaseAccess(getCaseId = (req) => req.params.caseId) {
+  return async (req, res, next) => {
+    const caseId = getCaseId(req);
+    if (!caseId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Case ID is required.',
+      });
+    }
+
+    const claims = verifyCaseToken(readToken(req), caseId);
+    if (!claims) {
+      return denyAccess(res);
+    }
+
+    let storedCase;
+    try {
+      storedCase = await getCase(caseId);
+    } catch (error) {
+      console.error('Unable to load case', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Unable to load this case right now.',
+      });
+    }
+
+    if (!storedCase) {
+      return res.status(404).json({
+        status: 'not_found',
+        message: 'Case not found.',
+      });
+    }
+
+    if ((storedCase.tokenVersion || 0) !== claims.tv) {
+      return denyAccess(res);
+    }
+
+    req.case = storedCase;
+    return next();
+  };
+}
+
+// Sets req.tenantEmail from a session created by redeemLoginLinkToken.
+function requireTenantSession(req, res, next) {
+  let claims = null;
+  try {
+    claims = jwt.verify(readToken(req), tokenSecret);
+  } catch (error) {
+    claims = null;
+  }
+
+  if (!claims || claims.scope !== TENANT_SESSION_SCOPE) {
+    return res.status(401).json({
+      status: 'unauthorized',
+      message: 'Your sign-in link has expired. Please request a new one.',
+    });
+  }
+
+  req.tenantEmail = claims.sub;
+  return next();
+}
+
+module.exports = {
+  normalizeEmail,
+  issueCaseToken,
+  issueLoginLinkToken,
+  redeemLoginLinkToken,
+  requireCaseAccess,
+  requireTenantSession,
+};
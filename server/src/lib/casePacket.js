@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { DISCLAIMERS } = require('../config/disclaimers');
+const { DOCUMENT_FILTERS, getDocumentType, listDocumentTypes } = require('./documentTypes');
+const { EVIDENCE_CATEGORIES, compareEvidence, streamEvidenceFile } = require('./evidence');
+const { getIssuedPdf } = require('./issuedDocuments');
+const { renderTemplate } = require('./templateEngine');
+
+// Everything a paid case has, as one ZIP: every document type as a PDF, the
+// files uploaded as evidence, the intake as case.json, the lease excerpts
+// found at intake and an index.html that ties them together. Files are built
+// up front so a rendering error can still be reported before the ZIP starts
+// streaming; evidence originals, which can be large, are opened as streams
+// and only read while the ZIP is written.
+
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
+const indexTemplatePath = path.join(__dirname, '..', 'templates', 'packet-index.html');
+
+// Sections are the output of extractSections() in leaseSections.js.
+function formatLeaseExcerpts(sections) {
+  const lines = [
+    'Lease excerpts',
+    '',
+    'Passages found in the lease uploaded with the intake, grouped by topic. They are',
+    'copied from the lease as extracted and have not been reviewed or interpreted.',
+    '',
+  ];
+  sections.forEach((section) => {
+    lines.push(section.topic, section.summary);
+    (section.excerpts || []).forEach((excerpt) => {
+      // Leases read before excerpts cited pages stored them as plain strings.
+      const { text, page } = typeof excerpt === 'string' ? { text: excerpt, page: null } : excerpt;
+      lines.push(page ? `- "${text}" (page ${page})` : `- "${text}"`);
+    });
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+// Names inside the ZIP keep the tenant's filename, minus anything that could
+// be read as a path.
+function evidenceFileName(index, filename) {
+  const safeName = String(filename || 'file').replace(/[^\w.-]+/g, '_').replace(/^\.+/, '');
+  return `evidence/${String(index + 1).padStart(2, '0')}-${safeName || 'file'}`;
+}
+
+// Closes the evidence streams of a packet that will not be sent.
+function discardCasePacket(packet) {
+  packet.files.forEach((file) => {
+    if (typeof file.content.destroy === 'function') file.content.destroy();
+  });
+}
+
+async function addPacketFiles(storedCase, revision, files) {
+  const exportedAt = new Date().toISOString();
+  const documents = [];
+  const indexDocuments = [];
+
+  for (const [index, { docType }] of listDocumentTypes().entries()) {
+    const { pdfBuffer, document } = await getIssuedPdf(storedCase, revision, docType);
+    const name = `${String(index + 1).padStart(2, '0')}-${docType}.pdf`;
+    files.push({ name, content: pdfBuffer });
+    documents.push(document);
+    indexDocuments.push({
+      file: name,
+      title: getDocumentType(docType).title,
+      doc_id: document.docId,
+      fingerprint: document.fingerprint,
+    });
+  }
+
+  // A file missing from the file store is left out rather than failing the
+  // whole packet.
+  const indexEvidence = [];
+  for (const entry of [...(storedCase.evidence || [])].sort(compareEvidence)) {
+    const content = await streamEvidenceFile(storedCase.id, entry, 'original');
+    if (content) {
+      const name = evidenceFileName(indexEvidence.length, entry.filename);
+      files.push({ name, content });
+      indexEvidence.push({
+        file: name,
+        category: EVIDENCE_CATEGORIES[entry.category] || entry.category,
+        taken_at: entry.takenAt,
+        caption: entry.caption,
+      });
+    }
+  }
+
+  const otherFiles = [];
+  // The lease stored with the case, or for cases started before leases were
+  // stored, the excerpts the intake page kept with the draft.
+  const leaseRecord = storedCase.lease || storedCase.draftLease;
+  const sections = leaseRecord && Array.isArray(leaseRecord.sections) ? leaseRecord.sections : [];
+  if (sections.some((section) => Array.isArray(section.excerpts) && section.excerpts.length > 0)) {
+    files.push({ name: 'lease-excerpts.txt', content: formatLeaseExcerpts(sections) });
+    otherFiles.push({ name: 'lease-excerpts.txt', description: 'Passages found in your lease, by topic' });
+  }
+
+  files.push({
+    name: 'case.json',
+    content: JSON.stringify({
+      caseId: storedCase.id,
+      version: revision.revision,
+      exportedAt,
+      intake: revision.intake,
+    }, null, 2),
+  });
+  otherFiles.push({ name: 'case.json', description: 'Everything you entered in the intake, in machine-readable form' });
+
+  const tenant = revision.intake.tenant_information || {};
+  files.unshift({
+    name: 'index.html',
+    content: renderTemplate(fs.readFileSync(indexTemplatePath, 'utf8'), {
+      exported_at: exportedAt.slice(0, 10),
+      tenant_name: tenant.full_name || '',
+      case_id: storedCase.id,
+      version: revision.revision,
+      documents: indexDocuments,
+      evidence: indexEvidence,
+      other_files: otherFiles,
+      verify_url: `${CLIENT_ORIGIN}/verify`,
+      disclaimers: DISCLAIMERS,
+    }, { name: 'packet-index.html', filters: DOCUMENT_FILTERS }),
+  });
+
+  return documents;
+}
+
+// Returns { files, documents }: files are { name, content } to add to the
+// archive, with content a string, Buffer or readable stream; documents are
+// the generated-document entries to record on the case.
+async function buildCasePacket(storedCase, revision) {
+  const files = [];
+  try {
+    const documents = await addPacketFiles(storedCase, revision, files);
+    return { files, documents };
+  } catch (error) {
+    discardCasePacket({ files });
+    throw error;
+  }
+}
+
+module.exports = {
+  buildCasePacket,
+  discardCasePacket,
+};
@@ -0,0 +1,72 @@
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Applies a partial intake on top of the current one. Sections are merged
+// field by field; arrays and scalar values are replaced outright.
+function mergeIntake(current, changes) {
+  const merged = { ...current };
+  Object.keys(changes).forEach((key) => {
+    const value = changes[key];
+    merged[key] = isPlainObject(value) && isPlainObject(current[key])
+      ? mergeIntake(current[key], value)
+      : value;
+  });
+  return merged;
+}
+
+// Lists the dotted paths whose values differ between two intakes.
+function diffIntake(before, after, prefix = '') {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changed = [];
+
+  keys.forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const left = before ? before[key] : undefined;
+    const right = after ? after[key] : undefined;
+
+    if (isPlainObject(left) && isPlainObject(right)) {
+      changed.push(...diffIntake(left, right, path));
+    } else if (JSON.stringify(left) !== JSON.stringify(right)) {
+      changed.push(path);
+    }
+  });
+
+  return changed;
+}
+
+// Cases stored before revisions existed are treated as a single revision.
+function getRevisions(caseRecord) {
+  if (Array.isArray(caseRecord.revisions) && caseRecord.revisions.length > 0) {
+    return caseRecord.revisions;
+  }
+  return [{
+    revision: 1,
+    createdAt: caseRecord.createdAt,
+    editedBy: 'tenant',
+    changedFields: [],
+    intake: caseRecord.intake,
+  }];
+}
+
+function getCurrentRevision(caseRecord) {
+  const revisions = getRevisions(caseRecord);
+  return revisions[revisions.length - 1].revision;
+}
+
+function findRevision(caseRecord, revisionNumber) {
+  return getRevisions(caseRecord).find((entry) => entry.revision === revisionNumber) || null;
+}
+
+function summarizeRevisions(caseRecord) {
+  return getRevisions(caseRecord).map(({ intake, ...summary }) => summary);
+}
+
+module.exports = {
+  mergeIntake,
+  diffIntake,
+  getRevisions,
+  getCurrentRevision,
+  findRevision,
+  summarizeRevisions,
+};
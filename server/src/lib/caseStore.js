@@ -1,85 +1,301 @@
-const fs = require('fs');
-const path = require('path');
+const { createJsonFileStore } = require('./caseStores/jsonFileStore');
+const { createPostgresStore } = require('./caseStores/postgresStore');
+const { diffIntake, getRevisions } = require('./caseRevisions');
 
-const dataDir = path.join(__dirname, '..', '..', 'data');
-const dataFile = path.join(dataDir, 'cases.json');
-const caseStore = new Map();
+// Backends implement: init, save, get, update, removeExpiredDrafts,
+// findBySession, findByEmail, findByDocument, consumeLoginToken, list, close.
+//
+// update(caseId, changes) merges `changes` into the stored record. `changes`
+// may also be a synchronous function of the current record returning the
+// changes, or null to leave the record alone; the backend makes the read and
+// the write one step, so concurrent updates never overwrite each other.
+const STORE_FACTORIES = {
+  json: createJsonFileStore,
+  postgres: createPostgresStore,
+};
 
-function ensureStoreLoaded() {
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
+let activeStore = null;
 
-  if (!fs.existsSync(dataFile)) {
-    fs.writeFileSync(dataFile, '{}', 'utf8');
+function getStore() {
+  if (!activeStore) {
+    const backend = (process.env.CASE_STORE || 'json').toLowerCase();
+    const factory = STORE_FACTORIES[backend];
+    if (!factory) {
+      throw new Error(
+        `Unknown CASE_STORE "${backend}". Expected one of: ${Object.keys(STORE_FACTORIES).join(', ')}`
+      );
+    }
+    activeStore = factory();
   }
+  return activeStore;
+}
 
-  const raw = fs.readFileSync(dataFile, 'utf8');
-  try {
-    const parsed = JSON.parse(raw);
-    Object.keys(parsed).forEach((key) => {
-      caseStore.set(key, parsed[key]);
-    });
-  } catch (error) {
-    fs.writeFileSync(dataFile, '{}', 'utf8');
-  }
+async function initCaseStore() {
+  const store = getStore();
+  await store.init();
+  return store.name;
 }
 
-function persistStore() {
-  const payload = Object.fromEntries(caseStore.entries());
-  fs.writeFileSync(dataFile, JSON.stringify(payload, null, 2), 'utf8');
+async function closeCaseStore() {
+  if (activeStore) {
+    await activeStore.close();
+    activeStore = null;
+  }
 }
 
-ensureStoreLoaded();
+function initialRevision(intake, createdAt) {
+  return {
+    revision: 1,
+    createdAt,
+    editedBy: 'tenant',
+    changedFields: [],
+    intake,
+  };
+}
 
-function saveCase(caseId, payload) {
-  caseStore.set(caseId, {
+async function saveCase(caseId, payload) {
+  const createdAt = new Date().toISOString();
+  return getStore().save({
     id: caseId,
+    status: 'submitted',
     intake: payload,
-    createdAt: new Date().toISOString(),
+    revisions: [initialRevision(payload, createdAt)],
+    createdAt,
     paymentStatus: 'pending',
     stripeSessionId: null,
     paidAt: null,
     amount: 1999, // cents
   });
-  persistStore();
 }
 
-function getCase(caseId) {
-  return caseStore.get(caseId) || null;
+// Records created before drafts existed have no status and are submitted cases.
+function isDraft(caseRecord) {
+  return Boolean(caseRecord) && caseRecord.status === 'draft';
 }
 
-function updateCasePaymentStatus(caseId, paymentData) {
-  const existingCase = caseStore.get(caseId);
-  if (!existingCase) {
-    return null;
-  }
+// A draft is a case record that may be incomplete; it cannot be paid for or
+// turned into documents until promoteDraft() runs the full validation.
+async function saveDraft(caseId, intake, lease) {
+  const now = new Date().toISOString();
+  return getStore().save({
+    id: caseId,
+    status: 'draft',
+    intake,
+    draftLease: lease || null,
+    createdAt: now,
+    updatedAt: now,
+    paymentStatus: 'pending',
+    stripeSessionId: null,
+    paidAt: null,
+    amount: 1999, // cents
+  });
+}
+
+// updateDraft() and promoteDraft() return the updated draft, or null if the
+// case is gone or has already been submitted. The status is checked inside
+// the store update, so a late autosave cannot overwrite a submitted intake.
+async function updateDraft(caseId, intake, lease) {
+  let draft = false;
+  const updatedCase = await getStore().update(caseId, (existingCase) => {
+    draft = isDraft(existingCase);
+    if (!draft) {
+      return null;
+    }
+    const changes = { intake, updatedAt: new Date().toISOString() };
+    if (lease !== undefined) {
+      changes.draftLease = lease;
+    }
+    return changes;
+  });
+  return draft ? updatedCase : null;
+}
+
+async function promoteDraft(caseId, intake) {
+  let draft = false;
+  const updatedCase = await getStore().update(caseId, (existingCase) => {
+    draft = isDraft(existingCase);
+    if (!draft) {
+      return null;
+    }
+    const submittedAt = new Date().toISOString();
+    return {
+      status: 'submitted',
+      intake,
+      revisions: [initialRevision(intake, submittedAt)],
+      submittedAt,
+      updatedAt: submittedAt,
+    };
+  });
+  return draft ? updatedCase : null;
+}
+
+// Deletes drafts last saved before `updatedBefore` (an ISO timestamp) and
+// returns their records, so the caller can delete their files too.
+async function removeExpiredDrafts(updatedBefore) {
+  return getStore().removeExpiredDrafts(updatedBefore);
+}
+
+async function getCase(caseId) {
+  return getStore().get(caseId);
+}
+
+async function updateCase(caseId, changes) {
+  return getStore().update(caseId, changes);
+}
+
+// Stores a corrected intake as a new revision. Payment fields are untouched,
+// so a paid case stays paid. Returns { case, changedFields }.
+async function updateCaseIntake(caseId, intake, editedBy) {
+  let changedFields = [];
+  const updatedCase = await getStore().update(caseId, (existingCase) => {
+    changedFields = diffIntake(existingCase.intake, intake);
+    if (changedFields.length === 0) {
+      return null;
+    }
+
+    const revisions = getRevisions(existingCase);
+    return {
+      intake,
+      revisions: [
+        ...revisions,
+        {
+          revision: revisions[revisions.length - 1].revision + 1,
+          createdAt: new Date().toISOString(),
+          editedBy,
+          changedFields,
+          intake,
+        },
+      ],
+    };
+  });
+  return updatedCase ? { case: updatedCase, changedFields } : null;
+}
 
-  const updatedCase = {
-    ...existingCase,
+async function updateCasePaymentStatus(caseId, paymentData) {
+  return getStore().update(caseId, (existingCase) => ({
     paymentStatus: paymentData.paymentStatus || existingCase.paymentStatus,
     stripeSessionId: paymentData.stripeSessionId || existingCase.stripeSessionId,
     paidAt: paymentData.paidAt || existingCase.paidAt,
     amount: paymentData.amount || existingCase.amount,
-  };
+  }));
+}
+
+// Records that the tenant was sent the document stored under `sha256`. Each
+// distinct set of bytes gets one entry; serving it again bumps its counters.
+async function recordGeneratedDocument(caseId, document) {
+  const servedAt = new Date().toISOString();
+  return getStore().update(caseId, (existingCase) => {
+    const documents = existingCase.generatedDocuments || [];
+    const existing = documents.find(
+      (entry) => entry.cacheKey === document.cacheKey && entry.sha256 === document.sha256
+    );
+    const entry = existing
+      ? { ...existing, lastServedAt: servedAt, timesServed: existing.timesServed + 1 }
+      : { ...document, generatedAt: servedAt, lastServedAt: servedAt, timesServed: 1 };
+
+    return {
+      generatedDocuments: existing
+        ? documents.map((candidate) => (candidate === existing ? entry : candidate))
+        : [...documents, entry],
+    };
+  });
+}
 
-  caseStore.set(caseId, updatedCase);
-  persistStore();
-  return updatedCase;
+// Replaces the lease stored for a case. Returns { case, previous }, or null
+// if the case does not exist.
+async function saveCaseLease(caseId, lease) {
+  let previous = null;
+  const updatedCase = await getStore().update(caseId, (existingCase) => {
+    previous = existingCase.lease || null;
+    return { lease };
+  });
+  return updatedCase ? { case: updatedCase, previous } : null;
 }
 
-function getCaseBySessionId(sessionId) {
-  for (const [, caseData] of caseStore.entries()) {
-    if (caseData.stripeSessionId === sessionId) {
-      return caseData;
-    }
-  }
-  return null;
+// Forgets the lease and everything extracted from it, including the excerpts
+// a draft keeps for the intake page. Returns { case, removed }.
+async function removeCaseLease(caseId) {
+  let removed = null;
+  const updatedCase = await getStore().update(caseId, (existingCase) => {
+    removed = existingCase.lease || null;
+    return { lease: null, draftLease: null };
+  });
+  return updatedCase ? { case: updatedCase, removed } : null;
+}
+
+async function addCaseEvidence(caseId, entries) {
+  return getStore().update(caseId, (existingCase) => ({
+    evidence: [...(existingCase.evidence || []), ...entries],
+  }));
+}
+
+// Returns the updated case, or null if the case or the entry does not exist.
+async function updateCaseEvidence(caseId, evidenceId, changes) {
+  let found = false;
+  const updatedCase = await getStore().update(caseId, (existingCase) => {
+    const evidence = existingCase.evidence || [];
+    found = evidence.some((entry) => entry.id === evidenceId);
+    return found
+      ? { evidence: evidence.map((entry) => (entry.id === evidenceId ? { ...entry, ...changes } : entry)) }
+      : null;
+  });
+  return found ? updatedCase : null;
+}
+
+// Returns { case, removed }, or null if the case or the entry does not exist.
+async function removeCaseEvidence(caseId, evidenceId) {
+  let removed = null;
+  const updatedCase = await getStore().update(caseId, (existingCase) => {
+    const evidence = existingCase.evidence || [];
+    removed = evidence.find((entry) => entry.id === evidenceId) || null;
+    return removed ? { evidence: evidence.filter((entry) => entry !== removed) } : null;
+  });
+  return removed ? { case: updatedCase, removed } : null;
+}
+
+async function getCaseBySessionId(sessionId) {
+  return getStore().findBySession(sessionId);
+}
+
+async function getCaseByDocumentId(docId) {
+  return getStore().findByDocument(docId);
+}
+
+async function getCasesByEmail(email) {
+  return getStore().findByEmail(email);
+}
+
+// Returns true the first time a one-time token id is presented, false after.
+async function consumeLoginToken(jti, expiresAt) {
+  return getStore().consumeLoginToken(jti, expiresAt);
+}
+
+async function listCases() {
+  return getStore().list();
 }
 
 module.exports = {
+  initCaseStore,
+  closeCaseStore,
+  isDraft,
   saveCase,
+  saveDraft,
+  updateDraft,
+  promoteDraft,
+  removeExpiredDrafts,
   getCase,
+  updateCase,
+  updateCaseIntake,
   updateCasePaymentStatus,
+  recordGeneratedDocument,
+  saveCaseLease,
+  removeCaseLease,
+  addCaseEvidence,
+  updateCaseEvidence,
+  removeCaseEvidence,
   getCaseBySessionId,
+  getCaseByDocumentId,
+  getCasesByEmail,
+  consumeLoginToken,
+  listCases,
 };
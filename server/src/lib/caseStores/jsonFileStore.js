@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+
+const defaultDataFile = path.join(__dirname, '..', '..', '..', 'data', 'cases.json');
+
+const DEFAULT_COALESCE_MS = 25;
+const DEFAULT_SNAPSHOT_COUNT = 5;
+const DEFAULT_SNAPSHOT_INTERVAL_MS = 15 * 60 * 1000;
+
+class CaseStoreCorruptedError extends Error {
+  constructor(dataFile, cause, snapshots) {
+    const hint = snapshots.length > 0
+      ? ` The most recent snapshot is ${snapshots[snapshots.length - 1]}; restore it over ${dataFile} once you have inspected the damage.`
+      : ' No snapshots are available.';
+    super(`Case store file ${dataFile} could not be read (${cause.message}). Refusing to start so no cases are lost.${hint}`);
+    this.name = 'CaseStoreCorruptedError';
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createJsonFileStore(options = {}) {
+  const dataFile = options.dataFile || process.env.CASE_STORE_FILE || defaultDataFile;
+  const dataDir = path.dirname(dataFile);
+  const snapshotDir = path.join(dataDir, 'snapshots');
+  const snapshotPrefix = `${path.basename(dataFile, '.json')}-`;
+  const coalesceMs = options.coalesceMs ?? parseInt(process.env.CASE_STORE_COALESCE_MS || DEFAULT_COALESCE_MS, 10);
+  const snapshotCount = options.snapshotCount ?? parseInt(process.env.CASE_STORE_SNAPSHOTS || DEFAULT_SNAPSHOT_COUNT, 10);
+  const snapshotIntervalMs = options.snapshotIntervalMs ?? DEFAULT_SNAPSHOT_INTERVAL_MS;
+  // What is on disk. Readers only ever see this; changes wait in a batch until
+  // the write carrying them succeeds.
+  const cases = new Map();
+  // Used sign-in links are only tracked in memory: the JSON backend runs as a
+  // single instance and the links expire within minutes anyway.
+  const usedLoginTokens = new Map();
+
+  // Every change made before a flush starts shares that flush (`queued`);
+  // changes made while a write is in flight (`writing`) wait for it and go out
+  // in the next one. A batch maps case ids to their new record, or to null for
+  // a removed case. When a write fails, its changes are dropped, and so are
+  // the queued ones, which may have been built on top of them.
+  let queued = null;
+  let writing = null;
+  let lastSnapshotAt = 0;
+
+  function listSnapshots() {
+    if (!fs.existsSync(snapshotDir)) {
+      return [];
+    }
+    return fs
+      .readdirSync(snapshotDir)
+      .filter((file) => file.startsWith(snapshotPrefix) && file.endsWith('.json'))
+      .sort()
+      .map((file) => path.join(snapshotDir, file));
+  }
+
+  function ensureStoreLoaded() {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    if (!fs.existsSync(dataFile)) {
+      fs.writeFileSync(dataFile, '{}', 'utf8');
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+      if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('expected a JSON object of cases');
+      }
+    } catch (error) {
+      throw new CaseStoreCorruptedError(dataFile, error, listSnapshots());
+    }
+
+    Object.keys(parsed).forEach((key) => {
+      cases.set(key, parsed[key]);
+    });
+  }
+
+  async function writeFileAtomic(contents) {
+    const tempFile = `${dataFile}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tempFile, 'w');
+    try {
+      await handle.writeFile(contents, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tempFile, dataFile);
+  }
+
+  async function rotateSnapshots() {
+    if (snapshotCount <= 0 || Date.now() - lastSnapshotAt < snapshotIntervalMs) {
+      return;
+    }
+
+    await fs.promises.mkdir(snapshotDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await fs.promises.copyFile(dataFile, path.join(snapshotDir, `${snapshotPrefix}${stamp}.json`));
+    lastSnapshotAt = Date.now();
+
+    const snapshots = listSnapshots();
+    const expired = snapshots.slice(0, Math.max(0, snapshots.length - snapshotCount));
+    await Promise.all(expired.map((file) => fs.promises.unlink(file).catch(() => {})));
+  }
+
+  // The newest version of a case, saved or not. Changes are built from this so
+  // they never overwrite one another.
+  function latest(caseId) {
+    for (const batch of [queued, writing]) {
+      if (batch && batch.records.has(caseId)) {
+        return batch.records.get(caseId);
+      }
+    }
+    return cases.get(caseId) || null;
+  }
+
+  function latestRecords() {
+    const ids = new Set(cases.keys());
+    [queued, writing].forEach((batch) => {
+      if (batch) batch.records.forEach((caseRecord, caseId) => ids.add(caseId));
+    });
+    return Array.from(ids).map(latest).filter(Boolean);
+  }
+
+  async function writeBatch(batch) {
+    queued = null;
+    writing = batch;
+    try {
+      const payload = Object.fromEntries(cases.entries());
+      batch.records.forEach((caseRecord, caseId) => {
+        if (caseRecord) {
+          payload[caseId] = caseRecord;
+        } else {
+          delete payload[caseId];
+        }
+      });
+      await writeFileAtomic(JSON.stringify(payload, null, 2));
+    } catch (error) {
+      writing = null;
+      if (queued) {
+        queued.reject(error);
+        queued = null;
+      }
+      batch.reject(error);
+      return;
+    }
+
+    batch.records.forEach((caseRecord, caseId) => {
+      if (caseRecord) {
+        cases.set(caseId, caseRecord);
+      } else {
+        cases.delete(caseId);
+      }
+    });
+    writing = null;
+    await rotateSnapshots().catch((error) => {
+      console.error('Unable to write case store snapshot', error.message);
+    });
+    batch.resolve();
+  }
+
+  // Resolves once the change is on disk; a null record removes the case.
+  function persistRecord(caseId, caseRecord) {
+    if (!queued) {
+      const batch = { records: new Map() };
+      batch.done = new Promise((resolve, reject) => {
+        batch.resolve = resolve;
+        batch.reject = reject;
+      });
+      const previous = writing ? writing.done.catch(() => {}) : Promise.resolve();
+      previous
+        .then(() => delay(coalesceMs))
+        .then(() => {
+          // A failed write may have dropped this batch in the meantime.
+          if (queued === batch) {
+            return writeBatch(batch);
+          }
+          return undefined;
+        });
+      queued = batch;
+    }
+    queued.records.set(caseId, caseRecord);
+    return queued.done;
+  }
+
+  async function flush() {
+    while (queued || writing) {
+      await (queued || writing).done.catch(() => {});
+    }
+  }
+
+  return {
+    name: 'json',
+
+    async init() {
+      ensureStoreLoaded();
+      await rotateSnapshots();
+    },
+
+    async save(caseRecord) {
+      await persistRecord(caseRecord.id, caseRecord);
+      return caseRecord;
+    },
+
+    async get(caseId) {
+      return cases.get(caseId) || null;
+    },
+
+    async update(caseId, changes) {
+      const existingCase = latest(caseId);
+      if (!existingCase) {
+        return null;
+      }
+
+      // The updater runs synchronously against the latest record, so no other
+      // change can land between reading it and writing the result.
+      const applied = typeof changes === 'function' ? changes(existingCase) : changes;
+      if (!applied) {
+        return existingCase;
+      }
+
+      const updatedCase = { ...existingCase, ...applied };
+      await persistRecord(caseId, updatedCase);
+      return updatedCase;
+    },
+
+    async removeExpiredDrafts(updatedBefore) {
+      const expired = latestRecords().filter((caseData) => (
+        caseData.status === 'draft' && String(caseData.updatedAt || caseData.createdAt) < updatedBefore
+      ));
+      if (expired.length > 0) {
+        await Promise.all(expired.map((caseData) => persistRecord(caseData.id, null)));
+      }
+      return expired;
+    },
+
+    async findBySession(sessionId) {
+      for (const [, caseData] of cases.entries()) {
+        if (caseData.stripeSessionId === sessionId) {
+          return caseData;
+        }
+      }
+      return null;
+    },
+
+    async findByDocument(docId) {
+      for (const [, caseData] of cases.entries()) {
+        if ((caseData.generatedDocuments || []).some((document) => document.docId === docId)) {
+          return caseData;
+        }
+      }
+      return null;
+    },
+
+    async findByEmail(email) {
+      const wanted = String(email).trim().toLowerCase();
+      return Array.from(cases.values())
+        .filter((caseData) => {
+          const tenant = caseData.intake && caseData.intake.tenant_information;
+          return tenant && typeof tenant.email === 'string'
+            && tenant.email.trim().toLowerCase() === wanted;
+        })
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    },
+
+    async consumeLoginToken(jti, expiresAt) {
+      const now = Date.now();
+      for (const [key, expiry] of usedLoginTokens.entries()) {
+        if (expiry < now) usedLoginTokens.delete(key);
+      }
+      if (usedLoginTokens.has(jti)) {
+        return false;
+      }
+      usedLoginTokens.set(jti, new Date(expiresAt).getTime());
+      return true;
+    },
+
+    async list() {
+      return Array.from(cases.values());
+    },
+
+    async close() {
+      await flush();
+    },
+  };
+}
+
+module.exports = {
+  createJsonFileStore,
+  CaseStoreCorruptedError,
+};
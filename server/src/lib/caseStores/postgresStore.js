@@ -0,0 +1,149 @@
+const { Pool } = require('pg');
+const { runMigrations } = require('../migrations');
+
+function tenantEmailOf(caseRecord) {
+  const email = caseRecord.intake && caseRecord.intake.tenant_information
+    ? caseRecord.intake.tenant_information.email
+    : null;
+  return typeof email === 'string' ? email.trim().toLowerCase() : null;
+}
+
+function createPostgresStore(options = {}) {
+  const pool = new Pool({
+    connectionString: options.connectionString || process.env.DATABASE_URL,
+    max: parseInt(process.env.DATABASE_POOL_SIZE || '10', 10),
+  });
+
+  async function writeRecord(caseRecord) {
+    await pool.query(
+      `INSERT INTO cases (id, record, stripe_session_id, tenant_email, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (id) DO UPDATE
+         SET record = EXCLUDED.record,
+             stripe_session_id = EXCLUDED.stripe_session_id,
+             tenant_email = EXCLUDED.tenant_email,
+             updated_at = NOW()`,
+      [
+        caseRecord.id,
+        caseRecord,
+        caseRecord.stripeSessionId,
+        tenantEmailOf(caseRecord),
+        caseRecord.createdAt,
+      ]
+    );
+    return caseRecord;
+  }
+
+  return {
+    name: 'postgres',
+
+    async init() {
+      if (process.env.DATABASE_AUTO_MIGRATE !== 'false') {
+        await runMigrations(pool);
+      } else {
+        await pool.query('SELECT 1');
+      }
+    },
+
+    save: writeRecord,
+
+    async get(caseId) {
+      const { rows } = await pool.query('SELECT record FROM cases WHERE id = $1', [caseId]);
+      return rows.length > 0 ? rows[0].record : null;
+    },
+
+    async update(caseId, changes) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const { rows } = await client.query(
+          'SELECT record FROM cases WHERE id = $1 FOR UPDATE',
+          [caseId]
+        );
+        if (rows.length === 0) {
+          await client.query('ROLLBACK');
+          return null;
+        }
+
+        const applied = typeof changes === 'function' ? changes(rows[0].record) : changes;
+        if (!applied) {
+          await client.query('ROLLBACK');
+          return rows[0].record;
+        }
+
+        const updatedCase = { ...rows[0].record, ...applied };
+        await client.query(
+          `UPDATE cases
+             SET record = $2, stripe_session_id = $3, tenant_email = $4, updated_at = NOW()
+           WHERE id = $1`,
+          [caseId, updatedCase, updatedCase.stripeSessionId, tenantEmailOf(updatedCase)]
+        );
+        await client.query('COMMIT');
+        return updatedCase;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async removeExpiredDrafts(updatedBefore) {
+      const { rows } = await pool.query(
+        `DELETE FROM cases
+          WHERE record->>'status' = 'draft'
+            AND COALESCE(record->>'updatedAt', record->>'createdAt') < $1
+        RETURNING record`,
+        [updatedBefore]
+      );
+      return rows.map((row) => row.record);
+    },
+
+    async findBySession(sessionId) {
+      const { rows } = await pool.query(
+        'SELECT record FROM cases WHERE stripe_session_id = $1 LIMIT 1',
+        [sessionId]
+      );
+      return rows.length > 0 ? rows[0].record : null;
+    },
+
+    async findByDocument(docId) {
+      const { rows } = await pool.query(
+        `SELECT record FROM cases WHERE record->'generatedDocuments' @> $1::jsonb LIMIT 1`,
+        [JSON.stringify([{ docId }])]
+      );
+      return rows.length > 0 ? rows[0].record : null;
+    },
+
+    async findByEmail(email) {
+      const { rows } = await pool.query(
+        'SELECT record FROM cases WHERE tenant_email = $1 ORDER BY created_at DESC',
+        [String(email).trim().toLowerCase()]
+      );
+      return rows.map((row) => row.record);
+    },
+
+    async consumeLoginToken(jti, expiresAt) {
+      await pool.query('DELETE FROM login_tokens WHERE expires_at < NOW()');
+      const { rowCount } = await pool.query(
+        `INSERT INTO login_tokens (jti, expires_at) VALUES ($1, $2)
+         ON CONFLICT (jti) DO NOTHING`,
+        [jti, expiresAt]
+      );
+      return rowCount === 1;
+    },
+
+    async list() {
+      const { rows } = await pool.query('SELECT record FROM cases ORDER BY created_at');
+      return rows.map((row) => row.record);
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+module.exports = {
+  createPostgresStore,
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Rendered PDFs are stored by the SHA-256 of their bytes, so a file never
+// changes once written and the hash doubles as the HTTP ETag. Which file
+// belongs to which (case, revision, template version, document type) is
+// recorded on the case itself (see recordGeneratedDocument in caseStore.js).
+// Editing a case adds a revision and changing a template changes its
+// version, so either one produces a new cache key and a fresh render; so does
+// changing the photos (or their captions) that go into a photo appendix.
+
+const defaultCacheDir = path.join(__dirname, '..', '..', 'data', 'documents');
+
+function getCacheDir() {
+  return process.env.DOCUMENT_CACHE_DIR || defaultCacheDir;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function documentCacheKey({ caseId, revision, templateVersion, docType, evidence = [] }) {
+  return sha256(JSON.stringify([caseId, revision, templateVersion, docType, evidence]));
+}
+
+function documentPath(hash) {
+  if (!/^[a-f0-9]{64}$/.test(hash)) {
+    throw new Error(`Invalid document hash "${hash}".`);
+  }
+  return path.join(getCacheDir(), `${hash}.pdf`);
+}
+
+// Returns the stored bytes, or null if the file is gone (the cache directory
+// can be emptied at any time; documents are simply rendered again).
+async function readCachedDocument(hash) {
+  try {
+    return await fs.promises.readFile(documentPath(hash));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function hasCachedDocument(hash) {
+  try {
+    await fs.promises.access(documentPath(hash));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function writeCachedDocument(buffer) {
+  const hash = sha256(buffer);
+  const filePath = documentPath(hash);
+  if (!(await hasCachedDocument(hash))) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+  }
+  return { sha256: hash, size: buffer.length };
+}
+
+module.exports = {
+  documentCacheKey,
+  readCachedDocument,
+  sha256,
+  writeCachedDocument,
+};
@@ -1,96 +1,198 @@
 const fs = require('fs');
 const path = require('path');
-const puppeteer = require('puppeteer');
-
-const templatePath = path.join(
-  __dirname,
-  '..',
-  '..',
-  '..',
-  'ai',
-  'FIRST DOCUMENT TEMPLATE.txt'
-);
-
-function escapeHtml(value) {
-  return String(value)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
+const { DISCLAIMERS } = require('../config/disclaimers');
+const { getBrowserPool } = require('./browserPool');
+const { sha256 } = require('./documentCache');
+const {
+  createDocumentId,
+  documentFingerprint,
+  verificationQrCode,
+  verificationUrl,
+} = require('./documentVerification');
+const {
+  DEFAULT_DOCUMENT_TYPE,
+  DOCUMENT_FILTERS,
+  buildDocumentContext,
+  getDocumentType,
+  listDocumentTypes,
+} = require('./documentTypes');
+const { LanguageViolationError, lintHtml } = require('./languageLinter');
+const { TrustedHtml, renderTemplate } = require('./templateEngine');
+
+const templateDir = path.join(__dirname, '..', '..', '..', 'ai');
+
+// A layout is <name>.html (the page around the rendered template) plus an
+// optional <name>.header.html running header. Every layout shares
+// document.css, the photo appendix in appendix.html and the running footer in
+// footer.html, which carries the disclaimers, the verification details and
+// the page numbers.
+const layoutDir = path.join(__dirname, '..', 'templates', 'layouts');
 
-function formatDate(value) {
-  if (!value) return '';
-  return value;
+// "block" (default) refuses to produce a document that uses prohibited
+// language; "flag" only logs the violations.
+const lintMode = process.env.LANGUAGE_LINT_MODE === 'flag' ? 'flag' : 'block';
+
+function readFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n');
 }
 
-function buildLandlordAddress(landlordInfo) {
-  if (!landlordInfo) return '';
-  const parts = [
-    landlordInfo.landlord_address,
-    [landlordInfo.landlord_city, landlordInfo.landlord_state, landlordInfo.landlord_zip]
-      .filter(Boolean)
-      .join(', '),
-  ].filter(Boolean);
-  return parts.join('\n');
+function readTemplate(documentType) {
+  return readFile(path.join(templateDir, documentType.template));
 }
 
-function buildDocumentText(intake) {
-  const template = fs.readFileSync(templatePath, 'utf8');
-  const today = new Date().toISOString().slice(0, 10);
-
-  const landlordInfo = intake.landlord_information || {};
-
-  const replacements = {
-    '[Date]': today,
-    '[Landlord or Property Manager Name]': landlordInfo.landlord_name || '',
-    '[Landlord Address]': buildLandlordAddress(landlordInfo),
-    '[TENANT NAME]': intake.tenant_information.full_name || '',
-    '[PROPERTY ADDRESS]': intake.property_information.property_address || '',
-    '[MOVE-OUT DATE]': formatDate(intake.move_out_information.move_out_date),
-    '[DEPOSIT AMOUNT]': intake.security_deposit_information.deposit_amount || '',
-    '[FORWARDING ADDRESS DATE]': formatDate(
-      intake.move_out_information.forwarding_address_date
-    ),
+function readLayout(layout) {
+  const headerPath = path.join(layoutDir, `${layout}.header.html`);
+  return {
+    page: readFile(path.join(layoutDir, `${layout}.html`)),
+    header: fs.existsSync(headerPath) ? readFile(headerPath) : null,
+    footer: readFile(path.join(layoutDir, 'footer.html')),
+    appendix: readFile(path.join(layoutDir, 'appendix.html')),
+    styles: readFile(path.join(layoutDir, 'document.css')),
   };
+}
 
-  let result = template;
-  Object.keys(replacements).forEach((key) => {
-    result = result.replace(key, replacements[key]);
+// Every file that goes into a document type, named for error messages.
+function documentSources(documentType) {
+  const layout = readLayout(documentType.layout);
+  return [
+    [documentType.template, readTemplate(documentType)],
+    [`layouts/${documentType.layout}.html`, layout.page],
+    [`layouts/${documentType.layout}.header.html`, layout.header],
+    ['layouts/footer.html', layout.footer],
+    ['layouts/appendix.html', layout.appendix],
+    ['layouts/document.css', layout.styles],
+  ].filter(([, source]) => source !== null);
+}
+
+// Checked once at startup: a template or layout that uses prohibited
+// language would put it into every document, whatever the tenant entered.
+// Throws a LanguageViolationError whose violations also carry the file and
+// line.
+function lintTemplates() {
+  const violations = [];
+  const checked = new Set();
+  listDocumentTypes().forEach(({ docType }) => {
+    documentSources(getDocumentType(docType)).forEach(([name, source]) => {
+      if (checked.has(name)) return;
+      checked.add(name);
+      lintHtml(source).forEach((violation) => {
+        violations.push({
+          ...violation,
+          template: name,
+          line: source.slice(0, violation.start).split('\n').length,
+        });
+      });
+    });
   });
 
-  return result;
+  if (violations.length > 0) {
+    throw new LanguageViolationError('Document templates', violations);
+  }
+}
+
+// Changes whenever anything that shapes the rendered PDF (the template, its
+// layout, the styles or the disclaimers) changes; part of the document cache
+// key.
+function getTemplateVersion(docType) {
+  const documentType = getDocumentType(docType);
+  if (!documentType) {
+    throw new Error(`Unknown document type "${docType}".`);
+  }
+  const sources = documentSources(documentType).map(([, source]) => source);
+  return sha256([...sources, ...DISCLAIMERS].join('\n')).slice(0, 16);
 }
 
-async function generatePdfBuffer(intake) {
-  const text = buildDocumentText(intake);
-  const html = `<!doctype html>
-<html>
-  <head>
-    <meta charset="utf-8" />
-    <title>Informational Summary</title>
-    <style>
-      body { font-family: Arial, sans-serif; margin: 48px; color: #111; }
-      pre { white-space: pre-wrap; line-height: 1.5; font-size: 12pt; }
-    </style>
-  </head>
-  <body>
-    <pre>${escapeHtml(text)}</pre>
-  </body>
-</html>`;
-
-  const browser = await puppeteer.launch({
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+// Returns the document body as HTML. Throws a TemplateError if the template
+// is malformed or refers to a field the intake does not have.
+function buildDocumentText(intake, docType = DEFAULT_DOCUMENT_TYPE) {
+  const documentType = getDocumentType(docType);
+  if (!documentType) {
+    throw new Error(`Unknown document type "${docType}".`);
+  }
+
+  return renderTemplate(readTemplate(documentType), buildDocumentContext(intake), {
+    name: documentType.template,
+    filters: DOCUMENT_FILTERS,
+  });
+}
+
+// Throws a LanguageViolationError (or only logs, in "flag" mode) if any of the
+// rendered parts uses prohibited language.
+function checkDocumentLanguage(docType, parts) {
+  const violations = parts.flatMap((part) => lintHtml(part));
+  if (violations.length > 0) {
+    if (lintMode === 'block') {
+      throw new LanguageViolationError(`The ${docType} document`, violations);
+    }
+    console.warn(`The ${docType} document uses prohibited language:`, violations.map((violation) => violation.text));
+  }
+}
+
+// Renders the PDF stamped with `options.docId` (a new ID when omitted).
+// `options.photos` (see loadAppendixPhotos in evidence.js) are added as an
+// appendix to document types that have one. Returns { pdfBuffer, docId,
+// fingerprint }.
+async function generateDocument(intake, docType = DEFAULT_DOCUMENT_TYPE, options = {}) {
+  const documentType = getDocumentType(docType);
+  const text = buildDocumentText(intake, docType);
+  const docId = options.docId || createDocumentId();
+  const layout = readLayout(documentType.layout);
+  const baseContext = buildDocumentContext(intake);
+
+  const photos = documentType.photoAppendix ? options.photos || [] : [];
+  const appendix = photos.length > 0
+    ? renderTemplate(layout.appendix, { ...baseContext, photos }, {
+      name: 'layouts/appendix.html',
+      filters: DOCUMENT_FILTERS,
+    })
+    : '';
+  // The appendix is part of what the fingerprint vouches for.
+  const fingerprint = documentFingerprint(docId, appendix ? `${text}\n${appendix}` : text);
+
+  const context = {
+    ...baseContext,
+    title: documentType.title,
+    subject: documentType.subject,
+    body: new TrustedHtml(text),
+    appendix: new TrustedHtml(appendix),
+    styles: new TrustedHtml(layout.styles),
+    disclaimers: DISCLAIMERS,
+    verification: {
+      doc_id: docId,
+      fingerprint,
+      short_fingerprint: fingerprint.slice(0, 16),
+      url: verificationUrl(docId),
+      qr_code: await verificationQrCode(docId),
+    },
+  };
+  const render = (source, name) => renderTemplate(source, context, { name, filters: DOCUMENT_FILTERS });
+
+  const html = render(layout.page, `layouts/${documentType.layout}.html`);
+  const headerTemplate = layout.header
+    ? render(layout.header, `layouts/${documentType.layout}.header.html`)
+    : '<span></span>';
+  const footerTemplate = render(layout.footer, 'layouts/footer.html');
+
+  checkDocumentLanguage(docType, [html, headerTemplate, footerTemplate]);
+
+  const pdfBuffer = await getBrowserPool().render(async (page) => {
+    await page.setContent(html, { waitUntil: 'load' });
+    return page.pdf({
+      printBackground: true,
+      preferCSSPageSize: true,
+      displayHeaderFooter: true,
+      headerTemplate,
+      footerTemplate,
+    });
   });
-  const page = await browser.newPage();
-  await page.setContent(html, { waitUntil: 'load' });
-  const pdfBuffer = await page.pdf({ format: 'Letter', printBackground: true });
-  await browser.close();
 
-  return pdfBuffer;
+  return { pdfBuffer, docId, fingerprint };
 }
 
 module.exports = {
-  generatePdfBuffer,
+  buildDocumentText,
+  checkDocumentLanguage,
+  generateDocument,
+  getTemplateVersion,
+  lintTemplates,
 };
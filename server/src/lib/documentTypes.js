@@ -0,0 +1,163 @@
+const { applySchemaDefaults } = require('./jsonSchema');
+const { intakeSchema } = require('./intakeValidation');
+const { parseCurrency, formatCurrency } = require('./money');
+
+// Every document a paid case can download. Templates live in ai/ next to the
+// original letter template and are written in the language described in
+// templateEngine.js, rendered against the context built below.
+
+// Display labels for coded answers ("partial", "unpaid_rent", ...), taken
+// from the titles on the intake schema's oneOf options.
+function collectLabels(node, labels = {}) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectLabels(child, labels));
+  } else if (node && typeof node === 'object') {
+    if (Array.isArray(node.oneOf)) {
+      node.oneOf
+        .filter((option) => typeof option.const === 'string' && option.title)
+        .forEach((option) => {
+          labels[option.const] = option.title;
+        });
+    }
+    Object.keys(node).forEach((key) => collectLabels(node[key], labels));
+  }
+  return labels;
+}
+
+const ANSWER_LABELS = collectLabels(intakeSchema);
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function parseIsoDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+const DOCUMENT_FILTERS = {
+  // "2025-01-02" -> "January 2, 2025"; anything else is shown as entered.
+  date: (value) => {
+    const date = parseIsoDate(value);
+    return date
+      ? date.toLocaleDateString('en-US', { timeZone: 'UTC', year: 'numeric', month: 'long', day: 'numeric' })
+      : value;
+  },
+  // Amounts as entered ("1200", "$1,200") or cents (numbers) -> "$1,200.00".
+  currency: (value) => {
+    if (typeof value === 'number') return formatCurrency(value);
+    const cents = parseCurrency(value);
+    return cents === null ? value : formatCurrency(cents);
+  },
+  label: (value) => (Array.isArray(value)
+    ? value.map((item) => ANSWER_LABELS[item] || item)
+    : ANSWER_LABELS[value] || value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  default: (value, fallback = '') => (isBlank(value) ? fallback : value),
+  add_days: (value, days = 0) => {
+    const date = parseIsoDate(value);
+    if (!date) return value;
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  },
+};
+
+function buildLandlordAddress(landlordInfo) {
+  const parts = [
+    landlordInfo.landlord_address,
+    [
+      landlordInfo.landlord_city,
+      [landlordInfo.landlord_state, landlordInfo.landlord_zip].filter(Boolean).join(' '),
+    ]
+      .filter(Boolean)
+      .join(', '),
+  ].filter(Boolean);
+  return parts.join('\n');
+}
+
+// The dates the tenant entered, oldest first, for the timeline reference.
+function buildTimeline(filled) {
+  return [
+    [filled.security_deposit_information.deposit_paid_date, 'Deposit paid'],
+    [filled.lease_information.lease_start_date, 'Lease started'],
+    [filled.lease_information.lease_end_date, 'Lease ended'],
+    [filled.move_out_information.move_out_date, 'Tenant moved out'],
+    [filled.move_out_information.forwarding_address_date, 'Forwarding address provided'],
+    [filled.post_move_out_communications.date_itemized_list_received, 'Itemized list of deductions received'],
+  ]
+    .filter(([date]) => Boolean(date))
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([date, event]) => ({ date, event }));
+}
+
+// The intake with every schema field present (missing ones are null), plus a
+// few values templates cannot work out themselves.
+function buildDocumentContext(intake) {
+  const filled = applySchemaDefaults(intakeSchema, intake);
+
+  return {
+    ...filled,
+    today: new Date().toISOString().slice(0, 10),
+    landlord_address: buildLandlordAddress(filled.landlord_information),
+    deductions_total: filled.deductions.reduce((sum, deduction) => sum + (parseCurrency(deduction.amount) || 0), 0),
+    timeline: buildTimeline(filled),
+  };
+}
+
+// `layout` names the page layout in src/templates/layouts that wraps the
+// rendered template; `subject` is the heading (or "Re:" line) it shows.
+// `photoAppendix` types end with the photos the tenant attached to the case.
+const DOCUMENT_TYPES = {
+  summary: {
+    title: 'Informational summary',
+    description: 'A plain-language summary of the facts you entered.',
+    template: 'SUMMARY TEMPLATE.txt',
+    layout: 'report',
+    subject: 'Security Deposit – Informational Summary',
+    photoAppendix: true,
+  },
+  letter: {
+    title: 'Informational letter',
+    description: 'A neutral, informational letter addressed to your landlord or property manager.',
+    template: 'FIRST DOCUMENT TEMPLATE.txt',
+    layout: 'letter',
+    subject: 'Security Deposit – Informational Summary',
+    photoAppendix: true,
+  },
+  checklist: {
+    title: 'Record-keeping checklist',
+    description: 'Records tenants commonly keep, marked with what your intake already includes.',
+    template: 'CHECKLIST TEMPLATE.txt',
+    layout: 'report',
+    subject: 'Security Deposit – Record-Keeping Checklist',
+  },
+  timeline: {
+    title: 'Timeline reference',
+    description: 'The dates you entered in order, with an informational 30-day reference date.',
+    template: 'TIMELINE TEMPLATE.txt',
+    layout: 'report',
+    subject: 'Security Deposit – Timeline Reference',
+  },
+};
+
+const DEFAULT_DOCUMENT_TYPE = 'letter';
+
+function getDocumentType(docType) {
+  return Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, docType) ? DOCUMENT_TYPES[docType] : null;
+}
+
+function listDocumentTypes() {
+  return Object.keys(DOCUMENT_TYPES).map((docType) => ({
+    docType,
+    title: DOCUMENT_TYPES[docType].title,
+    description: DOCUMENT_TYPES[docType].description,
+  }));
+}
+
+module.exports = {
+  DEFAULT_DOCUMENT_TYPE,
+  DOCUMENT_FILTERS,
+  buildDocumentContext,
+  getDocumentType,
+  listDocumentTypes,
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { sha256 } = require('./documentCache');
+
+// Every rendered PDF carries a document ID and a fingerprint in its footer.
+// Anyone holding the PDF can look the ID up on the public /verify page, which
+// shows when it was generated and checks an uploaded copy against the exact
+// bytes we sent, without revealing anything the tenant entered.
+
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
+
+// No 0/O or 1/I, so IDs survive being read aloud or retyped from paper.
+const ID_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const DOCUMENT_ID_PATTERN = /^DD(-[2-9A-HJ-NP-Z]{4}){3}$/;
+
+function createDocumentId() {
+  const characters = Array.from(crypto.randomBytes(12), (byte) => ID_ALPHABET[byte % ID_ALPHABET.length]);
+  return `DD-${characters.slice(0, 4).join('')}-${characters.slice(4, 8).join('')}-${characters.slice(8).join('')}`;
+}
+
+// Accepts IDs typed in lower case or with stray spaces.
+function normalizeDocumentId(value) {
+  const docId = String(value || '').trim().toUpperCase().replace(/\s+/g, '');
+  return DOCUMENT_ID_PATTERN.test(docId) ? docId : null;
+}
+
+// SHA-256 of the document ID and the rendered text. It is printed on the PDF,
+// so it cannot cover the PDF bytes themselves; those are checked on upload.
+function documentFingerprint(docId, text) {
+  return sha256(`${docId}\n${text}`);
+}
+
+function verificationUrl(docId) {
+  return `${CLIENT_ORIGIN}/verify?doc=${encodeURIComponent(docId)}`;
+}
+
+function verificationQrCode(docId) {
+  return QRCode.toDataURL(verificationUrl(docId), { errorCorrectionLevel: 'M', margin: 1, width: 160 });
+}
+
+module.exports = {
+  createDocumentId,
+  documentFingerprint,
+  normalizeDocumentId,
+  verificationQrCode,
+  verificationUrl,
+};
@@ -0,0 +1,224 @@
+const {
+  AlignmentType,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  Packer,
+  PageNumber,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} = require('docx');
+const { DISCLAIMERS } = require('../config/disclaimers');
+const { DEFAULT_DOCUMENT_TYPE, DOCUMENT_FILTERS, buildDocumentContext, getDocumentType } = require('./documentTypes');
+const { buildDocumentText, checkDocumentLanguage } = require('./documentGenerator');
+
+// An editable Word copy of a document. It is built from the same rendered
+// template as the PDF, so the wording matches; the layout (address blocks,
+// headings, running header and footer) mirrors src/templates/layouts. It has
+// no document ID or fingerprint since the tenant is expected to edit it.
+
+const TWIPS_PER_INCH = 1440;
+const FONT = 'Georgia';
+const SMALL_PRINT = 14; // half-points, i.e. 7pt
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, '')).trim();
+}
+
+// Lines separated by a blank line form one paragraph, keeping the template's
+// own line breaks inside it; "- " lines become bullets.
+function textParagraphs(text) {
+  const paragraphs = [];
+  let lines = [];
+  const flush = () => {
+    if (lines.length > 0) {
+      paragraphs.push(new Paragraph({
+        spacing: { after: 160 },
+        children: lines.map((line, index) => new TextRun({
+          text: decodeEntities(line),
+          ...(index > 0 ? { break: 1 } : {}),
+        })),
+      }));
+      lines = [];
+    }
+  };
+
+  text.split('\n').forEach((line) => {
+    if (line.startsWith('- ')) {
+      flush();
+      paragraphs.push(new Paragraph({ text: decodeEntities(line.slice(2)), bullet: { level: 0 } }));
+    } else if (line.trim() === '') {
+      flush();
+    } else {
+      lines.push(line);
+    }
+  });
+  flush();
+  return paragraphs;
+}
+
+function isInside(html, tag, index) {
+  return html.lastIndexOf(`<${tag}>`, index) > html.lastIndexOf(`</${tag}>`, index);
+}
+
+// Templates only use simple tables: <thead>/<tbody>/<tfoot> rows of <th>/<td>
+// cells, optionally with colspan and class="amount".
+function convertTable(html) {
+  const rows = [];
+  const rowPattern = /<tr>([\s\S]*?)<\/tr>/g;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(html)) !== null) {
+    const inFooter = isInside(html, 'tfoot', rowMatch.index);
+    const cells = [];
+    const cellPattern = /<(th|td)([^>]*)>([\s\S]*?)<\/\1>/g;
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+      const [, tag, attributes, content] = cellMatch;
+      const colspan = /colspan="(\d+)"/.exec(attributes);
+      cells.push(new TableCell({
+        columnSpan: colspan ? parseInt(colspan[1], 10) : 1,
+        children: [new Paragraph({
+          alignment: /class="amount"/.test(attributes) ? AlignmentType.RIGHT : AlignmentType.LEFT,
+          children: [new TextRun({ text: stripTags(content), bold: tag === 'th' || inFooter })],
+        })],
+      }));
+    }
+    rows.push(new TableRow({ children: cells, tableHeader: isInside(html, 'thead', rowMatch.index) }));
+  }
+  return new Table({ rows, width: { size: 100, type: WidthType.PERCENTAGE } });
+}
+
+// The rendered template is plain text with the odd <table>.
+function convertBody(text) {
+  const blocks = [];
+  const tablePattern = /<table>[\s\S]*?<\/table>/g;
+  let cursor = 0;
+  let match;
+  while ((match = tablePattern.exec(text)) !== null) {
+    blocks.push(...textParagraphs(text.slice(cursor, match.index)));
+    blocks.push(convertTable(match[0]));
+    cursor = match.index + match[0].length;
+  }
+  blocks.push(...textParagraphs(text.slice(cursor)));
+  return blocks;
+}
+
+function letterHeading(context, documentType) {
+  const tenant = context.tenant_information;
+  return [
+    new Paragraph({ alignment: AlignmentType.RIGHT, text: DOCUMENT_FILTERS.date(context.today) }),
+    new Paragraph({ children: [new TextRun({ text: tenant.full_name || '', bold: true })] }),
+    new Paragraph({ text: tenant.email || '' }),
+    ...(tenant.phone ? [new Paragraph({ text: tenant.phone })] : []),
+    new Paragraph({ text: '' }),
+    new Paragraph({ text: context.landlord_information.landlord_name || '' }),
+    ...context.landlord_address.split('\n').map((line) => new Paragraph({ text: line })),
+    new Paragraph({ text: '' }),
+    new Paragraph({ children: [new TextRun({ text: `Re: ${documentType.subject}`, bold: true })] }),
+    new Paragraph({ text: '' }),
+  ];
+}
+
+function reportHeading(context, documentType) {
+  return [
+    new Paragraph({ heading: HeadingLevel.HEADING_1, text: documentType.subject }),
+    new Paragraph({
+      text: `Prepared on ${DOCUMENT_FILTERS.date(context.today)} for ${context.tenant_information.full_name}`,
+    }),
+    new Paragraph({ text: `Property: ${context.property_information.property_address}` }),
+    new Paragraph({ text: '' }),
+  ];
+}
+
+function runningHeader(context, documentType) {
+  if (documentType.layout !== 'report') {
+    return undefined;
+  }
+  return new Header({
+    children: [new Paragraph({
+      alignment: AlignmentType.RIGHT,
+      children: [new TextRun({
+        text: `${documentType.subject} · ${context.tenant_information.full_name}`,
+        size: SMALL_PRINT,
+        color: '777777',
+      })],
+    })],
+  });
+}
+
+function runningFooter() {
+  return new Footer({
+    children: [
+      new Paragraph({
+        children: [new TextRun({ text: DISCLAIMERS.join(' '), size: SMALL_PRINT, color: '555555' })],
+      }),
+      new Paragraph({
+        alignment: AlignmentType.RIGHT,
+        children: [new TextRun({
+          children: ['Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES],
+          size: SMALL_PRINT,
+          color: '555555',
+        })],
+      }),
+    ],
+  });
+}
+
+async function generateDocx(intake, docType = DEFAULT_DOCUMENT_TYPE) {
+  const documentType = getDocumentType(docType);
+  const text = buildDocumentText(intake, docType);
+  checkDocumentLanguage(docType, [text]);
+
+  const context = buildDocumentContext(intake);
+  const header = runningHeader(context, documentType);
+  const document = new Document({
+    title: documentType.title,
+    creator: 'DepositDefender',
+    styles: { default: { document: { run: { font: FONT, size: 22 } } } },
+    sections: [{
+      properties: {
+        page: {
+          size: { width: 8.5 * TWIPS_PER_INCH, height: 11 * TWIPS_PER_INCH },
+          margin: {
+            top: 0.75 * TWIPS_PER_INCH,
+            right: 0.75 * TWIPS_PER_INCH,
+            bottom: 1.1 * TWIPS_PER_INCH,
+            left: 0.75 * TWIPS_PER_INCH,
+          },
+        },
+      },
+      ...(header ? { headers: { default: header } } : {}),
+      footers: { default: runningFooter() },
+      children: [
+        ...(documentType.layout === 'letter'
+          ? letterHeading(context, documentType)
+          : reportHeading(context, documentType)),
+        ...convertBody(text),
+        new Paragraph({ text: '' }),
+        ...DISCLAIMERS.map((line) => new Paragraph({
+          children: [new TextRun({ text: line, size: 17, color: '444444' })],
+        })),
+      ],
+    }],
+  });
+
+  return Packer.toBuffer(document);
+}
+
+module.exports = {
+  generateDocx,
+};
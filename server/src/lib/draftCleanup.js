@@ -0,0 +1,84 @@
+const { removeExpiredDrafts } = require('./caseStore');
+const { deleteEvidenceFiles } = require('./evidence');
+const { deleteLeaseFile } = require('./leaseStorage');
+
+// Drafts are created without signing in, so the ones nobody has saved for
+// DRAFT_TTL_DAYS are deleted, files included, by a sweep that runs every
+// DRAFT_CLEANUP_INTERVAL_MS while the server is up.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function getDraftTtlMs() {
+  return readPositiveInt(process.env.DRAFT_TTL_DAYS, 30) * DAY_MS;
+}
+
+// Returns how many drafts were deleted. A file that cannot be deleted is
+// logged and left behind; the draft itself is already gone.
+async function sweepExpiredDrafts(now = Date.now()) {
+  const expired = await removeExpiredDrafts(new Date(now - getDraftTtlMs()).toISOString());
+  await Promise.all(expired.map(async (draft) => {
+    const deletions = (draft.evidence || []).map((entry) => deleteEvidenceFiles(draft.id, entry));
+    if (draft.lease && draft.lease.sha256) {
+      deletions.push(deleteLeaseFile(draft.id, draft.lease));
+    }
+    const results = await Promise.allSettled(deletions);
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach((result) => {
+        console.error('Unable to delete a file of an expired draft', {
+          caseId: draft.id,
+          message: result.reason && result.reason.message,
+        });
+      });
+  }));
+  if (expired.length > 0) {
+    console.log('Expired drafts deleted', { count: expired.length });
+  }
+  return expired.length;
+}
+
+let sweepTimer = null;
+let runningSweep = null;
+
+function runSweep() {
+  if (!runningSweep) {
+    runningSweep = sweepExpiredDrafts()
+      .catch((error) => {
+        console.error('Unable to delete expired drafts', error.message);
+      })
+      .finally(() => {
+        runningSweep = null;
+      });
+  }
+  return runningSweep;
+}
+
+function startDraftCleanup() {
+  if (!sweepTimer) {
+    runSweep();
+    sweepTimer = setInterval(runSweep, readPositiveInt(process.env.DRAFT_CLEANUP_INTERVAL_MS, 60 * 60 * 1000));
+    sweepTimer.unref();
+  }
+}
+
+// Stops the timer and waits for a sweep in progress.
+async function stopDraftCleanup() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+  if (runningSweep) {
+    await runningSweep;
+  }
+}
+
+module.exports = {
+  startDraftCleanup,
+  stopDraftCleanup,
+  sweepExpiredDrafts,
+};
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const exifr = require('exifr');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { sha256 } = require('./documentCache');
+const { getFileStore } = require('./fileStore');
+const { renderPdfPageToPng } = require('./pdfOcr');
+
+// Photos and papers a tenant attaches to a case (move-in and move-out photos,
+// receipts). The case record keeps one entry per upload under `evidence`; the
+// bytes live in the file store as the original, a thumbnail for the case pages
+// and, for photos, a smaller display copy used by the PDF photo appendix.
+
+const EVIDENCE_KINDS = {
+  'image/jpeg': 'photo',
+  'image/jpg': 'photo',
+  'image/png': 'photo',
+  'image/webp': 'photo',
+  'application/pdf': 'document',
+};
+
+// In the order the photo appendix lists them.
+const EVIDENCE_CATEGORIES = {
+  move_in: 'Move-in',
+  move_out: 'Move-out',
+  receipt: 'Receipt',
+  other: 'Other',
+};
+
+const MAX_EVIDENCE_PER_CASE = 50;
+const MAX_CAPTION_LENGTH = 500;
+const THUMBNAIL_SIZE = 320;
+const DISPLAY_SIZE = 1600;
+const FILE_VARIANTS = ['original', 'thumbnail', 'display'];
+
+class InvalidEvidenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidEvidenceError';
+  }
+}
+
+function evidenceFileKey(caseId, evidenceId, variant) {
+  return `evidence/${caseId}/${evidenceId}/${variant}`;
+}
+
+function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+// Validates the fields a tenant can set on an upload. With `partial`, only the
+// fields present are checked (for edits). Returns { details, errors }.
+function normalizeEvidenceDetails(input, { partial = false } = {}) {
+  const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const details = {};
+  const errors = [];
+
+  if (!partial || source.caption !== undefined) {
+    const caption = typeof source.caption === 'string' ? source.caption.trim() : '';
+    if (source.caption !== undefined && source.caption !== null && typeof source.caption !== 'string') {
+      errors.push({ path: 'caption', message: 'Caption must be text.' });
+    } else if (caption.length > MAX_CAPTION_LENGTH) {
+      errors.push({ path: 'caption', message: `Caption must be at most ${MAX_CAPTION_LENGTH} characters.` });
+    }
+    details.caption = caption;
+  }
+
+  if (!partial || source.takenAt !== undefined) {
+    const takenAt = source.takenAt === '' || source.takenAt === undefined ? null : source.takenAt;
+    if (takenAt !== null && !isIsoDate(takenAt)) {
+      errors.push({ path: 'takenAt', message: 'Date must be in YYYY-MM-DD format.' });
+    }
+    details.takenAt = takenAt;
+  }
+
+  if (!partial || source.category !== undefined) {
+    const category = source.category === undefined || source.category === '' ? 'other' : source.category;
+    if (!Object.prototype.hasOwnProperty.call(EVIDENCE_CATEGORIES, category)) {
+      errors.push({
+        path: 'category',
+        message: `Category must be one of: ${Object.keys(EVIDENCE_CATEGORIES).join(', ')}.`,
+      });
+    }
+    details.category = category;
+  }
+
+  if (source.includeInDocuments !== undefined) {
+    if (typeof source.includeInDocuments !== 'boolean') {
+      errors.push({ path: 'includeInDocuments', message: 'includeInDocuments must be true or false.' });
+    }
+    details.includeInDocuments = source.includeInDocuments;
+  }
+
+  return { details, errors };
+}
+
+// EXIF dates carry no time zone, so they are kept as the camera's local time
+// ("2024-05-01T10:22:33"). Returns {} for images without usable EXIF.
+async function readExif(buffer) {
+  let tags;
+  try {
+    tags = await exifr.parse(buffer, {
+      pick: ['DateTimeOriginal', 'CreateDate', 'ModifyDate'],
+      reviveValues: false,
+      translateValues: false,
+    });
+  } catch (error) {
+    return {};
+  }
+  if (!tags) {
+    return {};
+  }
+
+  const raw = [tags.DateTimeOriginal, tags.CreateDate, tags.ModifyDate]
+    .find((value) => typeof value === 'string' && /^\d{4}:\d{2}:\d{2} \d{2}:\d{2}:\d{2}/.test(value));
+  const takenAt = raw ? `${raw.slice(0, 10).replace(/:/g, '-')}T${raw.slice(11, 19)}` : null;
+  return { takenAt: takenAt && isIsoDate(takenAt.slice(0, 10)) ? takenAt : null };
+}
+
+// A JPEG no larger than `maxSize` on its longest side. loadImage has already
+// turned photos upright according to their EXIF orientation.
+async function encodeScaled(image, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; PNG screenshots get a white background.
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  return canvas.encode('jpeg', 82);
+}
+
+async function renderFirstPdfPage(buffer) {
+  const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await pdfjsLib.getDocument({ data: Uint8Array.from(buffer) }).promise;
+  try {
+    const page = await pdf.getPage(1);
+    return await loadImage(await renderPdfPageToPng(page, 1));
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Throws an InvalidEvidenceError for unsupported or unreadable images. A PDF
+// whose first page cannot be drawn is still accepted, without a thumbnail.
+async function prepareEvidenceFile(file) {
+  const kind = EVIDENCE_KINDS[file.mimetype];
+  if (!kind) {
+    throw new InvalidEvidenceError(`${file.originalname} is not a supported file. Please upload photos (JPEG, PNG, WebP) or PDFs.`);
+  }
+
+  if (kind === 'document') {
+    let thumbnail = null;
+    try {
+      thumbnail = await encodeScaled(await renderFirstPdfPage(file.buffer), THUMBNAIL_SIZE);
+    } catch (error) {
+      console.warn('Unable to draw PDF evidence thumbnail', { filename: file.originalname, message: error.message });
+    }
+    return { kind, exif: {}, thumbnail, display: null };
+  }
+
+  let image;
+  try {
+    image = await loadImage(file.buffer);
+  } catch (error) {
+    throw new InvalidEvidenceError(`${file.originalname} could not be read as an image.`);
+  }
+  const exif = await readExif(file.buffer);
+  return {
+    kind,
+    exif,
+    thumbnail: await encodeScaled(image, THUMBNAIL_SIZE),
+    display: await encodeScaled(image, DISPLAY_SIZE),
+  };
+}
+
+// Stores an uploaded file (a multer file) and returns the entry to add to the
+// case. The tenant's date wins over the EXIF one; both are kept.
+async function storeEvidence(caseId, file, details) {
+  const prepared = await prepareEvidenceFile(file);
+  const id = crypto.randomUUID();
+  const fileStore = getFileStore();
+
+  await fileStore.put(evidenceFileKey(caseId, id, 'original'), file.buffer, file.mimetype);
+  if (prepared.thumbnail) {
+    await fileStore.put(evidenceFileKey(caseId, id, 'thumbnail'), prepared.thumbnail, 'image/jpeg');
+  }
+  if (prepared.display) {
+    await fileStore.put(evidenceFileKey(caseId, id, 'display'), prepared.display, 'image/jpeg');
+  }
+
+  const exifTakenAt = prepared.exif.takenAt || null;
+  return {
+    id,
+    kind: prepared.kind,
+    category: details.category,
+    caption: details.caption,
+    takenAt: details.takenAt || (exifTakenAt ? exifTakenAt.slice(0, 10) : null),
+    exifTakenAt,
+    filename: file.originalname,
+    contentType: file.mimetype,
+    size: file.size,
+    sha256: sha256(file.buffer),
+    hasThumbnail: Boolean(prepared.thumbnail),
+    includeInDocuments: details.includeInDocuments !== undefined
+      ? details.includeInDocuments && prepared.kind === 'photo'
+      : prepared.kind === 'photo',
+    uploadedAt: new Date().toISOString(),
+  };
+}
+
+// Returns the stored bytes, or null if that variant does not exist.
+async function readEvidenceFile(caseId, entry, variant) {
+  return getFileStore().get(evidenceFileKey(caseId, entry.id, variant));
+}
+
+// Same as readEvidenceFile, as a readable stream, for files sent on as is.
+async function streamEvidenceFile(caseId, entry, variant) {
+  return getFileStore().stream(evidenceFileKey(caseId, entry.id, variant));
+}
+
+async function deleteEvidenceFiles(caseId, entry) {
+  const fileStore = getFileStore();
+  await Promise.all(FILE_VARIANTS.map((variant) => fileStore.delete(evidenceFileKey(caseId, entry.id, variant))));
+}
+
+function compareEvidence(a, b) {
+  const categoryOrder = Object.keys(EVIDENCE_CATEGORIES);
+  return (categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category))
+    || String(a.takenAt || '').localeCompare(String(b.takenAt || ''))
+    || a.uploadedAt.localeCompare(b.uploadedAt);
+}
+
+// The photos a tenant chose to include in their documents, in appendix order.
+function selectAppendixEvidence(storedCase) {
+  return (storedCase.evidence || [])
+    .filter((entry) => entry.kind === 'photo' && entry.includeInDocuments)
+    .sort(compareEvidence);
+}
+
+// Template values for layouts/appendix.html. Photos whose display copy is
+// missing from the file store are left out rather than failing the document.
+async function loadAppendixPhotos(caseId, entries) {
+  const photos = [];
+  for (const entry of entries) {
+    const display = await readEvidenceFile(caseId, entry, 'display');
+    if (display) {
+      photos.push({
+        number: photos.length + 1,
+        category: EVIDENCE_CATEGORIES[entry.category] || entry.category,
+        caption: entry.caption,
+        taken_at: entry.takenAt,
+        data_url: `data:image/jpeg;base64,${display.toString('base64')}`,
+      });
+    }
+  }
+  return photos;
+}
+
+module.exports = {
+  EVIDENCE_CATEGORIES,
+  InvalidEvidenceError,
+  MAX_EVIDENCE_PER_CASE,
+  compareEvidence,
+  deleteEvidenceFiles,
+  loadAppendixPhotos,
+  normalizeEvidenceDetails,
+  readEvidenceFile,
+  selectAppendixEvidence,
+  storeEvidence,
+  streamEvidenceFile,
+};
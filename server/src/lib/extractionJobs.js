@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+
+// Reading a scanned lease can take longer than mobile clients keep a request
+// open, so lease uploads are queued here instead: the route answers with a job
+// ID straight away and the client polls GET /api/extraction-jobs/:jobId for
+// the stage and page progress until the result is ready. Jobs live in memory
+// and are forgotten `retentionMs` after they finish; a lease uploaded for a
+// case is also stored on the case, so nothing is lost when a job expires.
+
+// Stages in the order a job goes through them; OCR is skipped when the PDF
+// has a text layer. `percent` is where a stage starts and how far it runs.
+const STAGES = {
+  queued: { label: 'Waiting to start', start: 0, span: 0 },
+  reading: { label: 'Reading the text of each page', start: 5, span: 20 },
+  ocr: { label: 'Scanning pages for text', start: 25, span: 60 },
+  analyzing: { label: 'Finding lease terms', start: 88, span: 0 },
+  saving: { label: 'Saving with your intake', start: 95, span: 0 },
+  done: { label: 'Done', start: 100, span: 0 },
+};
+
+class ExtractionQueueFullError extends Error {
+  constructor() {
+    super('Too many leases are being processed right now.');
+    this.name = 'ExtractionQueueFullError';
+  }
+}
+
+// Thrown by a job task with a message that can be shown to the tenant as is.
+class ExtractionJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExtractionJobError';
+  }
+}
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function stagePercent(stage, page, pages) {
+  const { start, span } = STAGES[stage] || STAGES.queued;
+  if (!span || !pages) return start;
+  return Math.round(start + (span * Math.max(0, page - 1)) / pages);
+}
+
+function createExtractionQueue(options = {}) {
+  const concurrency = readPositiveInt(options.concurrency, 1);
+  const maxQueued = readPositiveInt(options.maxQueued, 20);
+  const retentionMs = readPositiveInt(options.retentionMs, 60 * 60 * 1000);
+
+  const jobs = new Map();
+  const waiting = [];
+  const inFlight = new Set();
+  let closed = false;
+
+  function toJobResponse(job) {
+    return {
+      id: job.id,
+      state: job.state,
+      stage: job.stage,
+      stageLabel: STAGES[job.stage].label,
+      page: job.page,
+      pages: job.pages,
+      percent: job.state === 'completed' ? 100 : stagePercent(job.stage, job.page, job.pages),
+      position: job.state === 'queued' ? waiting.indexOf(job) + 1 : 0,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: job.error,
+    };
+  }
+
+  function finish(job, changes) {
+    Object.assign(job, changes, { finishedAt: new Date().toISOString(), task: null });
+    setTimeout(() => jobs.delete(job.id), retentionMs).unref();
+  }
+
+  function run(job) {
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    // Tasks report { stage, page, pages } as they go.
+    const report = ({ stage, page = null, pages = null }) => {
+      if (STAGES[stage]) {
+        Object.assign(job, { stage, page, pages });
+      }
+    };
+
+    const running = Promise.resolve()
+      .then(() => job.task(report))
+      .then(
+        (result) => finish(job, { state: 'completed', stage: 'done', page: null, pages: null, result }),
+        (error) => {
+          if (!(error instanceof ExtractionJobError)) {
+            console.error('Lease extraction job failed', { jobId: job.id, message: error.message });
+          }
+          finish(job, {
+            state: 'failed',
+            error: error instanceof ExtractionJobError
+              ? error.message
+              : 'Unable to process this file right now. Please try again.',
+          });
+        }
+      )
+      .finally(() => {
+        inFlight.delete(running);
+        pump();
+      });
+    inFlight.add(running);
+  }
+
+  function pump() {
+    while (inFlight.size < concurrency && waiting.length > 0) {
+      run(waiting.shift());
+    }
+  }
+
+  // `task(report)` does the work and resolves with the job's result. Throws an
+  // ExtractionQueueFullError when too many jobs are already waiting.
+  function enqueue(task, { caseId = null } = {}) {
+    if (closed || waiting.length >= maxQueued) {
+      throw new ExtractionQueueFullError();
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      caseId,
+      state: 'queued',
+      stage: 'queued',
+      page: null,
+      pages: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      task,
+    };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    pump();
+    return toJobResponse(job);
+  }
+
+  // Returns { caseId, job } or null for unknown (or expired) jobs.
+  function get(jobId) {
+    const job = jobs.get(jobId);
+    return job ? { caseId: job.caseId, job: toJobResponse(job) } : null;
+  }
+
+  function getMetrics() {
+    return { concurrency, running: inFlight.size, queued: waiting.length, tracked: jobs.size };
+  }
+
+  // Stops taking jobs and waits for the running ones; queued jobs are dropped.
+  async function close() {
+    closed = true;
+    waiting.splice(0).forEach((job) => finish(job, {
+      state: 'failed',
+      error: 'The server restarted before this file was processed. Please upload it again.',
+    }));
+    await Promise.allSettled(Array.from(inFlight));
+  }
+
+  return { close, enqueue, get, getMetrics };
+}
+
+let sharedQueue = null;
+
+function getExtractionQueue() {
+  if (!sharedQueue) {
+    sharedQueue = createExtractionQueue({
+      concurrency: process.env.LEASE_EXTRACTION_CONCURRENCY,
+      maxQueued: process.env.LEASE_EXTRACTION_MAX_QUEUED,
+    });
+  }
+  return sharedQueue;
+}
+
+async function closeExtractionQueue() {
+  if (sharedQueue) {
+    await sharedQueue.close();
+    sharedQueue = null;
+  }
+}
+
+module.exports = {
+  ExtractionJobError,
+  ExtractionQueueFullError,
+  closeExtractionQueue,
+  createExtractionQueue,
+  getExtractionQueue,
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files tenants upload (evidence, leases) live outside the case record, under
+// keys such as "evidence/<caseId>/<evidenceId>/original". Backends implement:
+// put(key, buffer, contentType), get(key) (null when missing), stream(key) (a
+// readable stream, or null when missing) and delete(key).
+
+const defaultFileDir = path.join(__dirname, '..', '..', 'data', 'files');
+
+function checkKey(key) {
+  if (typeof key !== 'string' || !/^[\w.-]+(\/[\w.-]+)*$/.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Invalid file key "${key}".`);
+  }
+  return key;
+}
+
+function createDiskFileStore(options = {}) {
+  const dir = options.dir || process.env.FILE_STORE_DIR || defaultFileDir;
+  const filePath = (key) => path.join(dir, ...checkKey(key).split('/'));
+
+  return {
+    name: 'disk',
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      const tempPath = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, target);
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async stream(key) {
+      try {
+        const handle = await fs.promises.open(filePath(key), 'r');
+        return handle.createReadStream();
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async delete(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+  };
+}
+
+// Any S3-compatible service; set S3_ENDPOINT for MinIO, R2, Spaces and the like.
+function createS3FileStore(options = {}) {
+  const bucket = options.bucket || process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when FILE_STORE=s3');
+  }
+  // Loaded only when used; the SDK is large and warns on load.
+  const AWS = require('aws-sdk');
+  const prefix = options.prefix !== undefined ? options.prefix : process.env.S3_PREFIX || '';
+  const s3 = new AWS.S3({
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || undefined,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || undefined,
+    s3ForcePathStyle: Boolean(process.env.S3_ENDPOINT),
+    signatureVersion: 'v4',
+  });
+  const objectKey = (key) => `${prefix}${checkKey(key)}`;
+
+  return {
+    name: 's3',
+    async put(key, buffer, contentType) {
+      await s3.putObject({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: contentType || 'application/octet-stream',
+        ServerSideEncryption: 'AES256',
+      }).promise();
+    },
+    async get(key) {
+      try {
+        const object = await s3.getObject({ Bucket: bucket, Key: objectKey(key) }).promise();
+        return object.Body;
+      } catch (error) {
+        if (error.code === 'NoSuchKey' || error.statusCode === 404) return null;
+        throw error;
+      }
+    },
+    // The HEAD request turns a missing object into null up front instead of
+    // an error halfway through whatever the stream is piped into.
+    async stream(key) {
+      const params = { Bucket: bucket, Key: objectKey(key) };
+      try {
+        await s3.headObject(params).promise();
+      } catch (error) {
+        if (error.code === 'NotFound' || error.statusCode === 404) return null;
+        throw error;
+      }
+      return s3.getObject(params).createReadStream();
+    },
+    async delete(key) {
+      await s3.deleteObject({ Bucket: bucket, Key: objectKey(key) }).promise();
+    },
+  };
+}
+
+const FILE_STORE_FACTORIES = {
+  disk: createDiskFileStore,
+  s3: createS3FileStore,
+};
+
+let activeFileStore = null;
+
+function getFileStore() {
+  if (!activeFileStore) {
+    const backend = (process.env.FILE_STORE || 'disk').toLowerCase();
+    const factory = FILE_STORE_FACTORIES[backend];
+    if (!factory) {
+      throw new Error(
+        `Unknown FILE_STORE "${backend}". Expected one of: ${Object.keys(FILE_STORE_FACTORIES).join(', ')}`
+      );
+    }
+    activeFileStore = factory();
+  }
+  return activeFileStore;
+}
+
+module.exports = {
+  createDiskFileStore,
+  createS3FileStore,
+  getFileStore,
+};
@@ -1,6 +1,11 @@
 const path = require('path');
+const { createSchemaValidator } = require('./jsonSchema');
+const { parseCurrency, formatCurrency } = require('./money');
+const { TEXAS_COUNTIES, TEXAS_ZIP_PREFIX_COUNTIES, TEXAS_ZIP_RANGES } = require('../config/texas');
 
-const schema = require(path.join(
+// The intake contract. The client builds its form options from this file via
+// GET /api/schema/intake, so adding a field starts here.
+const intakeSchema = require(path.join(
   __dirname,
   '..',
   '..',
@@ -9,178 +14,191 @@ const schema = require(path.join(
   'TX-SAFE INTAKE SCHEMA.json'
 ));
 
-const ALLOWED_LEASE_TYPES = ['written', 'oral', 'unknown'];
-const ALLOWED_YES_NO_UNKNOWN = ['yes', 'no', 'unknown'];
-const ALLOWED_DEPOSIT_RETURNED = ['yes', 'no', 'partial'];
-const ALLOWED_COMM_METHODS = ['email', 'mail', 'text', 'other'];
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ZIP_PATTERN = /^(\d{5})(?:-\d{4})?$/;
 
-function isPlainObject(value) {
-  return value !== null && typeof value === 'object' && !Array.isArray(value);
+function countyKey(name) {
+  return String(name).toLowerCase().replace(/\s+county$/, '').replace(/[^a-z]/g, '');
 }
 
-function addError(errors, path, message) {
-  errors.push({ path, message });
-}
+const TEXAS_COUNTY_KEYS = new Set(TEXAS_COUNTIES.map(countyKey));
+const ZIP_PREFIX_COUNTY_KEYS = Object.fromEntries(
+  Object.entries(TEXAS_ZIP_PREFIX_COUNTIES).map(([prefix, counties]) => [prefix, new Set(counties.map(countyKey))])
+);
 
-function validateEnum(errors, path, value, allowed) {
-  if (typeof value !== 'string' || !allowed.includes(value)) {
-    addError(errors, path, `Expected one of: ${allowed.join(', ')}`);
-  }
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
-function validateString(errors, path, value) {
-  if (typeof value !== 'string') {
-    addError(errors, path, 'Expected a string value');
+// Returns the date as a UTC timestamp, or null unless it is a real YYYY-MM-DD date.
+function parseIsoDate(value) {
+  const match = typeof value === 'string' ? ISO_DATE_PATTERN.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  const time = Date.UTC(year, month - 1, day);
+  const date = new Date(time);
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
   }
+  return time;
 }
 
-function validateOptionalString(errors, path, value) {
-  if (value === undefined || value === null || value === '') {
-    return;
+function isValidPhone(value) {
+  const digits = value.replace(/[\s().+-]/g, '');
+  if (!/^\d+$/.test(digits)) {
+    return false;
   }
-  validateString(errors, path, value);
+  return digits.length === 10 || (digits.length === 11 && digits.startsWith('1'));
 }
 
-function validateArrayOfEnums(errors, path, value, allowed) {
-  if (!Array.isArray(value)) {
-    addError(errors, path, 'Expected an array');
-    return;
-  }
-  const invalid = value.filter((item) => !allowed.includes(item));
-  if (invalid.length > 0) {
-    addError(
-      errors,
-      path,
-      `Only these values are allowed: ${allowed.join(', ')}`
-    );
+function isTexasZip(value) {
+  const match = ZIP_PATTERN.exec(value.trim());
+  if (!match) {
+    return false;
   }
+  const zip = parseInt(match[1], 10);
+  return TEXAS_ZIP_RANGES.some(([low, high]) => zip >= low && zip <= high);
 }
 
-function validateIntake(payload) {
-  const errors = [];
-
-  if (!isPlainObject(payload)) {
-    return { valid: false, errors: [{ path: 'root', message: 'Invalid data' }] };
-  }
+function isTexasCounty(value) {
+  return TEXAS_COUNTY_KEYS.has(countyKey(value));
+}
 
-  if (payload.jurisdiction !== schema.jurisdiction) {
-    addError(errors, 'jurisdiction', 'Texas-only service');
-  }
+const validateAgainstSchema = createSchemaValidator(intakeSchema, {
+  formats: {
+    date: (value) => parseIsoDate(value) !== null,
+    email: (value) => EMAIL_PATTERN.test(value.trim()),
+    currency: (value) => parseCurrency(value) !== null,
+    'us-phone': isValidPhone,
+    zip: (value) => ZIP_PATTERN.test(value.trim()),
+    'texas-zip': isTexasZip,
+    'texas-county': isTexasCounty,
+  },
+  // An unticked acknowledgement box is as unfinished as an empty text field.
+  isBlank: (value) => value === undefined || value === null || value === '' || value === false,
+});
+
+function valueAt(payload, fieldPath) {
+  return fieldPath.split('.').reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), payload);
+}
 
-  const acknowledgements = payload.acknowledgements;
-  if (!isPlainObject(acknowledgements)) {
-    addError(errors, 'acknowledgements', 'Required');
-  } else {
-    if (acknowledgements.texas_only_confirmation !== true) {
-      addError(errors, 'acknowledgements.texas_only_confirmation', 'Required');
-    }
-    if (acknowledgements.non_legal_service_acknowledged !== true) {
-      addError(errors, 'acknowledgements.non_legal_service_acknowledged', 'Required');
-    }
+// Rules that compare two fields, which JSON Schema cannot express. Each runs
+// only when both fields are present and passed the schema.
+const CROSS_FIELD_RULES = [
+  {
+    path: 'lease_information.lease_end_date',
+    other: 'lease_information.lease_start_date',
+    parse: parseIsoDate,
+    isValid: (end, start) => end > start,
+    message: 'Must be after the lease start date',
+  },
+  {
+    path: 'move_out_information.move_out_date',
+    other: 'lease_information.lease_start_date',
+    parse: parseIsoDate,
+    isValid: (moveOut, start) => moveOut > start,
+    message: 'Must be after the lease start date',
+  },
+  {
+    path: 'move_out_information.forwarding_address_date',
+    other: 'move_out_information.move_out_date',
+    parse: parseIsoDate,
+    isValid: (forwarding, moveOut) => forwarding >= moveOut,
+    message: 'Must be on or after the move-out date',
+  },
+  {
+    path: 'security_deposit_information.amount_returned',
+    other: 'security_deposit_information.deposit_amount',
+    parse: parseCurrency,
+    isValid: (returned, deposit) => returned <= deposit,
+    message: 'Cannot be more than the deposit amount',
+  },
+];
+
+// The amount kept back from the deposit, in cents, or null if it cannot be
+// worked out yet. A blank amount returned means nothing came back unless the
+// tenant said the deposit was returned in full.
+function withheldCents(payload) {
+  const deposit = payload.security_deposit_information;
+  if (!isPlainObject(deposit)) return null;
+  const depositCents = parseCurrency(deposit.deposit_amount);
+  if (depositCents === null) return null;
+  if (deposit.amount_returned === undefined || deposit.amount_returned === null || deposit.amount_returned === '') {
+    return deposit.deposit_returned === 'yes' ? 0 : depositCents;
   }
+  const returnedCents = parseCurrency(deposit.amount_returned);
+  return returnedCents === null ? null : depositCents - returnedCents;
+}
 
-  const tenantInformation = payload.tenant_information;
-  if (!isPlainObject(tenantInformation)) {
-    addError(errors, 'tenant_information', 'Required');
-  } else {
-    validateString(errors, 'tenant_information.full_name', tenantInformation.full_name);
-    validateString(errors, 'tenant_information.email', tenantInformation.email);
-    validateOptionalString(errors, 'tenant_information.phone', tenantInformation.phone);
+// The property county must be one the property ZIP code reaches. Skipped when
+// either field already failed the schema.
+function checkZipMatchesCounty(payload, errors, failedPaths) {
+  const property = payload.property_information;
+  if (!isPlainObject(property)) return;
+  if (failedPaths.has('property_information.zip_code') || failedPaths.has('property_information.county')) return;
+  const match = typeof property.zip_code === 'string' ? ZIP_PATTERN.exec(property.zip_code.trim()) : null;
+  if (!match || typeof property.county !== 'string' || !property.county.trim()) return;
+
+  const counties = ZIP_PREFIX_COUNTY_KEYS[match[1].slice(0, 3)];
+  if (counties && !counties.has(countyKey(property.county))) {
+    errors.push({
+      path: 'property_information.county',
+      message: `ZIP code ${match[1]} is not in ${property.county.trim().replace(/\s+county$/i, '')} County`,
+    });
   }
+}
 
-  const propertyInformation = payload.property_information;
-  if (!isPlainObject(propertyInformation)) {
-    addError(errors, 'property_information', 'Required');
-  } else {
-    validateString(errors, 'property_information.property_address', propertyInformation.property_address);
-    validateString(errors, 'property_information.city', propertyInformation.city);
-    validateString(errors, 'property_information.zip_code', propertyInformation.zip_code);
-    validateString(errors, 'property_information.county', propertyInformation.county);
+// Listed deductions must add up to what was kept. Drafts skip this so the
+// tenant can fill the rows in any order.
+function checkDeductionsReconcile(payload, errors, failedPaths) {
+  const deductions = payload.deductions;
+  if (!Array.isArray(deductions) || deductions.length === 0) return;
+  if (Array.from(failedPaths).some((failed) => failed.startsWith('deductions.'))) return;
+
+  const withheld = withheldCents(payload);
+  if (withheld === null) return;
+  const total = deductions.reduce((sum, deduction) => sum + parseCurrency(deduction.amount), 0);
+  if (total !== withheld) {
+    errors.push({
+      path: 'deductions',
+      message: `Deductions add up to ${formatCurrency(total)}, but ${formatCurrency(withheld)} was kept from the deposit (deposit amount minus amount returned)`,
+    });
   }
+}
 
-  const leaseInformation = payload.lease_information;
-  if (!isPlainObject(leaseInformation)) {
-    addError(errors, 'lease_information', 'Required');
-  } else {
-    validateString(errors, 'lease_information.lease_start_date', leaseInformation.lease_start_date);
-    validateString(errors, 'lease_information.lease_end_date', leaseInformation.lease_end_date);
-    validateEnum(errors, 'lease_information.lease_type', leaseInformation.lease_type, ALLOWED_LEASE_TYPES);
+// Draft mode accepts an incomplete intake: missing sections and blank fields
+// are allowed, but anything that is filled in must still have the right shape.
+function validateIntake(payload, options = {}) {
+  if (!isPlainObject(payload)) {
+    return { valid: false, errors: [{ path: 'root', message: 'Invalid data' }] };
   }
 
-  const moveOutInformation = payload.move_out_information;
-  if (!isPlainObject(moveOutInformation)) {
-    addError(errors, 'move_out_information', 'Required');
-  } else {
-    validateString(errors, 'move_out_information.move_out_date', moveOutInformation.move_out_date);
-    validateEnum(
-      errors,
-      'move_out_information.forwarding_address_provided',
-      moveOutInformation.forwarding_address_provided,
-      ALLOWED_YES_NO_UNKNOWN
-    );
-    validateOptionalString(
-      errors,
-      'move_out_information.forwarding_address_date',
-      moveOutInformation.forwarding_address_date
-    );
-  }
+  const isDraft = options.mode === 'draft';
+  const errors = validateAgainstSchema(payload, { partial: isDraft });
+  const failedPaths = new Set(errors.map((error) => error.path));
 
-  const securityDepositInformation = payload.security_deposit_information;
-  if (!isPlainObject(securityDepositInformation)) {
-    addError(errors, 'security_deposit_information', 'Required');
-  } else {
-    validateString(errors, 'security_deposit_information.deposit_amount', securityDepositInformation.deposit_amount);
-    validateOptionalString(
-      errors,
-      'security_deposit_information.deposit_paid_date',
-      securityDepositInformation.deposit_paid_date
-    );
-    validateEnum(
-      errors,
-      'security_deposit_information.deposit_returned',
-      securityDepositInformation.deposit_returned,
-      ALLOWED_DEPOSIT_RETURNED
-    );
-    validateOptionalString(
-      errors,
-      'security_deposit_information.amount_returned',
-      securityDepositInformation.amount_returned
-    );
-  }
+  CROSS_FIELD_RULES.forEach((rule) => {
+    if (failedPaths.has(rule.path) || failedPaths.has(rule.other)) return;
+    const value = rule.parse(valueAt(payload, rule.path));
+    const otherValue = rule.parse(valueAt(payload, rule.other));
+    if (value !== null && otherValue !== null && !rule.isValid(value, otherValue)) {
+      errors.push({ path: rule.path, message: rule.message });
+    }
+  });
 
-  const communications = payload.post_move_out_communications;
-  if (!isPlainObject(communications)) {
-    addError(errors, 'post_move_out_communications', 'Required');
-  } else {
-    validateEnum(
-      errors,
-      'post_move_out_communications.itemized_deductions_received',
-      communications.itemized_deductions_received,
-      ALLOWED_YES_NO_UNKNOWN
-    );
-    validateOptionalString(
-      errors,
-      'post_move_out_communications.date_itemized_list_received',
-      communications.date_itemized_list_received
-    );
-    validateArrayOfEnums(
-      errors,
-      'post_move_out_communications.communication_methods_used',
-      communications.communication_methods_used,
-      ALLOWED_COMM_METHODS
-    );
-  }
+  checkZipMatchesCounty(payload, errors, failedPaths);
 
-  const notes = payload.additional_notes;
-  if (!isPlainObject(notes)) {
-    addError(errors, 'additional_notes', 'Required');
-  } else {
-    validateOptionalString(errors, 'additional_notes.tenant_notes', notes.tenant_notes);
+  if (!isDraft) {
+    checkDeductionsReconcile(payload, errors, failedPaths);
   }
 
   return { valid: errors.length === 0, errors };
 }
 
 module.exports = {
+  intakeSchema,
   validateIntake,
 };
@@ -0,0 +1,51 @@
+const { documentCacheKey, readCachedDocument, writeCachedDocument } = require('./documentCache');
+const { generateDocument, getTemplateVersion } = require('./documentGenerator');
+const { getDocumentType } = require('./documentTypes');
+const { loadAppendixPhotos, selectAppendixEvidence } = require('./evidence');
+
+// The PDF a case gets for a given revision and document type: the bytes it
+// was sent before when they are still cached, otherwise a fresh render that
+// is cached for next time. Returns { pdfBuffer, document }, where `document`
+// is the entry to pass to recordGeneratedDocument once the bytes are sent.
+async function getIssuedPdf(storedCase, revision, docType) {
+  const templateVersion = getTemplateVersion(docType);
+  const appendixEvidence = getDocumentType(docType).photoAppendix ? selectAppendixEvidence(storedCase) : [];
+  const cacheKey = documentCacheKey({
+    caseId: storedCase.id,
+    revision: revision.revision,
+    templateVersion,
+    docType,
+    evidence: appendixEvidence.map((entry) => [entry.id, entry.sha256, entry.category, entry.takenAt, entry.caption]),
+  });
+  // The most recent bytes sent for this key, if they are still on disk.
+  const cached = (storedCase.generatedDocuments || [])
+    .filter((entry) => entry.cacheKey === cacheKey)
+    .pop();
+
+  const cachedBuffer = cached ? await readCachedDocument(cached.sha256) : null;
+  if (cachedBuffer) {
+    return { pdfBuffer: cachedBuffer, document: cached };
+  }
+
+  const generated = await generateDocument(revision.intake, docType, {
+    photos: await loadAppendixPhotos(storedCase.id, appendixEvidence),
+  });
+  const stored = await writeCachedDocument(generated.pdfBuffer);
+  return {
+    pdfBuffer: generated.pdfBuffer,
+    document: {
+      docId: generated.docId,
+      fingerprint: generated.fingerprint,
+      cacheKey,
+      docType,
+      revision: revision.revision,
+      templateVersion,
+      sha256: stored.sha256,
+      size: stored.size,
+    },
+  };
+}
+
+module.exports = {
+  getIssuedPdf,
+};
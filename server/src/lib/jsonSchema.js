@@ -0,0 +1,265 @@
+// A small JSON Schema (draft 2020-12) validator covering the keywords our
+// schemas use. Errors come back as { path, message } with dot-separated paths,
+// the same shape the API has always returned. A schema can override the
+// message for a failing keyword with `errorMessage`, either a string or an
+// object keyed by keyword name.
+
+const TYPE_MESSAGES = {
+  string: 'Expected a string value',
+  array: 'Expected an array',
+  object: 'Expected an object',
+  boolean: 'Expected true or false',
+  number: 'Expected a number',
+  integer: 'Expected a whole number',
+  null: 'Expected null',
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function joinPath(base, key) {
+  return base ? `${base}.${key}` : String(key);
+}
+
+function messageFor(schema, keyword, fallback) {
+  const custom = schema.errorMessage;
+  if (typeof custom === 'string') {
+    return custom;
+  }
+  if (isPlainObject(custom) && typeof custom[keyword] === 'string') {
+    return custom[keyword];
+  }
+  return fallback;
+}
+
+// oneOf/anyOf lists made only of `const` branches are how we spell labelled enums.
+function constBranches(branches) {
+  return Array.isArray(branches) && branches.every((branch) => isPlainObject(branch) && 'const' in branch)
+    ? branches.map((branch) => branch.const)
+    : null;
+}
+
+function resolvePointer(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local schema references are supported (got ${ref}).`);
+  }
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map((part) => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => {
+      if (!node || !(key in node)) {
+        throw new Error(`Unresolvable schema reference ${ref}.`);
+      }
+      return node[key];
+    }, root);
+}
+
+// options.formats maps format names to predicates; unknown formats are
+// annotations only, as the spec allows. Blank values of properties their
+// object does not require are skipped. With { partial: true } `required` is
+// ignored and every blank value is skipped, which is how drafts are checked.
+function createSchemaValidator(rootSchema, options = {}) {
+  const formats = options.formats || {};
+  const isBlank = options.isBlank || ((value) => value === undefined || value === null || value === '');
+
+  function check(schema, value, path, errors, mode) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+      errors.push({ path, message: 'Not allowed' });
+      return;
+    }
+    if (mode.partial && isBlank(value)) return;
+
+    const fail = (keyword, fallback, at = path) => {
+      errors.push({ path: at, message: messageFor(schema, keyword, fallback) });
+    };
+
+    if (schema.$ref) {
+      check(resolvePointer(rootSchema, schema.$ref), value, path, errors, mode);
+    }
+
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some((type) => matchesType(value, type))) {
+        fail('type', TYPE_MESSAGES[types[0]] || 'Invalid value');
+        return;
+      }
+    }
+
+    if ('const' in schema && !deepEqual(value, schema.const)) {
+      fail('const', `Expected ${JSON.stringify(schema.const)}`);
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some((option) => deepEqual(option, value))) {
+      fail('enum', `Expected one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail('minLength', `Must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail('maxLength', `Must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+        fail('pattern', 'Invalid format');
+      }
+      if (schema.format !== undefined && formats[schema.format] && !formats[schema.format](value)) {
+        fail('format', 'Invalid format');
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail('minimum', `Must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail('maximum', `Must be at most ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail('minItems', `Must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail('maxItems', `Must have at most ${schema.maxItems} items`);
+      }
+      if (schema.uniqueItems) {
+        const seen = new Set(value.map((item) => JSON.stringify(item)));
+        if (seen.size !== value.length) {
+          fail('uniqueItems', 'Items must be unique');
+        }
+      }
+      if (schema.items !== undefined) {
+        value.forEach((item, index) => {
+          check(schema.items, item, joinPath(path, index), errors, mode);
+        });
+      }
+    }
+
+    if (isPlainObject(value)) {
+      if (Array.isArray(schema.required) && !mode.partial) {
+        schema.required
+          .filter((key) => value[key] === undefined)
+          .forEach((key) => fail('required', 'Required', joinPath(path, key)));
+      }
+      const properties = schema.properties || {};
+      const required = Array.isArray(schema.required) ? schema.required : [];
+      Object.keys(properties).forEach((key) => {
+        if (value[key] === undefined) return;
+        // Forms send optional fields left empty as blanks; treat them as absent.
+        if (!required.includes(key) && isBlank(value[key])) return;
+        check(properties[key], value[key], joinPath(path, key), errors, mode);
+      });
+      if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+        Object.keys(value)
+          .filter((key) => !(key in properties))
+          .forEach((key) => {
+            if (schema.additionalProperties === false) {
+              fail('additionalProperties', 'Unexpected field', joinPath(path, key));
+            } else {
+              check(schema.additionalProperties, value[key], joinPath(path, key), errors, mode);
+            }
+          });
+      }
+    }
+
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach((branch) => check(branch, value, path, errors, mode));
+    }
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some((branch) => passes(branch, value, path, mode))) {
+      const values = constBranches(schema.anyOf);
+      fail('anyOf', values ? `Expected one of: ${values.join(', ')}` : 'Does not match any allowed option');
+    }
+    if (Array.isArray(schema.oneOf)) {
+      const matches = schema.oneOf.filter((branch) => passes(branch, value, path, mode)).length;
+      if (matches !== 1) {
+        const values = constBranches(schema.oneOf);
+        fail('oneOf', values ? `Expected one of: ${values.join(', ')}` : 'Must match exactly one allowed option');
+      }
+    }
+    if (schema.if !== undefined) {
+      // The condition is evaluated strictly so `required` inside it still counts.
+      const branch = passes(schema.if, value, path, { ...mode, partial: false }) ? schema.then : schema.else;
+      if (branch !== undefined) {
+        check(branch, value, path, errors, mode);
+      }
+    }
+  }
+
+  function passes(schema, value, path, mode) {
+    const scratch = [];
+    check(schema, value, path, scratch, mode);
+    return scratch.length === 0;
+  }
+
+  // Only the first problem found for each field is reported.
+  return function validate(value, validateOptions = {}) {
+    const errors = [];
+    check(rootSchema, value, '', errors, { partial: Boolean(validateOptions.partial) });
+    const seen = new Set();
+    return errors
+      .map((error) => ({ path: error.path || 'root', message: error.message }))
+      .filter((error) => {
+        if (seen.has(error.path)) return false;
+        seen.add(error.path);
+        return true;
+      });
+  };
+}
+
+// Returns a copy of value with every property the schema declares present:
+// missing objects become objects, missing arrays empty arrays and missing
+// scalars null. Array items are filled in the same way.
+function applySchemaDefaults(rootSchema, value, schema = rootSchema) {
+  const resolved = schema && schema.$ref ? { ...resolvePointer(rootSchema, schema.$ref), ...schema } : schema;
+  if (!isPlainObject(resolved)) {
+    return value === undefined ? null : value;
+  }
+
+  if (resolved.type === 'object' || resolved.properties) {
+    const source = isPlainObject(value) ? value : {};
+    const filled = { ...source };
+    Object.keys(resolved.properties || {}).forEach((key) => {
+      filled[key] = applySchemaDefaults(rootSchema, source[key], resolved.properties[key]);
+    });
+    return filled;
+  }
+
+  if (resolved.type === 'array') {
+    return Array.isArray(value)
+      ? value.map((item) => applySchemaDefaults(rootSchema, item, resolved.items))
+      : [];
+  }
+
+  return value === undefined ? null : value;
+}
+
+module.exports = {
+  applySchemaDefaults,
+  createSchemaValidator,
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// Flags phrases that ai/LANGUAGE_CONSTRAINTS.md prohibits ("demand letter",
+// "you are entitled to", ...). The markdown file is the source of truth: the
+// phrases are read from its "PROHIBITED LANGUAGE" section, grouped by the
+// "### Implies ..." heading they appear under.
+
+const constraintsPath = path.join(
+  __dirname,
+  '..',
+  '..',
+  '..',
+  'ai',
+  'LANGUAGE_CONSTRAINTS.md'
+);
+
+class LanguageViolationError extends Error {
+  constructor(source, violations) {
+    const phrases = Array.from(new Set(violations.map((violation) => `"${violation.phrase}"`)));
+    super(`${source} uses prohibited language: ${phrases.join(', ')}.`);
+    this.name = 'LanguageViolationError';
+    this.violations = violations;
+  }
+}
+
+function stripMarkdown(line) {
+  return line.replace(/\\/g, '').replace(/^#+\s*/, '').trim();
+}
+
+// "This is illegal / unlawful" covers both "This is illegal" and "This is unlawful".
+function expandAlternatives(phrase) {
+  const [first, ...alternatives] = phrase.split(/\s*\/\s*/);
+  const stem = first.split(/\s+/).slice(0, -1).join(' ');
+  return [first, ...alternatives.map((word) => (stem ? `${stem} ${word}` : word))];
+}
+
+function loadProhibitedPhrases(filePath = constraintsPath) {
+  const rules = [];
+  const seen = new Set();
+  let inProhibitedSection = false;
+  let category = 'Prohibited language';
+
+  fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach((rawLine) => {
+    const line = stripMarkdown(rawLine);
+    if (/^\d+\.\s/.test(line)) {
+      inProhibitedSection = /PROHIBITED LANGUAGE/i.test(line);
+      return;
+    }
+    if (!inProhibitedSection) return;
+
+    if (/^Implies /i.test(line)) {
+      category = line;
+      return;
+    }
+    const item = /^-\s*[“"](.+?)[”"]\s*$/.exec(line);
+    if (!item) return;
+
+    expandAlternatives(item[1]).forEach((phrase) => {
+      const key = phrase.toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      rules.push({ phrase, category });
+    });
+  });
+
+  return rules;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileRule(rule) {
+  const words = rule.phrase.split(/\s+/).map(escapeRegExp);
+  return {
+    ...rule,
+    pattern: new RegExp(`(?<![\\w’'])${words.join('\\s+')}(?![\\w’'])`, 'gi'),
+  };
+}
+
+let compiledRules = null;
+
+function getRules() {
+  if (!compiledRules) {
+    compiledRules = loadProhibitedPhrases().map(compileRule);
+  }
+  return compiledRules;
+}
+
+// Returns one entry per match: { phrase, category, start, end, text }, with
+// start/end as offsets into the text that was passed in.
+function lintText(text) {
+  const source = String(text || '');
+  const violations = [];
+
+  getRules().forEach((rule) => {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(source)) !== null) {
+      violations.push({
+        phrase: rule.phrase,
+        category: rule.category,
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+      });
+    }
+  });
+
+  return violations.sort((a, b) => a.start - b.start);
+}
+
+// Same as lintText, but ignores markup so tags and attributes are never
+// matched. Offsets still refer to the original HTML.
+function lintHtml(html) {
+  const source = String(html || '');
+  return lintText(source.replace(/<[^>]*>/g, (tag) => ' '.repeat(tag.length)));
+}
+
+module.exports = {
+  LanguageViolationError,
+  lintHtml,
+  lintText,
+  loadProhibitedPhrases,
+};
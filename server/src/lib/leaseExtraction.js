@@ -1,38 +1,52 @@
-const { createWorker } = require('tesseract.js');
-const { extractTextFromPdfOcr } = require('./pdfOcr');
+const { getOcrPool } = require('./ocrPool');
+const { ocrPdfPages } = require('./pdfOcr');
+
+// Last resort for PDFs with neither a text layer nor OCR output: whatever
+// printable text sits in the raw bytes.
+function extractTextFromBuffer(buffer) {
+  const utf8Text = buffer.toString('utf8');
+  const cleaned = utf8Text.replace(/[^ -~\n\r\t]+/g, ' ');
+  return cleaned.replace(/\s+/g, ' ').trim();
+}
 
 async function extractTextFromImage(buffer) {
-  const worker = await createWorker();
+  return getOcrPool().recognize(buffer);
+}
+
+// Opens a PDF for extractPdfPages() and ocrPdfPages(). The caller owns the
+// document and must destroy() it when done, which frees its pages and fonts.
+async function openPdf(buffer) {
+  const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const loadingTask = pdfjsLib.getDocument({ data: Uint8Array.from(buffer) });
   try {
-    await worker.loadLanguage('eng');
-    await worker.initialize('eng');
-    const {
-      data: { text },
-    } = await worker.recognize(buffer);
-    return text || '';
-  } finally {
-    await worker.terminate();
+    return await loadingTask.promise;
+  } catch (error) {
+    await loadingTask.destroy();
+    throw error;
   }
 }
 
 module.exports = {
+  extractTextFromBuffer,
   extractTextFromImage,
-  extractTextFromPdf: async (buffer) => {
-    const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
-    const data = Uint8Array.from(buffer);
-    const loadingTask = pdfjsLib.getDocument({ data });
-    const pdf = await loadingTask.promise;
-    const pageCount = Math.min(pdf.numPages, 10);
-    let combinedText = '';
+  openPdf,
+  // The text layer of each page of an open PDF, up to `maxPages`, as
+  // { pageCount, pages: [{ number, text }] }. `onPage(page, pages)` is called
+  // before each page.
+  extractPdfPages: async (pdf, { maxPages = Infinity, onPage } = {}) => {
+    const pageCount = Math.min(pdf.numPages, maxPages);
+    const pages = [];
 
     for (let pageIndex = 1; pageIndex <= pageCount; pageIndex += 1) {
+      if (onPage) onPage(pageIndex, pageCount);
       const page = await pdf.getPage(pageIndex);
       const content = await page.getTextContent();
       const pageText = content.items.map((item) => item.str).join(' ');
-      combinedText += `${pageText}\n`;
+      pages.push({ number: pageIndex, text: pageText.trim() });
+      page.cleanup();
     }
 
-    return combinedText.trim();
+    return { pageCount: pdf.numPages, pages };
   },
-  extractTextFromPdfOcr,
+  ocrPdfPages,
 };
@@ -0,0 +1,263 @@
+// Intake answers read from the lease text (deposit, dates, address, tenant
+// name), used to pre-fill the intake form.
+//
+// Every match of every pattern is a candidate. Each field keeps its best
+// candidate with a confidence between 0 and 1, the pattern that found it, a
+// snippet around it, where it sits in the lease text (start/end) and on its
+// page (page, pageStart/pageEnd), and the other values found for that field.
+// Confidence starts from how specific the pattern is, goes up a little when
+// the same value is found more than once, and down when a different value
+// scores close to it or the text came from OCR.
+
+const AMOUNT = '(\\$\\s?\\d{1,3}(?:,\\d{3})*(?:\\.\\d{2})?)';
+const DATE = '([0-9]{1,2}[\\/\\-][0-9]{1,2}[\\/\\-][0-9]{2,4})';
+const STREET = '(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd|Court|Ct|Way|Place|Pl|Circle|Cir|Parkway|Pkwy)';
+
+const SNIPPET_RADIUS = 60;
+const AGREEMENT_BONUS = 0.05;
+const COMPETITION_MARGIN = 0.15;
+const COMPETITION_PENALTY = 0.15;
+const OCR_PENALTY = 0.1;
+
+// Patterns per field, most specific first. `confidence` is where a match
+// starts before adjustments; `group` is the capture holding the value.
+const FIELD_PATTERNS = {
+  deposit_amount: [
+    { name: 'security_deposit_amount', confidence: 0.9, regex: new RegExp(`security\\s*deposit\\s*amount[^$]{0,40}${AMOUNT}`, 'gi') },
+    { name: 'security_deposit_label', confidence: 0.85, regex: new RegExp(`security\\s*deposit[:\\s]+(?:amount[:\\s]+)?${AMOUNT}`, 'gi') },
+    { name: 'security_deposit_nearby', confidence: 0.75, regex: new RegExp(`security\\s*deposit[^$]{0,40}${AMOUNT}`, 'gi') },
+    { name: 'deposit_label', confidence: 0.5, regex: new RegExp(`deposit[:\\s]+(?:amount[:\\s]+)?${AMOUNT}`, 'gi') },
+  ],
+  property_address: [
+    { name: 'premises_label', confidence: 0.8, regex: new RegExp(`(?:property\\s+address|premises|unit|apartment|residence)[:\\s]+([0-9]+\\s+[A-Za-z0-9\\s#.'-]+${STREET}[^,.\\n]*)`, 'gi') },
+    { name: 'address_label', confidence: 0.75, regex: new RegExp(`(?:located\\s+at|address)[:\\s]+([0-9]+\\s+[A-Za-z0-9\\s#.'-]+${STREET}[^,.\\n]*)`, 'gi') },
+    { name: 'street_city_tx', confidence: 0.65, regex: new RegExp(`\\b([0-9]+\\s+[A-Za-z0-9\\s#.'-]+${STREET})\\s*,\\s*[A-Z][a-z]+\\s*,\\s*TX`, 'gi') },
+  ],
+  city: [
+    { name: 'city_tx_zip', confidence: 0.7, regex: /,\s*([A-Za-z\s]+),\s*TX\s*(\d{5})/gi },
+    { name: 'city_texas_zip', confidence: 0.65, regex: /([A-Za-z\s]+),\s*Texas\s*(\d{5})/gi },
+  ],
+  zip_code: [
+    { name: 'city_tx_zip', confidence: 0.75, group: 2, regex: /,\s*([A-Za-z\s]+),\s*TX\s*(\d{5})/gi },
+    { name: 'city_texas_zip', confidence: 0.7, group: 2, regex: /([A-Za-z\s]+),\s*Texas\s*(\d{5})/gi },
+  ],
+  lease_start_date: [
+    { name: 'lease_term', confidence: 0.8, regex: new RegExp(`(?:lease|term|rental)\\s+(?:period|term)[:\\s]+(?:from\\s+)?${DATE}`, 'gi') },
+    { name: 'commencement', confidence: 0.75, regex: new RegExp(`(?:commence|begin|start)[:\\s]+${DATE}`, 'gi') },
+    { name: 'from_to_range', confidence: 0.7, regex: new RegExp(`from[:\\s]+${DATE}\\s+(?:to|through)`, 'gi') },
+    { name: 'effective_date', confidence: 0.6, regex: new RegExp(`(?:effective|starting)\\s+(?:date)?[:\\s]*${DATE}`, 'gi') },
+  ],
+  lease_end_date: [
+    { name: 'expiration', confidence: 0.75, regex: new RegExp(`(?:end|expir|terminat)[a-z]*[:\\s]+${DATE}`, 'gi') },
+    { name: 'ending_on', confidence: 0.75, regex: new RegExp(`(?:ending|expiring)\\s+(?:on|date)?[:\\s]*${DATE}`, 'gi') },
+    { name: 'range_end', confidence: 0.6, regex: new RegExp(`(?:to|through|until|thru)[:\\s]+${DATE}`, 'gi') },
+  ],
+  // Matched against the text as extracted rather than the collapsed copy.
+  tenant_name: [
+    { name: 'tenant_label', confidence: 0.7, raw: true, regex: /(?:tenant|lessee)[:\s]+([A-Z][a-z]+\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\s*(?:,|\(|$)/gi },
+    { name: 'between_parties', confidence: 0.6, raw: true, regex: /between[^,]{0,50}and[:\s]+([A-Z][a-z]+\s+[A-Z][a-z]+)\s*\(/gi },
+  ],
+};
+
+const NAME_STOP_WORDS = ['agrees', 'shall', 'must', 'will', 'landlord', 'owner', 'manager', 'property'];
+
+// Turns a raw match into the value stored for the field, or null to drop it.
+const FIELD_VALUES = {
+  deposit_amount: (match) => match.replace(/\s+/g, ''),
+  property_address: (match) => {
+    const address = match.replace(/\s+/g, ' ').replace(/[,;]$/, '').trim();
+    return address.length > 5 && address.length < 150 && /^\d/.test(address) ? address : null;
+  },
+  city: (match) => {
+    const city = match.trim();
+    return city ? city : null;
+  },
+  zip_code: (match) => match.trim(),
+  lease_start_date: (match) => {
+    const date = normalizeDate(match);
+    return date && date.length === 10 ? date : null;
+  },
+  lease_end_date: (match) => {
+    const date = normalizeDate(match);
+    return date && date.length === 10 ? date : null;
+  },
+  tenant_name: (match) => {
+    const name = match.trim();
+    const hasStopWord = NAME_STOP_WORDS.some((word) => name.toLowerCase().includes(word));
+    return !hasStopWord && name.length >= 5 && name.length <= 50 && name.split(/\s+/).length >= 2 ? name : null;
+  },
+};
+
+// The text with whitespace runs collapsed to one space (what most patterns
+// are written against), plus the index in `text` of every character kept.
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let spaceAt = -1;
+  for (let index = 0; index < text.length; index += 1) {
+    if (/\s/.test(text[index])) {
+      if (spaceAt === -1) spaceAt = index;
+      continue;
+    }
+    if (spaceAt !== -1 && normalized.length > 0) {
+      normalized += ' ';
+      offsets.push(spaceAt);
+    }
+    spaceAt = -1;
+    normalized += text[index];
+    offsets.push(index);
+  }
+  return { normalized, offsets };
+}
+
+// Where each page starts in the lease text, which joins pages with a newline.
+function pageRanges(text, pages) {
+  const ranges = [];
+  let offset = 0;
+  (pages || []).filter((page) => page.text).forEach((page) => {
+    ranges.push({ number: page.number, source: page.source, start: offset, end: offset + page.text.length });
+    offset += page.text.length + 1;
+  });
+  // Only trust the ranges if they rebuild the text they describe.
+  return offset - 1 === text.length ? ranges : [];
+}
+
+function collectCandidates(field, text, normalizedText, pages) {
+  const candidates = [];
+  FIELD_PATTERNS[field].forEach((pattern, patternIndex) => {
+    const source = pattern.raw ? text : normalizedText.normalized;
+    // `d` records where each group matched; the captured text can also occur
+    // earlier in the match (a name repeated in "between Jane Doe … and Jane Doe").
+    const flags = pattern.regex.flags.includes('d') ? pattern.regex.flags : `${pattern.regex.flags}d`;
+    const regex = new RegExp(pattern.regex.source, flags);
+    const group = pattern.group || 1;
+    let match;
+    while ((match = regex.exec(source)) !== null) {
+      if (!match[group]) continue;
+      const value = FIELD_VALUES[field](match[group]);
+      if (!value) continue;
+
+      const [matchStart, matchEnd] = match.indices[group];
+      const start = pattern.raw ? matchStart : normalizedText.offsets[matchStart];
+      const end = pattern.raw ? matchEnd : normalizedText.offsets[matchEnd - 1] + 1;
+      const page = pages.find((range) => start >= range.start && start < range.end) || null;
+      // Snippets stay on the page they cite.
+      const snippetStart = Math.max(page ? page.start : 0, start - SNIPPET_RADIUS);
+      const snippetEnd = Math.min(page ? page.end : text.length, end + SNIPPET_RADIUS);
+
+      candidates.push({
+        value,
+        confidence: pattern.confidence - (page && page.source === 'ocr' ? OCR_PENALTY : 0),
+        pattern: pattern.name,
+        patternIndex,
+        snippet: [
+          snippetStart === start - SNIPPET_RADIUS ? '…' : '',
+          text.slice(snippetStart, snippetEnd).replace(/\s+/g, ' ').trim(),
+          snippetEnd === end + SNIPPET_RADIUS ? '…' : '',
+        ].join(''),
+        start,
+        end,
+        page: page ? page.number : null,
+        pageStart: page ? start - page.start : null,
+        pageEnd: page ? end - page.start : null,
+      });
+    }
+  });
+  return candidates;
+}
+
+function roundConfidence(value) {
+  return Math.round(Math.min(0.99, Math.max(0.05, value)) * 100) / 100;
+}
+
+// Groups candidates by value, keeping each value's strongest match, then
+// scores them against each other. Returns them best first.
+function rankCandidates(candidates) {
+  const byValue = new Map();
+  candidates.forEach((candidate) => {
+    const key = String(candidate.value).toLowerCase();
+    const entry = byValue.get(key);
+    if (!entry) {
+      byValue.set(key, { best: candidate, places: new Set([candidate.start]) });
+      return;
+    }
+    // Several patterns often match the same spot; only other spots agree.
+    entry.places.add(candidate.start);
+    if (
+      candidate.confidence > entry.best.confidence ||
+      (candidate.confidence === entry.best.confidence && candidate.patternIndex < entry.best.patternIndex)
+    ) {
+      entry.best = candidate;
+    }
+  });
+
+  const ranked = Array.from(byValue.values()).map(({ best, places }) => ({
+    ...best,
+    confidence: best.confidence + AGREEMENT_BONUS * Math.min(2, places.size - 1),
+    matches: places.size,
+  }));
+  ranked.sort((a, b) => b.confidence - a.confidence || a.patternIndex - b.patternIndex || a.start - b.start);
+
+  return ranked.map((candidate, index) => {
+    const rival = ranked.find((other, otherIndex) => otherIndex !== index
+      && Math.abs(other.confidence - candidate.confidence) <= COMPETITION_MARGIN);
+    const { patternIndex, ...rest } = candidate;
+    return {
+      ...rest,
+      confidence: roundConfidence(candidate.confidence - (rival ? COMPETITION_PENALTY : 0)),
+    };
+  });
+}
+
+// Returns { [field]: { value, confidence, pattern, snippet, start, end, page,
+// pageStart, pageEnd, matches, candidates } } for every field found. `pages`
+// is [{ number, text, source }] from the ingestion pipeline; without it page
+// numbers are null. `candidates` holds the other values found, best first.
+function extractLeaseFields(text, pages) {
+  if (!text || text.trim().length < 20) {
+    return {};
+  }
+
+  const normalizedText = normalizeWithOffsets(text);
+  const ranges = pageRanges(text, pages);
+  const fields = {};
+  Object.keys(FIELD_PATTERNS).forEach((field) => {
+    const [best, ...others] = rankCandidates(collectCandidates(field, text, normalizedText, ranges));
+    if (best) {
+      fields[field] = { ...best, candidates: others };
+    }
+  });
+  return fields;
+}
+
+// The plain { field: value } shape stored as `extractedData`.
+function fieldValues(fields) {
+  return Object.keys(fields).reduce((values, field) => ({ ...values, [field]: fields[field].value }), {});
+}
+
+function normalizeDate(dateStr) {
+  // Convert MM/DD/YYYY or MM-DD-YYYY to YYYY-MM-DD format
+  const parts = dateStr.split(/[\/\-]/);
+  if (parts.length === 3) {
+    let [month, day, year] = parts;
+
+    // Handle 2-digit years
+    if (year.length === 2) {
+      const currentYear = new Date().getFullYear();
+      const century = Math.floor(currentYear / 100) * 100;
+      year = century + parseInt(year);
+    }
+
+    month = month.padStart(2, '0');
+    day = day.padStart(2, '0');
+
+    return `${year}-${month}-${day}`;
+  }
+  return dateStr;
+}
+
+module.exports = {
+  extractLeaseFields,
+  fieldValues,
+  normalizeDate,
+};
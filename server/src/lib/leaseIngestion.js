@@ -0,0 +1,260 @@
+const {
+  extractPdfPages,
+  extractTextFromBuffer,
+  extractTextFromImage,
+  ocrPdfPages,
+  openPdf,
+} = require('./leaseExtraction');
+const { extractLeaseFields, fieldValues } = require('./leaseFields');
+const { extractSections } = require('./leaseSections');
+
+// Every uploaded lease goes through the same stages, in order:
+//   sniff → text layer → OCR → raw text → sections → fields
+// A stage is { name, progress, when(context), run(context) }. `run` reads and
+// updates the shared context (kind, pages, text, sections, fields) and
+// can add notes to context.diagnostics; stages whose `when` returns false are
+// skipped. `progress` is the extraction job stage shown while the stage runs.
+//
+// PDFs are read page by page: pages with a text layer are used as they are and
+// only the rest are scanned, so a lease with a scanned signature page is not
+// OCRed from the top. LEASE_MAX_PAGES and LEASE_MAX_OCR_PAGES bound the work.
+// The PDF is opened once, shared by both stages as context.pdf and destroyed
+// when ingestion ends.
+
+// A page whose text layer is shorter than this is treated as a scan (scans
+// often carry a stray page number or watermark).
+const MIN_PAGE_TEXT_CHARS = 40;
+const PREVIEW_LENGTH = 600;
+
+class LeaseIngestionError extends Error {
+  constructor(stage, kind, cause) {
+    super(cause && cause.message ? cause.message : String(cause));
+    this.name = 'LeaseIngestionError';
+    this.stage = stage;
+    this.kind = kind;
+    this.cause = cause;
+  }
+}
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function joinPages(pages) {
+  return pages.map((page) => page.text).filter(Boolean).join('\n').trim();
+}
+
+function needsOcr(page) {
+  return page.text.length < MIN_PAGE_TEXT_CHARS;
+}
+
+function sniffType(buffer) {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'application/pdf';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  return null;
+}
+
+const stages = [
+  {
+    name: 'sniff',
+    run(context) {
+      const sniffed = sniffType(context.buffer);
+      // The bytes win over the declared type; browsers guess from the extension.
+      const type = sniffed || context.mimeType;
+      context.kind = type === 'application/pdf' ? 'pdf' : 'image';
+      context.diagnostics.declaredType = context.mimeType;
+      context.diagnostics.sniffedType = sniffed;
+    },
+  },
+  {
+    name: 'textLayer',
+    progress: 'reading',
+    when: (context) => context.kind === 'pdf',
+    async run(context) {
+      context.pdf = await openPdf(context.buffer);
+      const { pageCount, pages } = await extractPdfPages(context.pdf, {
+        maxPages: context.limits.maxPages,
+        onPage: (page, total) => context.report({ stage: 'reading', page, pages: total }),
+      });
+      context.pageCount = pageCount;
+      context.pages = pages.map((page) => ({ ...page, source: 'text' }));
+      context.text = joinPages(context.pages);
+      context.diagnostics.pageCount = pageCount;
+      context.diagnostics.pagesRead = pages.length;
+      context.diagnostics.textLayerPages = pages.filter((page) => !needsOcr(page)).length;
+    },
+  },
+  {
+    name: 'ocr',
+    progress: 'ocr',
+    when: (context) => context.kind === 'image' || context.pages.some(needsOcr),
+    async run(context) {
+      if (context.kind === 'image') {
+        context.report({ stage: 'ocr', page: 1, pages: 1 });
+        const text = (await extractTextFromImage(context.buffer)).trim();
+        context.pageCount = 1;
+        context.pages = [{ number: 1, text, source: 'ocr' }];
+        context.text = text;
+        context.diagnostics.ocrPages = [1];
+        return;
+      }
+
+      const scanned = context.pages.filter(needsOcr).map((page) => page.number);
+      const selected = scanned.slice(0, context.limits.maxOcrPages);
+      let results;
+      try {
+        results = await ocrPdfPages(context.pdf, {
+          pageNumbers: selected,
+          onPage: (page, total) => context.report({ stage: 'ocr', page, pages: total }),
+        });
+      } catch (error) {
+        // A lease readable from its text layer is still worth returning when
+        // only its scanned pages (often just the signatures) cannot be read.
+        if (!context.text) throw error;
+        context.diagnostics.ocrError = error.message;
+        return;
+      }
+      results.forEach((result) => {
+        const page = context.pages.find((candidate) => candidate.number === result.number);
+        // Keep whatever the text layer had if the scan reads less.
+        if (result.text.length > page.text.length) {
+          Object.assign(page, { text: result.text, source: 'ocr' });
+        }
+      });
+      context.text = joinPages(context.pages);
+      context.diagnostics.ocrPages = selected;
+      if (scanned.length > selected.length) {
+        context.diagnostics.ocrSkippedPages = scanned.slice(selected.length);
+      }
+    },
+  },
+  {
+    name: 'rawText',
+    when: (context) => context.kind === 'pdf' && !context.text,
+    run(context) {
+      // Raw bytes have no pages to cite.
+      context.text = extractTextFromBuffer(context.buffer);
+      context.pages = [];
+      context.diagnostics.rawTextChars = context.text.length;
+    },
+  },
+  {
+    name: 'sections',
+    progress: 'analyzing',
+    run(context) {
+      context.sections = extractSections(context.text, context.pages);
+      context.preview = context.text ? context.text.slice(0, PREVIEW_LENGTH).trim() : '';
+    },
+  },
+  {
+    name: 'fields',
+    progress: 'analyzing',
+    run(context) {
+      context.fields = extractLeaseFields(context.text, context.pages);
+      context.extractedData = fieldValues(context.fields);
+      context.diagnostics.fieldsFound = Object.keys(context.fields).length;
+    },
+  },
+];
+
+// Adds a stage to every later ingestLease() call, after the stage named
+// `options.after` (or before `options.before`); at the end otherwise.
+function registerLeaseStage(stage, options = {}) {
+  if (!stage || typeof stage.name !== 'string' || typeof stage.run !== 'function') {
+    throw new Error('A lease ingestion stage needs a name and a run(context) function.');
+  }
+  if (stages.some((existing) => existing.name === stage.name)) {
+    throw new Error(`A lease ingestion stage named "${stage.name}" is already registered.`);
+  }
+
+  const anchor = options.after || options.before;
+  let index = stages.length;
+  if (anchor) {
+    const anchorIndex = stages.findIndex((existing) => existing.name === anchor);
+    if (anchorIndex === -1) {
+      throw new Error(`Unknown lease ingestion stage "${anchor}".`);
+    }
+    index = options.after ? anchorIndex + 1 : anchorIndex;
+  }
+  stages.splice(index, 0, stage);
+}
+
+function getLeaseStageNames() {
+  return stages.map((stage) => stage.name);
+}
+
+// Reads a lease file and returns { kind, pageCount, pages, text, sections,
+// preview, fields, extractedData, diagnostics }. `pages` is [{ number, text,
+// source }] with source "text" or "ocr"; `fields` is described in
+// leaseFields.js and `extractedData` holds just their values.
+// diagnostics.stages lists each stage with its duration in ms, or skipped:
+// true. `options.onProgress({ stage, page, pages })` follows along; a failing
+// stage throws a LeaseIngestionError naming it.
+async function ingestLease(buffer, mimeType, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const context = {
+    buffer,
+    mimeType,
+    kind: null,
+    pdf: null,
+    limits: {
+      maxPages: readPositiveInt(options.maxPages || process.env.LEASE_MAX_PAGES, 100),
+      maxOcrPages: readPositiveInt(options.maxOcrPages || process.env.LEASE_MAX_OCR_PAGES, 20),
+    },
+    pageCount: 0,
+    pages: [],
+    text: '',
+    sections: [],
+    preview: '',
+    fields: {},
+    extractedData: {},
+    diagnostics: {},
+    report: onProgress,
+  };
+  const timings = [];
+
+  try {
+    for (const stage of options.stages || stages) {
+      if (stage.when && !stage.when(context)) {
+        timings.push({ stage: stage.name, skipped: true });
+        continue;
+      }
+      if (stage.progress) {
+        onProgress({ stage: stage.progress });
+      }
+
+      const startedAt = Date.now();
+      try {
+        await stage.run(context);
+      } catch (error) {
+        throw new LeaseIngestionError(stage.name, context.kind, error);
+      }
+      timings.push({ stage: stage.name, ms: Date.now() - startedAt });
+    }
+  } finally {
+    if (context.pdf) {
+      await context.pdf.destroy();
+    }
+  }
+
+  return {
+    kind: context.kind,
+    pageCount: context.pageCount,
+    pages: context.pages,
+    text: context.text,
+    sections: context.sections,
+    preview: context.preview,
+    fields: context.fields,
+    extractedData: context.extractedData,
+    diagnostics: { ...context.diagnostics, stages: timings },
+  };
+}
+
+module.exports = {
+  LeaseIngestionError,
+  getLeaseStageNames,
+  ingestLease,
+  registerLeaseStage,
+};
@@ -0,0 +1,165 @@
+// Lease topics tenants are shown after an upload, each with up to a few
+// excerpts from the lease text. The security deposit topic quotes the amount.
+
+const TOPIC_DEFINITIONS = [
+  {
+    key: 'security_deposit',
+    label: 'Security deposit',
+    keywords: [
+      'security deposit',
+      'securitydeposit',
+      'deposit amount',
+      'deposit is',
+      'deposit of',
+      'refundable',
+      'damage deposit',
+      'pet deposit',
+      'deposit paid',
+      'deposit will',
+      'deposit shall',
+      'security-deposit',
+      'securitydeposit amount',
+    ],
+    summary:
+      'The lease text references security deposits and includes language about deposits.',
+  },
+  {
+    key: 'cleaning',
+    label: 'Cleaning',
+    keywords: ['cleaning', 'clean', 'cleaned', 'carpet', 'janitorial'],
+    summary:
+      'The lease text references cleaning and includes language about cleaning expectations.',
+  },
+  {
+    key: 'damage',
+    label: 'Damage',
+    keywords: ['damage', 'damages', 'repair', 'repairs', 'wear and tear'],
+    summary:
+      'The lease text references damage and includes language about damage-related terms.',
+  },
+  {
+    key: 'move_out',
+    label: 'Move-out obligations',
+    keywords: ['move out', 'move-out', 'moveout', 'vacate', 'surrender', 'keys', 'forwarding address'],
+    summary:
+      'The lease text references move-out steps and includes language about move-out expectations.',
+  },
+];
+
+const DEPOSIT_AMOUNT_PATTERNS = [
+  /security\s*deposit\s*amount[^$]{0,40}(\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
+  /security\s*deposit[^$]{0,40}(\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
+];
+const DEPOSIT_AMOUNT_WIDE_PATTERN = /security\s*deposit[^$]{0,80}(\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi;
+
+// Splits one page into the segments excerpts are taken from: its lines, or its
+// sentences when it is a single line, or 300-character chunks as a last resort.
+function segmentPage(page) {
+  const normalized = page.text.replace(/\s+/g, ' ').trim();
+  const lineSegments = page.text
+    .split(/\r?\n+/)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  const sentenceSegments = normalized
+    .split(/(?<=[.?!])\s+/)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  const chunkSegments = [];
+  for (let index = 0; index < normalized.length; index += 300) {
+    chunkSegments.push(normalized.slice(index, index + 300));
+  }
+  let segments = lineSegments.length > 1 ? lineSegments : sentenceSegments;
+  if (segments.length <= 1) {
+    segments = chunkSegments;
+  }
+  return { number: page.number, normalized, segments, chunkSegments };
+}
+
+function matchAmounts(pattern, text, page, amounts) {
+  const regex = new RegExp(pattern.source, pattern.flags);
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    if (match[1]) {
+      amounts.push({ text: match[1].replace(/\s+/g, ' ').trim(), page });
+    }
+  }
+}
+
+// Returns one entry per topic with up to three excerpts, each { text, page }.
+// `pages` is [{ number, text }] from the ingestion pipeline; without it the
+// whole text is treated as one page and excerpts cite no page (page: null).
+function extractSections(text, pages) {
+  if (!text) {
+    return TOPIC_DEFINITIONS.map((topic) => ({
+      topic: topic.label,
+      summary: 'Nothing noted for this topic in the extracted text.',
+      excerpts: [],
+    }));
+  }
+
+  const pageSegments = (pages && pages.length > 0 ? pages : [{ number: null, text }])
+    .filter((page) => page.text)
+    .map(segmentPage);
+
+  const snippetFromSegment = (segment, keyword, windowSize = 140) => {
+    const lower = segment.toLowerCase();
+    const index = lower.indexOf(keyword);
+    if (index === -1) return segment.slice(0, 260);
+    const start = Math.max(0, index - windowSize);
+    const end = Math.min(segment.length, index + keyword.length + windowSize);
+    return segment.slice(start, end).trim();
+  };
+
+  return TOPIC_DEFINITIONS.map((topic) => {
+    if (topic.key === 'security_deposit') {
+      const amounts = [];
+      DEPOSIT_AMOUNT_PATTERNS.forEach((pattern) => {
+        pageSegments.forEach((page) => matchAmounts(pattern, page.normalized.toLowerCase(), page.number, amounts));
+      });
+      if (amounts.length === 0) {
+        pageSegments.forEach((page) => {
+          page.chunkSegments.forEach((chunk) => {
+            if (chunk.toLowerCase().includes('security deposit')) {
+              matchAmounts(DEPOSIT_AMOUNT_WIDE_PATTERN, chunk, page.number, amounts);
+            }
+          });
+        });
+      }
+
+      const extracted = amounts.length > 0 ? [amounts[0]] : [];
+      return {
+        topic: topic.label,
+        summary: extracted.length > 0
+          ? 'The lease text references a security deposit amount.'
+          : 'Nothing noted for this topic in the extracted text.',
+        excerpts: extracted,
+      };
+    }
+
+    const matches = [];
+    pageSegments.forEach((page) => {
+      page.segments.forEach((segment) => {
+        if (matches.length >= 3) return;
+        const lowerSegment = segment.toLowerCase();
+        if (lowerSegment.includes('security deposit')) return;
+        const matchedKeyword = topic.keywords.find((keyword) => lowerSegment.includes(keyword));
+        if (matchedKeyword) {
+          matches.push({ text: snippetFromSegment(segment, matchedKeyword), page: page.number });
+        }
+      });
+    });
+
+    return {
+      topic: topic.label,
+      summary: matches.length > 0
+        ? topic.summary
+        : 'Nothing noted for this topic in the extracted text.',
+      excerpts: matches,
+    };
+  });
+}
+
+module.exports = {
+  TOPIC_DEFINITIONS,
+  extractSections,
+};
@@ -0,0 +1,50 @@
+const { sha256 } = require('./documentCache');
+const { getFileStore } = require('./fileStore');
+
+// The lease uploaded for a case. The original file goes to the file store,
+// named by the SHA-256 of its bytes under the case's own prefix: uploading the
+// same lease again stores nothing new, and deleting one case's lease never
+// touches a file another case (a roommate, say) uploaded too. What was
+// extracted from it is kept on the case record under `lease`.
+
+function leaseFileKey(caseId, hash) {
+  return `leases/${caseId}/${hash}`;
+}
+
+// Stores a multer file and returns the file fields of the `lease` entry.
+async function storeLeaseFile(caseId, file) {
+  const hash = sha256(file.buffer);
+  await getFileStore().put(leaseFileKey(caseId, hash), file.buffer, file.mimetype);
+  return {
+    sha256: hash,
+    filename: file.originalname,
+    contentType: file.mimetype,
+    size: file.size,
+  };
+}
+
+// Returns the original bytes, or null if the file is gone.
+async function readLeaseFile(caseId, lease) {
+  return getFileStore().get(leaseFileKey(caseId, lease.sha256));
+}
+
+async function deleteLeaseFile(caseId, lease) {
+  await getFileStore().delete(leaseFileKey(caseId, lease.sha256));
+}
+
+// The `lease` entry without the full text or the text of each page, for
+// responses that describe the whole case.
+function summarizeLease(lease) {
+  if (!lease) {
+    return null;
+  }
+  const { text, pages, ...summary } = lease;
+  return { ...summary, textLength: text ? text.length : 0 };
+}
+
+module.exports = {
+  deleteLeaseFile,
+  readLeaseFile,
+  storeLeaseFile,
+  summarizeLease,
+};
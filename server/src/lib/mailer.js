@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+
+// Defaults point at a local SMTP catcher (Mailpit / MailHog listen on 1025)
+// so sign-in emails can be inspected during development.
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth,
+    });
+  }
+  return transporter;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  return getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'DepositDefender <no-reply@depositdefender.local>',
+    to,
+    subject,
+    text,
+    html,
+  });
+}
+
+module.exports = {
+  sendMail,
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, '..', '..', 'migrations');
+
+// Arbitrary key shared by every instance so only one of them migrates at a time.
+const MIGRATION_LOCK_KEY = 7240117;
+
+function listMigrationFiles() {
+  if (!fs.existsSync(migrationsDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(migrationsDir)
+    .filter((file) => /^\d+_.+\.sql$/.test(file))
+    .sort();
+}
+
+async function runMigrations(pool, logger = console) {
+  const client = await pool.connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const { rows } = await client.query('SELECT name FROM schema_migrations');
+    const alreadyApplied = new Set(rows.map((row) => row.name));
+
+    for (const file of listMigrationFiles()) {
+      if (alreadyApplied.has(file)) continue;
+
+      const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${file} failed: ${error.message}`);
+      }
+
+      applied.push(file);
+      logger.log(`Applied migration ${file}`);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+
+  return applied;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { Pool } = require('pg');
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  runMigrations(pool)
+    .then((applied) => {
+      console.log(applied.length > 0 ? `${applied.length} migration(s) applied.` : 'Database is up to date.');
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  runMigrations,
+};
@@ -0,0 +1,21 @@
+const CURRENCY_PATTERN = /^\$?\s*(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?$/;
+
+// Accepts "1200", "1,200.00" or "$1,200" and returns whole cents, or null.
+function parseCurrency(value) {
+  const match = typeof value === 'string' ? CURRENCY_PATTERN.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+  const dollars = parseInt(match[1].replace(/,/g, ''), 10);
+  const cents = match[2] ? parseInt(match[2].padEnd(2, '0'), 10) : 0;
+  return dollars * 100 + cents;
+}
+
+function formatCurrency(cents) {
+  return `$${(cents / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+module.exports = {
+  parseCurrency,
+  formatCurrency,
+};
@@ -0,0 +1,239 @@
+const { OEM, createWorker } = require('tesseract.js');
+
+// Shared Tesseract workers for every OCR job (lease photos and scanned PDF
+// pages). At most `size` pages are recognized at once; further jobs wait in a
+// FIFO queue and fail with an OcrPoolBusyError if no worker frees up within
+// `queueTimeoutMs`. Workers stay loaded between jobs, since loading the language
+// model is the slow part, and are replaced after `maxJobsPerWorker` jobs, after
+// any failure and after a job runs past `jobTimeoutMs`.
+
+class OcrTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`OCR did not finish within ${timeoutMs}ms.`);
+    this.name = 'OcrTimeoutError';
+  }
+}
+
+class OcrPoolBusyError extends Error {
+  constructor(waitedMs) {
+    super(`No OCR worker became available within ${waitedMs}ms.`);
+    this.name = 'OcrPoolBusyError';
+  }
+}
+
+class OcrUnavailableError extends Error {
+  constructor() {
+    super('The OCR engine could not be started.');
+    this.name = 'OcrUnavailableError';
+  }
+}
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Tesseract throws worker errors from a message handler, which takes the whole
+// process down, unless an errorHandler is given. With one, a worker that fails
+// to load (e.g. the language data cannot be downloaded) never settles, so the
+// handler rejects the start instead. Errors during a job also reject the job.
+function startTesseractWorker(language = 'eng') {
+  return new Promise((resolve, reject) => {
+    const fail = (error) => reject(error instanceof Error ? error : new Error(String(error)));
+    createWorker(language, OEM.LSTM_ONLY, { errorHandler: fail }).then(resolve, fail);
+  });
+}
+
+function createOcrPool(options = {}) {
+  const size = readPositiveInt(options.size, 1);
+  const jobTimeoutMs = readPositiveInt(options.jobTimeoutMs, 60000);
+  const queueTimeoutMs = readPositiveInt(options.queueTimeoutMs, 120000);
+  const maxJobsPerWorker = readPositiveInt(options.maxJobsPerWorker, 50);
+  // After a worker fails to start, jobs fail fast for this long instead of
+  // starting (and leaking) another one straight away.
+  const retryAfterMs = readPositiveInt(options.retryAfterMs, 30000);
+  const startWorker = options.startWorker || (() => startTesseractWorker(options.language));
+
+  const idle = [];
+  const waiting = [];
+  const inFlight = new Set();
+  let active = 0;
+  let closed = false;
+  let lastStartFailure = 0;
+  const metrics = {
+    starts: 0,
+    startFailures: 0,
+    recycled: 0,
+    jobs: 0,
+    failures: 0,
+    timeouts: 0,
+    queueTimeouts: 0,
+    totalJobMs: 0,
+    maxJobMs: 0,
+  };
+
+  function acquireSlot() {
+    if (closed) {
+      return Promise.reject(new Error('The OCR engine is shutting down.'));
+    }
+    if (active < size) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        metrics.queueTimeouts += 1;
+        reject(new OcrPoolBusyError(queueTimeoutMs));
+      }, queueTimeoutMs);
+      waiting.push(waiter);
+    });
+  }
+
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      active -= 1;
+    }
+  }
+
+  async function takeWorker() {
+    const entry = idle.pop();
+    if (entry) {
+      return entry;
+    }
+    if (Date.now() - lastStartFailure < retryAfterMs) {
+      throw new OcrUnavailableError();
+    }
+    try {
+      const worker = await startWorker();
+      metrics.starts += 1;
+      return { worker, jobs: 0 };
+    } catch (error) {
+      lastStartFailure = Date.now();
+      metrics.startFailures += 1;
+      console.error('Unable to start OCR worker', { message: error.message });
+      throw new OcrUnavailableError();
+    }
+  }
+
+  function retire(entry) {
+    metrics.recycled += 1;
+    Promise.resolve()
+      .then(() => entry.worker.terminate())
+      .catch(() => {});
+  }
+
+  async function runJob(image) {
+    const entry = await takeWorker();
+    const startedAt = Date.now();
+    let timer = null;
+    let healthy = false;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new OcrTimeoutError(jobTimeoutMs)), jobTimeoutMs);
+      });
+      const { data } = await Promise.race([entry.worker.recognize(image), timeout]);
+      healthy = true;
+      const elapsed = Date.now() - startedAt;
+      metrics.jobs += 1;
+      metrics.totalJobMs += elapsed;
+      metrics.maxJobMs = Math.max(metrics.maxJobMs, elapsed);
+      return (data && data.text) || '';
+    } catch (error) {
+      metrics.failures += 1;
+      if (error instanceof OcrTimeoutError) {
+        metrics.timeouts += 1;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      entry.jobs += 1;
+      // A worker that failed or timed out may still be busy with the page.
+      if (healthy && entry.jobs < maxJobsPerWorker && !closed) {
+        idle.push(entry);
+      } else {
+        retire(entry);
+      }
+    }
+  }
+
+  // Resolves with the text Tesseract reads from an image buffer.
+  async function recognize(image) {
+    await acquireSlot();
+    const task = runJob(image);
+    inFlight.add(task);
+    try {
+      return await task;
+    } finally {
+      inFlight.delete(task);
+      releaseSlot();
+    }
+  }
+
+  function getMetrics() {
+    return {
+      size,
+      activeJobs: active,
+      queued: waiting.length,
+      idleWorkers: idle.length,
+      starts: metrics.starts,
+      startFailures: metrics.startFailures,
+      recycled: metrics.recycled,
+      jobs: metrics.jobs,
+      failures: metrics.failures,
+      timeouts: metrics.timeouts,
+      queueTimeouts: metrics.queueTimeouts,
+      averageJobMs: metrics.jobs ? Math.round(metrics.totalJobMs / metrics.jobs) : null,
+      maxJobMs: metrics.maxJobMs,
+    };
+  }
+
+  // Stops taking work, lets running jobs finish, then terminates the workers.
+  async function close() {
+    closed = true;
+    waiting.splice(0).forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('The OCR engine is shutting down.'));
+    });
+    await Promise.allSettled(Array.from(inFlight));
+    await Promise.allSettled(idle.splice(0).map((entry) => entry.worker.terminate()));
+  }
+
+  return { recognize, getMetrics, close };
+}
+
+let sharedPool = null;
+
+function getOcrPool() {
+  if (!sharedPool) {
+    sharedPool = createOcrPool({
+      size: process.env.OCR_POOL_SIZE,
+      jobTimeoutMs: process.env.OCR_JOB_TIMEOUT_MS,
+      queueTimeoutMs: process.env.OCR_QUEUE_TIMEOUT_MS,
+      maxJobsPerWorker: process.env.OCR_WORKER_MAX_JOBS,
+    });
+  }
+  return sharedPool;
+}
+
+async function closeOcrPool() {
+  if (sharedPool) {
+    await sharedPool.close();
+    sharedPool = null;
+  }
+}
+
+module.exports = {
+  OcrPoolBusyError,
+  OcrTimeoutError,
+  OcrUnavailableError,
+  closeOcrPool,
+  createOcrPool,
+  getOcrPool,
+};
@@ -1,7 +1,5 @@
-const { createWorker } = require('tesseract.js');
 const { createCanvas } = require('@napi-rs/canvas');
-
-const MAX_OCR_PAGES = 5;
+const { getOcrPool } = require('./ocrPool');
 
 async function renderPdfPageToPng(page, scale = 2) {
   const viewport = page.getViewport({ scale });
@@ -11,36 +9,26 @@ async function renderPdfPageToPng(page, scale = 2) {
   return canvas.toBuffer('image/png');
 }
 
-async function extractTextFromPdfOcr(buffer) {
-  const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
-  const data = Uint8Array.from(buffer);
-  const loadingTask = pdfjsLib.getDocument({ data });
-  const pdf = await loadingTask.promise;
-  const pageCount = Math.min(pdf.numPages, MAX_OCR_PAGES);
-
-  const worker = await createWorker();
-  try {
-    await worker.loadLanguage('eng');
-    await worker.initialize('eng');
-    let combinedText = '';
+// Scans the given page numbers of an open PDF and returns [{ number, text }].
+// `onPage(index, count)` is called before each of them is scanned.
+async function ocrPdfPages(pdf, { pageNumbers, onPage } = {}) {
+  const numbers = (pageNumbers || Array.from({ length: pdf.numPages }, (value, index) => index + 1))
+    .filter((number) => number >= 1 && number <= pdf.numPages);
+  const pages = [];
 
-    for (let pageIndex = 1; pageIndex <= pageCount; pageIndex += 1) {
-      const page = await pdf.getPage(pageIndex);
-      const pngBuffer = await renderPdfPageToPng(page);
-      const {
-        data: { text },
-      } = await worker.recognize(pngBuffer);
-      if (text) {
-        combinedText += `${text}\n`;
-      }
-    }
-
-    return combinedText;
-  } finally {
-    await worker.terminate();
+  for (let index = 0; index < numbers.length; index += 1) {
+    if (onPage) onPage(index + 1, numbers.length);
+    const page = await pdf.getPage(numbers[index]);
+    const pngBuffer = await renderPdfPageToPng(page);
+    page.cleanup();
+    const text = await getOcrPool().recognize(pngBuffer);
+    pages.push({ number: numbers[index], text: text.trim() });
   }
+
+  return pages;
 }
 
 module.exports = {
-  extractTextFromPdfOcr,
+  ocrPdfPages,
+  renderPdfPageToPng,
 };
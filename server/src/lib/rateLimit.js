@@ -0,0 +1,42 @@
+// Fixed-window request limits for unauthenticated endpoints. Counts are kept
+// in memory per key (the caller's IP by default) and expired windows are
+// dropped as requests come in, so the map only holds recent callers.
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function createRateLimiter(options = {}) {
+  const windowMs = readPositiveInt(options.windowMs, 15 * 60 * 1000);
+  const max = readPositiveInt(options.max, 20);
+  const keyFor = options.keyFor || ((req) => req.ip);
+  const message = options.message || 'Too many requests. Please try again later.';
+  const windows = new Map();
+
+  function prune(now) {
+    for (const [key, entry] of windows.entries()) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    prune(now);
+
+    const key = keyFor(req);
+    const entry = windows.get(key) || { count: 0, resetAt: now + windowMs };
+    entry.count += 1;
+    windows.set(key, entry);
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ status: 'rate_limited', message });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+};
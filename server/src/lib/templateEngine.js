@@ -0,0 +1,247 @@
+// A deliberately small template language for the documents in ai/. Nothing in
+// a template is evaluated as code.
+//
+//   {{ tenant_information.full_name }}             value, HTML-escaped
+//   {{ deposit.amount | currency }}                 filters, applied left to right
+//   {{ notes | default: "Not provided" }}           filters can take one argument
+//   {{#if field}} ... {{else}} ... {{/if}}          truthy test ({{#unless}} negates)
+//   {{#if field == "partial"}} ... {{/if}}          comparison with a literal (== or !=)
+//   {{#each deductions as deduction}} ... {{/each}} loop; {{else}} renders when empty
+//
+// Template text is trusted and copied as is, so it may contain markup such as
+// tables; only values are escaped, unless the caller wraps one in TrustedHtml
+// (how a layout receives the already rendered document body). A block tag on
+// a line of its own removes that whole line, so conditionals do not leave
+// blank lines behind. Referencing a field that is not in the context is an
+// error rather than an empty string, so typos fail at render time.
+
+class TemplateError extends Error {
+  constructor(templateName, message) {
+    super(`Template ${templateName}: ${message}`);
+    this.name = 'TemplateError';
+  }
+}
+
+class TrustedHtml {
+  constructor(html) {
+    this.html = String(html);
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+const TAG_PATTERN = /\{\{\s*([#/]?)([\s\S]*?)\s*\}\}/g;
+const FILTER_PATTERN = /^([a-z_]+)(?:\s*:\s*("(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?))?$/;
+const TEST_PATTERN = /^([\w.@]+)(?:\s*(==|!=)\s*("(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?|true|false|null))?$/;
+const PATH_PATTERN = /^[A-Za-z_@][\w@]*(?:\.[A-Za-z_]\w*)*$/;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== false && value !== '';
+}
+
+function parseLiteral(text) {
+  return JSON.parse(text);
+}
+
+// Splits the source into text and tag tokens, dropping block tags' lines when
+// the tag is the only thing on them.
+function tokenize(source) {
+  const tokens = [];
+  let cursor = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [raw, sigil, body] = match;
+    const isBlock = sigil !== '' || body === 'else';
+    let start = match.index;
+    let end = match.index + raw.length;
+
+    if (isBlock) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline;
+      if (lineStart >= cursor
+        && source.slice(lineStart, start).trim() === ''
+        && source.slice(end, lineEnd).trim() === '') {
+        start = lineStart;
+        end = newline === -1 ? source.length : newline + 1;
+      }
+    }
+
+    if (start > cursor) {
+      tokens.push({ type: 'text', value: source.slice(cursor, start) });
+    }
+    tokens.push({ type: 'tag', sigil, body: body.trim() });
+    cursor = end;
+    TAG_PATTERN.lastIndex = end;
+  }
+
+  if (cursor < source.length) {
+    tokens.push({ type: 'text', value: source.slice(cursor) });
+  }
+  return tokens;
+}
+
+function parse(source, templateName) {
+  const fail = (message) => {
+    throw new TemplateError(templateName, message);
+  };
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const target = () => {
+    const node = current();
+    return node.inElse ? node.otherwise : node.children;
+  };
+
+  const checkPath = (path) => {
+    if (!PATH_PATTERN.test(path)) fail(`invalid field name "${path}"`);
+    return path;
+  };
+
+  tokenize(source).forEach((token) => {
+    if (token.type === 'text') {
+      target().push({ type: 'text', value: token.value });
+      return;
+    }
+
+    const { sigil, body } = token;
+    if (sigil === '#') {
+      const [keyword, ...rest] = body.split(/\s+/);
+      const args = rest.join(' ');
+      let node;
+      if (keyword === 'if' || keyword === 'unless') {
+        const test = TEST_PATTERN.exec(args);
+        if (!test) fail(`invalid condition "${args}"`);
+        node = {
+          type: 'if',
+          negate: keyword === 'unless',
+          path: checkPath(test[1]),
+          operator: test[2] || null,
+          literal: test[3] !== undefined ? parseLiteral(test[3]) : undefined,
+        };
+      } else if (keyword === 'each') {
+        const loop = /^([\w.]+)\s+as\s+([A-Za-z_]\w*)$/.exec(args);
+        if (!loop) fail(`expected "{{#each list as item}}" but found "{{#${body}}}"`);
+        node = { type: 'each', path: checkPath(loop[1]), alias: loop[2] };
+      } else {
+        fail(`unknown block "${keyword}"`);
+      }
+      node.keyword = keyword;
+      node.children = [];
+      node.otherwise = [];
+      target().push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      const node = current();
+      if (node === root) fail(`unexpected {{/${body}}}`);
+      if (body !== node.keyword) fail(`{{#${node.keyword}}} closed by {{/${body}}}`);
+      stack.pop();
+    } else if (body === 'else') {
+      const node = current();
+      if (node === root || node.inElse) fail('unexpected {{else}}');
+      node.inElse = true;
+    } else {
+      const [expression, ...filterParts] = body.split('|').map((part) => part.trim());
+      const filters = filterParts.map((part) => {
+        const filter = FILTER_PATTERN.exec(part);
+        if (!filter) fail(`invalid filter "${part}"`);
+        return { name: filter[1], arg: filter[2] !== undefined ? parseLiteral(filter[2]) : undefined };
+      });
+      target().push({ type: 'value', path: checkPath(expression), filters });
+    }
+  });
+
+  if (stack.length > 1) {
+    fail(`{{#${current().keyword}}} is never closed`);
+  }
+  return root.children;
+}
+
+// options.filters maps filter names to (value, arg) => value. options.name is
+// used in error messages.
+function renderTemplate(source, context, options = {}) {
+  const templateName = options.name || 'template';
+  const filters = options.filters || {};
+  const fail = (message) => {
+    throw new TemplateError(templateName, message);
+  };
+
+  function lookup(path, scopes) {
+    const [first, ...rest] = path.split('.');
+    const scope = scopes.find((candidate) => Object.prototype.hasOwnProperty.call(candidate, first));
+    if (!scope) fail(`unknown field "${path}"`);
+
+    return rest.reduce((value, key) => {
+      if (!isPlainObject(value) || !Object.prototype.hasOwnProperty.call(value, key)) {
+        fail(`unknown field "${path}"`);
+      }
+      return value[key];
+    }, scope[first]);
+  }
+
+  function renderNodes(nodes, scopes) {
+    return nodes.map((node) => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+
+      if (node.type === 'value') {
+        const value = node.filters.reduce((result, filter) => {
+          if (!filters[filter.name]) fail(`unknown filter "${filter.name}"`);
+          return filters[filter.name](result, filter.arg);
+        }, lookup(node.path, scopes));
+        if (value instanceof TrustedHtml) return value.html;
+        return value === null || value === undefined ? '' : escapeHtml(value);
+      }
+
+      if (node.type === 'if') {
+        const value = lookup(node.path, scopes);
+        let passed = isTruthy(value);
+        if (node.operator === '==') passed = value === node.literal;
+        if (node.operator === '!=') passed = value !== node.literal;
+        if (node.negate) passed = !passed;
+        return renderNodes(passed ? node.children : node.otherwise, scopes);
+      }
+
+      const list = lookup(node.path, scopes);
+      if (list !== null && list !== undefined && !Array.isArray(list)) {
+        fail(`"${node.path}" is not a list`);
+      }
+      if (!list || list.length === 0) {
+        return renderNodes(node.otherwise, scopes);
+      }
+      return list
+        .map((item, index) => renderNodes(node.children, [
+          { [node.alias]: item, '@index': index, '@number': index + 1 },
+          ...scopes,
+        ]))
+        .join('');
+    }).join('');
+  }
+
+  return renderNodes(parse(source, templateName), [context]);
+}
+
+module.exports = {
+  renderTemplate,
+  TemplateError,
+  TrustedHtml,
+};
@@ -0,0 +1,138 @@
+const express = require('express');
+const { getCasesByEmail } = require('../lib/caseStore');
+const {
+  normalizeEmail,
+  issueCaseToken,
+  issueLoginLinkToken,
+  redeemLoginLinkToken,
+  requireTenantSession,
+} = require('../lib/caseAccess');
+const { sendMail } = require('../lib/mailer');
+const { createRateLimiter } = require('../lib/rateLimit');
+
+const router = express.Router();
+
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
+const RESEND_INTERVAL_MS = 60 * 1000;
+const lastSentAt = new Map();
+
+// Per caller IP, on top of the per-email resend interval.
+const authRateLimit = createRateLimiter({
+  windowMs: process.env.AUTH_RATE_LIMIT_WINDOW_MS,
+  max: process.env.AUTH_RATE_LIMIT_MAX,
+  message: 'Too many sign-in attempts. Please wait a few minutes and try again.',
+});
+
+// The response is identical whether or not the email has cases on file, so
+// the endpoint cannot be used to discover who has used the service.
+const LINK_SENT_MESSAGE =
+  'If we have cases for that email address, a sign-in link is on its way. The link expires in 15 minutes.';
+
+async function sendLoginLink(email) {
+  const cases = await getCasesByEmail(email);
+  if (cases.length === 0) {
+    return;
+  }
+
+  const link = `${CLIENT_ORIGIN}/my-cases?login=${encodeURIComponent(issueLoginLinkToken(email))}`;
+  await sendMail({
+    to: email,
+    subject: 'Your DepositDefender sign-in link',
+    text: [
+      'Use the link below to view your DepositDefender cases.',
+      '',
+      link,
+      '',
+      'The link works once and expires in 15 minutes.',
+      'If you did not request it, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+router.post('/magic-link', authRateLimit, (req, res) => {
+  const email = normalizeEmail(req.body && req.body.email);
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({
+      status: 'invalid',
+      message: 'Please enter the email address you used on your intake.',
+    });
+  }
+
+  const now = Date.now();
+  for (const [address, sentAt] of lastSentAt.entries()) {
+    if (now - sentAt >= RESEND_INTERVAL_MS) lastSentAt.delete(address);
+  }
+
+  if (!lastSentAt.has(email)) {
+    lastSentAt.set(email, now);
+    // The lookup and the email happen after the response, so how long the
+    // request takes does not give away whether the address has cases either.
+    sendLoginLink(email).catch((error) => {
+      console.error('Unable to send sign-in link', {
+        message: error && error.message ? error.message : String(error),
+      });
+    });
+  }
+
+  return res.status(202).json({ status: 'sent', message: LINK_SENT_MESSAGE });
+});
+
+router.post('/magic-link/verify', authRateLimit, async (req, res) => {
+  const token = req.body && typeof req.body.token === 'string' ? req.body.token : '';
+
+  let session = null;
+  try {
+    session = token ? await redeemLoginLinkToken(token) : null;
+  } catch (error) {
+    console.error('Unable to redeem sign-in link', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to sign you in right now. Please try again later.',
+    });
+  }
+
+  if (!session) {
+    return res.status(401).json({
+      status: 'unauthorized',
+      message: 'This sign-in link is invalid, expired or has already been used. Please request a new one.',
+    });
+  }
+
+  return res.json({
+    status: 'ok',
+    sessionToken: session.sessionToken,
+    email: session.email,
+  });
+});
+
+router.get('/my-cases', requireTenantSession, async (req, res) => {
+  let cases;
+  try {
+    cases = await getCasesByEmail(req.tenantEmail);
+  } catch (error) {
+    console.error('Unable to list cases', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to load your cases right now.',
+    });
+  }
+
+  return res.json({
+    status: 'ok',
+    email: req.tenantEmail,
+    cases: cases.map((caseData) => ({
+      caseId: caseData.id,
+      status: caseData.status || 'submitted',
+      createdAt: caseData.createdAt,
+      paymentStatus: caseData.paymentStatus,
+      paidAt: caseData.paidAt,
+      propertyAddress: caseData.intake.property_information
+        ? caseData.intake.property_information.property_address
+        : '',
+      accessToken: issueCaseToken(caseData).accessToken,
+    })),
+  });
+});
+
+module.exports = router;
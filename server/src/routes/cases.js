@@ -2,12 +2,33 @@ const express = require('express');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const { validateIntake } = require('../lib/intakeValidation');
-const { saveCase, getCase } = require('../lib/caseStore');
 const {
-  extractTextFromImage,
-  extractTextFromPdf,
-  extractTextFromPdfOcr,
-} = require('../lib/leaseExtraction');
+  isDraft,
+  removeCaseLease,
+  saveCase,
+  saveCaseLease,
+  updateCase,
+  updateCaseIntake,
+} = require('../lib/caseStore');
+const {
+  mergeIntake,
+  getCurrentRevision,
+  summarizeRevisions,
+} = require('../lib/caseRevisions');
+const { issueCaseToken, requireCaseAccess } = require('../lib/caseAccess');
+const { ingestLease } = require('../lib/leaseIngestion');
+const {
+  ExtractionJobError,
+  ExtractionQueueFullError,
+  getExtractionQueue,
+} = require('../lib/extractionJobs');
+const { OcrPoolBusyError, OcrTimeoutError, OcrUnavailableError } = require('../lib/ocrPool');
+const {
+  deleteLeaseFile,
+  readLeaseFile,
+  storeLeaseFile,
+  summarizeLease,
+} = require('../lib/leaseStorage');
 
 const router = express.Router();
 const upload = multer({
@@ -15,60 +36,21 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 },
 });
 
-const TOPIC_DEFINITIONS = [
-  {
-    key: 'security_deposit',
-    label: 'Security deposit',
-    keywords: [
-      'security deposit',
-      'securitydeposit',
-      'deposit amount',
-      'deposit is',
-      'deposit of',
-      'refundable',
-      'damage deposit',
-      'pet deposit',
-      'deposit paid',
-      'deposit will',
-      'deposit shall',
-      'security-deposit',
-      'securitydeposit amount',
-    ],
-    summary:
-      'The lease text references security deposits and includes language about deposits.',
-  },
-  {
-    key: 'cleaning',
-    label: 'Cleaning',
-    keywords: ['cleaning', 'clean', 'cleaned', 'carpet', 'janitorial'],
-    summary:
-      'The lease text references cleaning and includes language about cleaning expectations.',
-  },
-  {
-    key: 'damage',
-    label: 'Damage',
-    keywords: ['damage', 'damages', 'repair', 'repairs', 'wear and tear'],
-    summary:
-      'The lease text references damage and includes language about damage-related terms.',
-  },
-  {
-    key: 'move_out',
-    label: 'Move-out obligations',
-    keywords: ['move out', 'move-out', 'moveout', 'vacate', 'surrender', 'keys', 'forwarding address'],
-    summary:
-      'The lease text references move-out steps and includes language about move-out expectations.',
-  },
-];
-
-function extractTextFromBuffer(buffer) {
-  const utf8Text = buffer.toString('utf8');
-  const cleaned = utf8Text.replace(/[^ -~\n\r\t]+/g, ' ');
-  return cleaned.replace(/\s+/g, ' ').trim();
-}
-
 function getLeaseExtractionErrorMessage(error, isImage, fileSize) {
   const errorMsg = error && error.message ? error.message.toLowerCase() : '';
 
+  if (error instanceof OcrTimeoutError) {
+    return 'Scanning this file took too long. Try uploading a clearer copy or only the pages about your deposit.';
+  }
+
+  if (error instanceof OcrPoolBusyError) {
+    return 'We are scanning a lot of documents right now. Please try again in a few minutes, or enter your information manually.';
+  }
+
+  if (error instanceof OcrUnavailableError) {
+    return 'Scanned leases cannot be read right now. Please try again in a few minutes, or enter your information manually.';
+  }
+
   // Check for common error patterns
   if (errorMsg.includes('invalid pdf') || errorMsg.includes('corrupted') || errorMsg.includes('damaged')) {
     return 'The file appears to be corrupted or damaged. Please try uploading a different copy of your lease.';
@@ -98,261 +80,7 @@ function getLeaseExtractionErrorMessage(error, isImage, fileSize) {
   return 'Unable to process this file right now. Please verify the file is a valid PDF or image, then try again.';
 }
 
-function extractStructuredData(text, sections) {
-  if (!text || text.trim().length < 20) {
-    return null;
-  }
-
-  const normalized = text.replace(/\s+/g, ' ').trim();
-  const extracted = {};
-
-  // Extract security deposit amount - prefer the value from sections if available
-  if (sections && sections.length > 0) {
-    const depositSection = sections.find(s => s.topic === 'Security deposit');
-    if (depositSection && depositSection.excerpts && depositSection.excerpts.length > 0) {
-      // Use the first excerpt which should contain the deposit amount
-      const amountMatch = depositSection.excerpts[0].match(/\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?/);
-      if (amountMatch) {
-        extracted.deposit_amount = amountMatch[0].replace(/\s+/g, '');
-      }
-    }
-  }
-
-  // Fallback: try to extract from full text if not found in sections
-  if (!extracted.deposit_amount) {
-    const depositPatterns = [
-      /security\s*deposit[:\s]+(?:amount[:\s]+)?(\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-      /deposit[:\s]+(?:amount[:\s]+)?(\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-    ];
-
-    for (const pattern of depositPatterns) {
-      const match = pattern.exec(normalized);
-      if (match && match[1]) {
-        let amount = match[1].replace(/\s+/g, '').trim();
-        extracted.deposit_amount = amount;
-        break;
-      }
-    }
-  }
-
-  // Extract property address - look for street address patterns
-  const addressPatterns = [
-    /(?:property\s+address|premises|unit|apartment|residence)[:\s]+([0-9]+\s+[A-Za-z0-9\s#.'-]+(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd|Court|Ct|Way|Place|Pl|Circle|Cir|Parkway|Pkwy)[^,.\n]*)/gi,
-    /(?:located\s+at|address)[:\s]+([0-9]+\s+[A-Za-z0-9\s#.'-]+(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd|Court|Ct|Way|Place|Pl|Circle|Cir|Parkway|Pkwy)[^,.\n]*)/gi,
-    /\b([0-9]+\s+[A-Za-z0-9\s#.'-]+(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd|Court|Ct|Way|Place|Pl|Circle|Cir|Parkway|Pkwy))\s*,\s*[A-Z][a-z]+\s*,\s*TX/gi,
-  ];
-
-  for (const pattern of addressPatterns) {
-    const match = pattern.exec(normalized);
-    if (match && match[1]) {
-      let addr = match[1].trim();
-      // Clean up common artifacts
-      addr = addr.replace(/\s+/g, ' ').replace(/[,;]$/, '').trim();
-      if (addr.length > 5 && addr.length < 150 && /^\d/.test(addr)) {
-        extracted.property_address = addr;
-        break;
-      }
-    }
-  }
-
-  // Extract city, state, zip - look for standard address format
-  const cityStateZipPatterns = [
-    /,\s*([A-Za-z\s]+),\s*TX\s*(\d{5})/gi,
-    /([A-Za-z\s]+),\s*Texas\s*(\d{5})/gi,
-  ];
-
-  for (const pattern of cityStateZipPatterns) {
-    const match = pattern.exec(normalized);
-    if (match && match[1] && match[2]) {
-      extracted.city = match[1].trim();
-      extracted.zip_code = match[2].trim();
-      break;
-    }
-  }
-
-  // Extract lease dates - look for various date formats and contexts
-  const datePatterns = [
-    /(?:lease|term|rental)\s+(?:period|term)[:\s]+(?:from\s+)?([0-9]{1,2}[\/\-][0-9]{1,2}[\/\-][0-9]{2,4})/gi,
-    /(?:commence|begin|start)[:\s]+([0-9]{1,2}[\/\-][0-9]{1,2}[\/\-][0-9]{2,4})/gi,
-    /(?:effective|starting)\s+(?:date)?[:\s]*([0-9]{1,2}[\/\-][0-9]{1,2}[\/\-][0-9]{2,4})/gi,
-    /from[:\s]+([0-9]{1,2}[\/\-][0-9]{1,2}[\/\-][0-9]{2,4})\s+(?:to|through)/gi,
-  ];
-
-  for (const pattern of datePatterns) {
-    pattern.lastIndex = 0; // Reset regex state
-    const match = pattern.exec(normalized);
-    if (match && match[1]) {
-      const parsedDate = normalizeDate(match[1]);
-      if (parsedDate && parsedDate.length === 10) { // Valid YYYY-MM-DD format
-        extracted.lease_start_date = parsedDate;
-        break;
-      }
-    }
-  }
-
-  const endDatePatterns = [
-    /(?:to|through|until|thru)[:\s]+([0-9]{1,2}[\/\-][0-9]{1,2}[\/\-][0-9]{2,4})/gi,
-    /(?:end|expir|terminat)[a-z]*[:\s]+([0-9]{1,2}[\/\-][0-9]{1,2}[\/\-][0-9]{2,4})/gi,
-    /(?:ending|expiring)\s+(?:on|date)?[:\s]*([0-9]{1,2}[\/\-][0-9]{1,2}[\/\-][0-9]{2,4})/gi,
-  ];
-
-  for (const pattern of endDatePatterns) {
-    pattern.lastIndex = 0; // Reset regex state
-    const match = pattern.exec(normalized);
-    if (match && match[1]) {
-      const parsedDate = normalizeDate(match[1]);
-      if (parsedDate && parsedDate.length === 10) { // Valid YYYY-MM-DD format
-        extracted.lease_end_date = parsedDate;
-        break;
-      }
-    }
-  }
-
-  // Extract tenant name - be very conservative to avoid false matches
-  const tenantPatterns = [
-    /(?:tenant|lessee)[:\s]+([A-Z][a-z]+\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\s*(?:,|\(|$)/gi,
-    /between[^,]{0,50}and[:\s]+([A-Z][a-z]+\s+[A-Z][a-z]+)\s*\(/gi,
-  ];
-
-  for (const pattern of tenantPatterns) {
-    pattern.lastIndex = 0;
-    const match = pattern.exec(text);
-    if (match && match[1]) {
-      const name = match[1].trim();
-      // Strict validation: no common words, reasonable length
-      const commonWords = ['agrees', 'shall', 'must', 'will', 'landlord', 'owner', 'manager', 'property'];
-      const hasCommonWord = commonWords.some(word => name.toLowerCase().includes(word));
-
-      if (!hasCommonWord && name.length >= 5 && name.length <= 50 && name.split(/\s+/).length >= 2) {
-        extracted.tenant_name = name;
-        break;
-      }
-    }
-  }
-
-  return Object.keys(extracted).length > 0 ? extracted : null;
-}
-
-function normalizeDate(dateStr) {
-  // Convert MM/DD/YYYY or MM-DD-YYYY to YYYY-MM-DD format
-  const parts = dateStr.split(/[\/\-]/);
-  if (parts.length === 3) {
-    let [month, day, year] = parts;
-
-    // Handle 2-digit years
-    if (year.length === 2) {
-      const currentYear = new Date().getFullYear();
-      const century = Math.floor(currentYear / 100) * 100;
-      year = century + parseInt(year);
-    }
-
-    month = month.padStart(2, '0');
-    day = day.padStart(2, '0');
-
-    return `${year}-${month}-${day}`;
-  }
-  return dateStr;
-}
-
-function extractSections(text) {
-  if (!text) {
-    return TOPIC_DEFINITIONS.map((topic) => ({
-      topic: topic.label,
-      summary: 'Nothing noted for this topic in the extracted text.',
-      excerpts: [],
-    }));
-  }
-
-  const normalized = text.replace(/\s+/g, ' ').trim();
-  const lineSegments = text
-    .split(/\r?\n+/)
-    .map((segment) => segment.trim())
-    .filter(Boolean);
-  const sentenceSegments = normalized
-    .split(/(?<=[.?!])\s+/)
-    .map((segment) => segment.trim())
-    .filter(Boolean);
-  const chunkSegments = [];
-  for (let index = 0; index < normalized.length; index += 300) {
-    chunkSegments.push(normalized.slice(index, index + 300));
-  }
-  let segments = lineSegments.length > 1 ? lineSegments : sentenceSegments;
-  if (segments.length <= 1) {
-    segments = chunkSegments;
-  }
-  const lowerSegments = segments.map((segment) => segment.toLowerCase());
-  const lowerChunks = chunkSegments.map((segment) => segment.toLowerCase());
-  const normalizedLower = normalized.toLowerCase();
-
-  const snippetFromSegment = (segment, keyword, windowSize = 140) => {
-    const lower = segment.toLowerCase();
-    const index = lower.indexOf(keyword);
-    if (index === -1) return segment.slice(0, 260);
-    const start = Math.max(0, index - windowSize);
-    const end = Math.min(segment.length, index + keyword.length + windowSize);
-    return segment.slice(start, end).trim();
-  };
-
-  return TOPIC_DEFINITIONS.map((topic) => {
-    if (topic.key === 'security_deposit') {
-      const amounts = [];
-      const amountPatterns = [
-        /security\s*deposit\s*amount[^$]{0,40}(\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-        /security\s*deposit[^$]{0,40}(\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-      ];
-      amountPatterns.forEach((pattern) => {
-        let match;
-        while ((match = pattern.exec(normalizedLower)) !== null) {
-          if (match[1]) {
-            amounts.push(match[1].replace(/\s+/g, ' ').trim());
-          }
-        }
-      });
-      if (amounts.length === 0) {
-        lowerChunks.forEach((chunk, index) => {
-          if (!chunk.includes('security deposit')) return;
-          const localPattern =
-            /security\s*deposit[^$]{0,80}(\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi;
-          let match;
-          while ((match = localPattern.exec(chunkSegments[index])) !== null) {
-            if (match[1]) {
-              amounts.push(match[1].replace(/\s+/g, ' ').trim());
-            }
-          }
-        });
-      }
-
-      const uniqueAmounts = Array.from(new Set(amounts));
-      const extracted = uniqueAmounts.length > 0 ? [uniqueAmounts[0]] : [];
-      return {
-        topic: topic.label,
-        summary: extracted.length > 0
-          ? 'The lease text references a security deposit amount.'
-          : 'Nothing noted for this topic in the extracted text.',
-        excerpts: extracted,
-      };
-    }
-
-    const matches = [];
-    lowerSegments.forEach((segment, index) => {
-      if (matches.length >= 3) return;
-      if (segment.includes('security deposit')) return;
-      const matchedKeyword = topic.keywords.find((keyword) => segment.includes(keyword));
-      if (matchedKeyword) {
-        matches.push(snippetFromSegment(segments[index], matchedKeyword));
-      }
-    });
-
-    return {
-      topic: topic.label,
-      summary: matches.length > 0
-        ? topic.summary
-        : 'Nothing noted for this topic in the extracted text.',
-      excerpts: matches,
-    };
-  });
-}
-router.post('/', (req, res) => {
+router.post('/', async (req, res) => {
   const payload = req.body;
   const { valid, errors } = validateIntake(payload);
 
@@ -365,7 +93,20 @@ router.post('/', (req, res) => {
   }
 
   const caseId = uuidv4();
-  saveCase(caseId, payload);
+  let storedCase;
+  try {
+    storedCase = await saveCase(caseId, payload);
+  } catch (error) {
+    console.error('Unable to save case', {
+      caseId,
+      message: error && error.message ? error.message : String(error),
+    });
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to save intake right now. Please try again.',
+    });
+  }
+
   console.log('Intake received', {
     caseId,
     receivedAt: new Date().toISOString(),
@@ -376,157 +117,361 @@ router.post('/', (req, res) => {
       payload.post_move_out_communications.communication_methods_used.length,
   });
 
+  const { accessToken, expiresAt } = issueCaseToken(storedCase);
+
   return res.status(201).json({
     status: 'received',
     caseId,
+    accessToken,
+    accessTokenExpiresAt: expiresAt,
     message:
       'Intake received for document preparation. No legal advice is provided.',
   });
 });
 
-router.get('/:caseId', (req, res) => {
-  const storedCase = getCase(req.params.caseId);
+// Revision snapshots hold full intake copies and the lease its full text, so
+// both are fetched separately.
+function toCaseResponse(caseRecord) {
+  const { revisions, ...rest } = caseRecord;
+  return {
+    ...rest,
+    lease: summarizeLease(caseRecord.lease),
+    revision: getCurrentRevision(caseRecord),
+  };
+}
+
+router.get('/:caseId', requireCaseAccess(), (req, res) => {
+  return res.json({
+    status: 'ok',
+    case: toCaseResponse(req.case),
+  });
+});
+
+router.patch('/:caseId', requireCaseAccess(), async (req, res) => {
+  if (isDraft(req.case)) {
+    return res.status(409).json({
+      status: 'draft',
+      message: 'This intake is still a draft. Save it through the draft endpoint instead.',
+    });
+  }
+
+  const changes = req.body;
+  if (changes === null || typeof changes !== 'object' || Array.isArray(changes)) {
+    return res.status(400).json({
+      status: 'invalid',
+      message: 'Invalid intake data. Please review and try again.',
+      errors: [{ path: 'root', message: 'Invalid data' }],
+    });
+  }
+
+  const intake = mergeIntake(req.case.intake, changes);
+  const { valid, errors } = validateIntake(intake);
+
+  if (!valid) {
+    return res.status(400).json({
+      status: 'invalid',
+      message: 'Invalid intake data. Please review and try again.',
+      errors,
+    });
+  }
 
-  if (!storedCase) {
+  let result;
+  try {
+    result = await updateCaseIntake(req.case.id, intake, 'tenant');
+  } catch (error) {
+    console.error('Unable to update case', {
+      caseId: req.case.id,
+      message: error && error.message ? error.message : String(error),
+    });
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to save your changes right now. Please try again.',
+    });
+  }
+  // Deleted since the access check, e.g. by the expired draft sweep.
+  if (!result) {
     return res.status(404).json({
       status: 'not_found',
       message: 'Case not found.',
     });
   }
 
+  console.log('Intake updated', {
+    caseId: req.case.id,
+    revision: getCurrentRevision(result.case),
+    changedFields: result.changedFields,
+  });
+
   return res.json({
     status: 'ok',
-    case: storedCase,
+    case: toCaseResponse(result.case),
+    changedFields: result.changedFields,
+    message: result.changedFields.length > 0
+      ? 'Your changes were saved as a new revision.'
+      : 'No changes were made.',
   });
 });
 
-router.post('/:caseId/lease', upload.single('lease'), async (req, res) => {
-  const storedCase = getCase(req.params.caseId);
+router.get('/:caseId/revisions', requireCaseAccess(), (req, res) => {
+  return res.json({
+    status: 'ok',
+    currentRevision: getCurrentRevision(req.case),
+    revisions: summarizeRevisions(req.case),
+  });
+});
 
-  if (!storedCase) {
+// Issues a fresh token and invalidates every token handed out before it.
+router.post('/:caseId/token', requireCaseAccess(), async (req, res) => {
+  let updatedCase;
+  try {
+    updatedCase = await updateCase(req.case.id, (existingCase) => ({
+      tokenVersion: (existingCase.tokenVersion || 0) + 1,
+    }));
+  } catch (error) {
+    console.error('Unable to rotate case token', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to refresh access right now.',
+    });
+  }
+  if (!updatedCase) {
     return res.status(404).json({
       status: 'not_found',
       message: 'Case not found.',
     });
   }
 
+  const { accessToken, expiresAt } = issueCaseToken(updatedCase);
+  return res.json({
+    status: 'ok',
+    accessToken,
+    accessTokenExpiresAt: expiresAt,
+  });
+});
+
+const LEASE_FILE_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/jpg'];
+
+function rejectLeaseFile(req, res) {
   if (!req.file) {
     return res.status(400).json({
       status: 'invalid',
       message: 'Lease file is required.',
     });
   }
-
-  const allowedTypes = ['application/pdf', 'image/png', 'image/jpeg', 'image/jpg'];
-  if (!allowedTypes.includes(req.file.mimetype)) {
+  if (!LEASE_FILE_TYPES.includes(req.file.mimetype)) {
     return res.status(400).json({
       status: 'invalid',
       message: 'Unsupported file type. Please upload a PDF or image.',
     });
   }
+  return null;
+}
 
-  const isImage = req.file.mimetype.startsWith('image/');
-  let text = '';
-
+// Runs inside an extraction job; `report` moves the job's progress along.
+async function extractLease(file, report, route) {
   try {
-    if (isImage) {
-      text = await extractTextFromImage(req.file.buffer);
-    } else {
-      text = await extractTextFromPdf(req.file.buffer);
-      if (!text || text.trim().length < 40) {
-        text = await extractTextFromPdfOcr(req.file.buffer);
-      }
-      if (!text) {
-        text = extractTextFromBuffer(req.file.buffer);
-      }
-    }
+    return await ingestLease(file.buffer, file.mimetype, { onProgress: report });
   } catch (error) {
     console.error('Lease extraction failed', {
-      route: '/api/cases/:caseId/lease',
+      route,
+      stage: error.stage,
       message: error && error.message ? error.message : String(error),
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-    });
-    return res.status(500).json({
-      status: 'error',
-      message: getLeaseExtractionErrorMessage(error, isImage, req.file.size),
+      fileSize: file.size,
+      mimeType: file.mimetype,
     });
+    throw new ExtractionJobError(
+      getLeaseExtractionErrorMessage(error.cause || error, error.kind === 'image', file.size)
+    );
   }
+}
 
-  const sections = extractSections(text);
-  const preview = text ? text.slice(0, 600).trim() : '';
-  const extractedData = extractStructuredData(text, sections);
+// Queues `task` and answers 202 with the job the client should poll.
+function acceptExtractionJob(res, task, caseId) {
+  let job;
+  try {
+    job = getExtractionQueue().enqueue(task, { caseId });
+  } catch (error) {
+    if (error instanceof ExtractionQueueFullError) {
+      res.setHeader('Retry-After', '30');
+      return res.status(503).json({
+        status: 'busy',
+        message: 'We are reading a lot of leases right now. Please try again in a minute.',
+      });
+    }
+    throw error;
+  }
 
+  return res.status(202).json({
+    status: 'accepted',
+    message: 'Your lease is being read. This can take a minute for scanned pages.',
+    jobId: job.id,
+    job,
+  });
+}
+
+// The upload is answered straight away with a job ID; the lease is read and
+// saved in the background and the result shows up on GET /api/extraction-jobs/:jobId.
+router.post('/:caseId/lease', requireCaseAccess(), upload.single('lease'), (req, res) => {
+  if (rejectLeaseFile(req, res)) {
+    return;
+  }
+
+  const caseId = req.case.id;
+  const file = req.file;
+  acceptExtractionJob(res, async (report) => {
+    const { pageCount, pages, text, sections, preview, fields, extractedData, diagnostics } = await extractLease(
+      file,
+      report,
+      '/api/cases/:caseId/lease'
+    );
+
+    report({ stage: 'saving' });
+    let lease;
+    try {
+      lease = {
+        ...(await storeLeaseFile(caseId, file)),
+        uploadedAt: new Date().toISOString(),
+        pageCount,
+        pages,
+        text,
+        sections,
+        preview,
+        fields,
+        extractedData,
+        diagnostics,
+      };
+      const { previous } = await saveCaseLease(caseId, lease);
+      // Only the latest upload is kept.
+      if (previous && previous.sha256 !== lease.sha256) {
+        await deleteLeaseFile(caseId, previous).catch((error) => {
+          console.error('Unable to delete replaced lease file', { caseId, message: error.message });
+        });
+      }
+    } catch (error) {
+      console.error('Unable to save lease', {
+        caseId,
+        message: error && error.message ? error.message : String(error),
+      });
+      throw new ExtractionJobError('Your lease was read but could not be saved with your case. Please try again.');
+    }
+
+    return {
+      message: Object.keys(extractedData).length > 0
+        ? 'Lease text extracted. Some fields have been identified from your lease.'
+        : 'Lease text extracted for informational organization.',
+      sections,
+      preview,
+      fields,
+      extractedData,
+      diagnostics,
+      lease: summarizeLease(lease),
+    };
+  }, caseId);
+});
+
+function leaseNotFound(res) {
+  return res.status(404).json({
+    status: 'not_found',
+    message: 'No lease has been uploaded for this case.',
+  });
+}
+
+// Everything stored from the last lease upload, including the full text and
+// the text of each page.
+router.get('/:caseId/lease', requireCaseAccess(), (req, res) => {
+  if (!req.case.lease) {
+    return leaseNotFound(res);
+  }
   return res.json({
     status: 'ok',
-    message: extractedData
-      ? 'Lease text extracted. Some fields have been identified from your lease.'
-      : 'Lease text extracted for informational organization.',
-    sections,
-    preview,
-    extractedData: extractedData || {},
+    lease: req.case.lease,
   });
 });
 
-router.post('/lease-extract', upload.single('lease'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({
-      status: 'invalid',
-      message: 'Lease file is required.',
-    });
+router.get('/:caseId/lease/file', requireCaseAccess(), async (req, res) => {
+  const { lease } = req.case;
+  if (!lease) {
+    return leaseNotFound(res);
   }
 
-  const allowedTypes = ['application/pdf', 'image/png', 'image/jpeg', 'image/jpg'];
-  if (!allowedTypes.includes(req.file.mimetype)) {
-    return res.status(400).json({
-      status: 'invalid',
-      message: 'Unsupported file type. Please upload a PDF or image.',
+  let buffer;
+  try {
+    buffer = await readLeaseFile(req.case.id, lease);
+  } catch (error) {
+    console.error('Unable to read lease file', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to load your lease right now.',
+    });
+  }
+  if (!buffer) {
+    return res.status(404).json({
+      status: 'not_found',
+      message: 'The original lease file could not be found.',
     });
   }
 
-  const isImage = req.file.mimetype.startsWith('image/');
-  let text = '';
+  res.setHeader('Content-Type', lease.contentType);
+  res.setHeader('Content-Disposition', `inline; filename="${lease.filename.replace(/["\\\r\n]/g, '_')}"`);
+  return res.send(buffer);
+});
+
+// Removes the original file, its text and everything extracted from it.
+// Intake answers that were auto-filled from the lease are left as they are.
+router.delete('/:caseId/lease', requireCaseAccess(), async (req, res) => {
+  if (!req.case.lease && !req.case.draftLease) {
+    return leaseNotFound(res);
+  }
 
+  let result;
   try {
-    if (isImage) {
-      text = await extractTextFromImage(req.file.buffer);
-    } else {
-      text = await extractTextFromPdf(req.file.buffer);
-      if (!text || text.trim().length < 40) {
-        text = await extractTextFromPdfOcr(req.file.buffer);
-      }
-      if (!text) {
-        text = extractTextFromBuffer(req.file.buffer);
-      }
+    result = await removeCaseLease(req.case.id);
+    if (result && result.removed) {
+      await deleteLeaseFile(req.case.id, result.removed);
     }
   } catch (error) {
-    console.error('Lease extraction failed', {
-      route: '/api/cases/lease-extract',
+    console.error('Unable to delete lease', {
+      caseId: req.case.id,
       message: error && error.message ? error.message : String(error),
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
     });
     return res.status(500).json({
       status: 'error',
-      message: getLeaseExtractionErrorMessage(error, isImage, req.file.size),
+      message: 'Unable to delete your lease right now. Please try again.',
     });
   }
 
-  const sections = extractSections(text);
-  const preview = text ? text.slice(0, 600).trim() : '';
-  const extractedData = extractStructuredData(text, sections);
-
+  console.log('Lease deleted', { caseId: req.case.id });
   return res.json({
     status: 'ok',
-    message: extractedData
-      ? 'Lease text extracted. Review the auto-filled fields below and make any needed corrections.'
-      : 'Lease text extracted for informational organization.',
-    sections,
-    preview,
-    extractedData: extractedData || {},
+    message: 'Your lease and the text extracted from it have been deleted.',
   });
 });
 
+router.post('/lease-extract', upload.single('lease'), (req, res) => {
+  if (rejectLeaseFile(req, res)) {
+    return;
+  }
+
+  const file = req.file;
+  acceptExtractionJob(res, async (report) => {
+    const { sections, preview, fields, extractedData, diagnostics } = await extractLease(
+      file,
+      report,
+      '/api/cases/lease-extract'
+    );
+    return {
+      message: Object.keys(extractedData).length > 0
+        ? 'Lease text extracted. Review the auto-filled fields below and make any needed corrections.'
+        : 'Lease text extracted for informational organization.',
+      sections,
+      preview,
+      fields,
+      extractedData,
+      diagnostics,
+    };
+  }, null);
+});
+
 module.exports = router;
 
 
@@ -1,41 +1,281 @@
+const archiver = require('archiver');
 const express = require('express');
-const { getCase } = require('../lib/caseStore');
-const { generatePdfBuffer } = require('../lib/documentGenerator');
+const multer = require('multer');
+const { requireCaseAccess } = require('../lib/caseAccess');
+const { buildCasePacket, discardCasePacket } = require('../lib/casePacket');
+const { generateDocx } = require('../lib/docxGenerator');
+const { sha256 } = require('../lib/documentCache');
+const { getIssuedPdf } = require('../lib/issuedDocuments');
+const { normalizeDocumentId } = require('../lib/documentVerification');
+const { getCaseByDocumentId, recordGeneratedDocument } = require('../lib/caseStore');
+const { getDocumentType, listDocumentTypes } = require('../lib/documentTypes');
+const { LanguageViolationError } = require('../lib/languageLinter');
+const { BrowserPoolBusyError } = require('../lib/browserPool');
+const { findRevision, getCurrentRevision } = require('../lib/caseRevisions');
+const { createRateLimiter } = require('../lib/rateLimit');
 
 const router = express.Router();
 
-router.get('/:caseId', async (req, res) => {
-  const storedCase = getCase(req.params.caseId);
+const DOCUMENT_FORMATS = ['pdf', 'docx'];
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+// Issued PDFs embed scaled-down photos, so even one with a full photo
+// appendix stays well under this.
+const MAX_VERIFY_SIZE_MB = 10;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_VERIFY_SIZE_MB * 1024 * 1024, files: 1 },
+});
 
-  if (!storedCase) {
-    return res.status(404).json({
-      status: 'not_found',
-      message: 'Case not found.',
+// Verification is public, so lookups and uploads are limited per IP address.
+const verifyRateLimit = createRateLimiter({
+  windowMs: process.env.VERIFY_RATE_LIMIT_WINDOW_MS,
+  max: process.env.VERIFY_RATE_LIMIT_MAX || 30,
+  message: 'Too many verification requests from this connection. Please wait a few minutes and try again.',
+});
+
+// Multer's own errors (file too large, extra files) as JSON responses.
+function receiveDocument(req, res, next) {
+  upload.single('document')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        status: 'invalid',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `The PDF must be ${MAX_VERIFY_SIZE_MB} MB or smaller.`
+          : 'Please upload one PDF at a time.',
+      });
+    }
+    return next(error);
+  });
+}
+
+// Public: anyone holding a PDF can check it. Only facts about the document
+// itself are returned, never the intake or the case ID.
+async function findIssuedDocument(rawDocId) {
+  const docId = normalizeDocumentId(rawDocId);
+  const storedCase = docId ? await getCaseByDocumentId(docId) : null;
+  const document = storedCase
+    ? storedCase.generatedDocuments.find((entry) => entry.docId === docId)
+    : null;
+  if (!document) {
+    return null;
+  }
+
+  const documentType = getDocumentType(document.docType);
+  return {
+    docId,
+    title: documentType ? documentType.title : document.docType,
+    version: document.revision,
+    generatedAt: document.generatedAt,
+    fingerprint: document.fingerprint,
+    sha256: document.sha256,
+  };
+}
+
+function documentNotFound(res) {
+  return res.status(404).json({
+    status: 'not_found',
+    message: 'No document with that ID was issued by DepositDefender. Check the ID printed in the footer of the PDF.',
+  });
+}
+
+router.get('/verify/:docId', verifyRateLimit, async (req, res) => {
+  try {
+    const document = await findIssuedDocument(req.params.docId);
+    if (!document) {
+      return documentNotFound(res);
+    }
+    return res.status(200).json({ status: 'ok', document });
+  } catch (error) {
+    console.error('Unable to verify document', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Document verification is temporarily unavailable. Please try again later.',
+    });
+  }
+});
+
+// Compares an uploaded PDF byte for byte (by SHA-256) with the file we issued.
+router.post('/verify/:docId', verifyRateLimit, receiveDocument, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      status: 'invalid',
+      message: 'Please upload the PDF you want to check.',
     });
   }
 
+  try {
+    const document = await findIssuedDocument(req.params.docId);
+    if (!document) {
+      return documentNotFound(res);
+    }
+    return res.status(200).json({
+      status: 'ok',
+      matches: sha256(req.file.buffer) === document.sha256,
+      document,
+    });
+  } catch (error) {
+    console.error('Unable to verify document', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Document verification is temporarily unavailable. Please try again later.',
+    });
+  }
+});
+
+router.get('/:caseId', requireCaseAccess(), (req, res) => {
+  const storedCase = req.case;
+
+  return res.status(200).json({
+    status: 'ok',
+    caseId: storedCase.id,
+    isPaid: storedCase.paymentStatus === 'paid',
+    revision: getCurrentRevision(storedCase),
+    documents: listDocumentTypes(),
+  });
+});
+
+// Payment gate and version lookup shared by every download. Sends the error
+// response and returns null when the request cannot go ahead.
+function resolvePaidRevision(req, res) {
+  const storedCase = req.case;
+
   // Payment gate: Only allow document generation if payment is completed
   if (storedCase.paymentStatus !== 'paid') {
-    return res.status(402).json({
+    res.status(402).json({
       status: 'payment_required',
       message: 'Payment required before document generation.',
     });
+    return null;
   }
 
+  // Defaults to the latest revision; earlier versions stay downloadable.
+  const revisionNumber = req.query.revision
+    ? parseInt(req.query.revision, 10)
+    : getCurrentRevision(storedCase);
+  const revision = findRevision(storedCase, revisionNumber);
+
+  if (!revision) {
+    res.status(404).json({
+      status: 'not_found',
+      message: 'That version of the document does not exist.',
+    });
+    return null;
+  }
+  return revision;
+}
+
+function sendGenerationError(res, error, what) {
+  if (error instanceof LanguageViolationError) {
+    return res.status(422).json({
+      status: 'language_violation',
+      message:
+        'This document includes wording we cannot use, such as phrases that sound like legal advice. Please edit your notes and try again.',
+      violations: error.violations,
+    });
+  }
+  if (error instanceof BrowserPoolBusyError) {
+    res.setHeader('Retry-After', '10');
+    return res.status(503).json({
+      status: 'busy',
+      message: 'We are generating a lot of documents right now. Please try again in a few seconds.',
+    });
+  }
+  console.error(`Unable to generate ${what}`, error);
+  return res.status(500).json({
+    status: 'error',
+    message:
+      'Document generation is temporarily unavailable. Please try again later.',
+  });
+}
+
+// Registered before /:caseId/:docType so "packet" is not read as a type.
+router.get('/:caseId/packet', requireCaseAccess(), async (req, res) => {
+  const storedCase = req.case;
+  const revision = resolvePaidRevision(req, res);
+  if (!revision) return undefined;
+
+  let packet;
   try {
-    const pdfBuffer = await generatePdfBuffer(storedCase.intake);
+    packet = await buildCasePacket(storedCase, revision);
+    for (const document of packet.documents) {
+      await recordGeneratedDocument(storedCase.id, document);
+    }
+  } catch (error) {
+    if (packet) discardCasePacket(packet);
+    return sendGenerationError(res, error, 'case packet');
+  }
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="deposit-defender-${storedCase.id}-packet-v${revision.revision}.zip"`
+  );
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', (error) => {
+    console.error('Unable to stream case packet', error);
+    discardCasePacket(packet);
+    res.destroy(error);
+  });
+  // Evidence files not yet written stay open until their streams are closed.
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      archive.abort();
+      discardCasePacket(packet);
+    }
+  });
+  archive.pipe(res);
+  packet.files.forEach((file) => archive.append(file.content, { name: file.name }));
+  return archive.finalize();
+});
+
+router.get('/:caseId/:docType', requireCaseAccess(), async (req, res) => {
+  const storedCase = req.case;
+  const { docType } = req.params;
+  const format = req.query.format || 'pdf';
+
+  if (!getDocumentType(docType)) {
+    return res.status(404).json({
+      status: 'not_found',
+      message: `Unknown document type. Available types: ${listDocumentTypes().map((type) => type.docType).join(', ')}.`,
+    });
+  }
+
+  if (!DOCUMENT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      status: 'invalid',
+      message: `Unknown format. Available formats: ${DOCUMENT_FORMATS.join(', ')}.`,
+    });
+  }
+
+  const revision = resolvePaidRevision(req, res);
+  if (!revision) return undefined;
+
+  const filename = `deposit-defender-${storedCase.id}-${docType}-v${revision.revision}`;
+
+  try {
+    // Word copies are meant to be edited, so they are built on every request
+    // and not tracked like the PDFs below.
+    if (format === 'docx') {
+      const docxBuffer = await generateDocx(revision.intake, docType);
+      res.setHeader('Content-Type', DOCX_CONTENT_TYPE);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.docx"`);
+      return res.send(docxBuffer);
+    }
+
+    const { pdfBuffer, document } = await getIssuedPdf(storedCase, revision, docType);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.setHeader('ETag', `"${document.sha256}"`);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    await recordGeneratedDocument(storedCase.id, document);
+
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename="deposit-defender-${storedCase.id}.pdf"`
-    );
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
     return res.send(pdfBuffer);
   } catch (error) {
-    return res.status(500).json({
-      status: 'error',
-      message:
-        'Document generation is temporarily unavailable. Please try again later.',
-    });
+    return sendGenerationError(res, error, `${docType} document`);
   }
 });
 
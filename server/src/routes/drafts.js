@@ -0,0 +1,176 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { validateIntake } = require('../lib/intakeValidation');
+const {
+  isDraft,
+  saveDraft,
+  updateDraft,
+  promoteDraft,
+} = require('../lib/caseStore');
+const { issueCaseToken, requireCaseAccess } = require('../lib/caseAccess');
+const { createRateLimiter } = require('../lib/rateLimit');
+
+const router = express.Router();
+
+// Anyone can start a draft, so new drafts are limited per IP address the same
+// way sign-in requests are. Saving an existing draft needs its token instead.
+const draftRateLimit = createRateLimiter({
+  windowMs: process.env.DRAFT_RATE_LIMIT_WINDOW_MS,
+  max: process.env.DRAFT_RATE_LIMIT_MAX || 10,
+  message: 'Too many new drafts from this connection. Please wait a few minutes and try again.',
+});
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Only the lease panel state the intake page needs to restore is kept.
+function pickDraftLease(lease) {
+  if (!isPlainObject(lease)) {
+    return null;
+  }
+  return {
+    sections: Array.isArray(lease.sections) ? lease.sections : [],
+    preview: typeof lease.preview === 'string' ? lease.preview.slice(0, 600) : '',
+    autoFilledFields: Array.isArray(lease.autoFilledFields)
+      ? lease.autoFilledFields.filter((field) => typeof field === 'string')
+      : [],
+  };
+}
+
+function invalidDraft(res, errors) {
+  return res.status(400).json({
+    status: 'invalid',
+    message: 'Invalid intake data. Please review and try again.',
+    errors,
+  });
+}
+
+function alreadySubmitted(res, caseId) {
+  return res.status(409).json({
+    status: 'already_submitted',
+    message: 'This intake has already been submitted.',
+    caseId,
+  });
+}
+
+function requireDraft(req, res, next) {
+  if (!isDraft(req.case)) {
+    return alreadySubmitted(res, req.case.id);
+  }
+  return next();
+}
+
+function toDraftResponse(caseRecord) {
+  return {
+    draftId: caseRecord.id,
+    intake: caseRecord.intake,
+    lease: caseRecord.draftLease || null,
+    updatedAt: caseRecord.updatedAt,
+  };
+}
+
+router.post('/', draftRateLimit, async (req, res) => {
+  const intake = req.body && req.body.intake;
+  const { valid, errors } = validateIntake(intake, { mode: 'draft' });
+  if (!valid) {
+    return invalidDraft(res, errors);
+  }
+
+  const draftId = uuidv4();
+  let draft;
+  try {
+    draft = await saveDraft(draftId, intake, pickDraftLease(req.body.lease));
+  } catch (error) {
+    console.error('Unable to save draft', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to save your progress right now.',
+    });
+  }
+
+  const { accessToken, expiresAt } = issueCaseToken(draft);
+  return res.status(201).json({
+    status: 'ok',
+    draft: toDraftResponse(draft),
+    accessToken,
+    accessTokenExpiresAt: expiresAt,
+  });
+});
+
+router.get('/:caseId', requireCaseAccess(), requireDraft, (req, res) => {
+  return res.json({
+    status: 'ok',
+    draft: toDraftResponse(req.case),
+  });
+});
+
+router.put('/:caseId', requireCaseAccess(), requireDraft, async (req, res) => {
+  const intake = req.body && req.body.intake;
+  const { valid, errors } = validateIntake(intake, { mode: 'draft' });
+  if (!valid) {
+    return invalidDraft(res, errors);
+  }
+
+  let draft;
+  try {
+    draft = await updateDraft(
+      req.case.id,
+      intake,
+      req.body.lease === undefined ? undefined : pickDraftLease(req.body.lease)
+    );
+  } catch (error) {
+    console.error('Unable to save draft', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to save your progress right now.',
+    });
+  }
+  // Submitted while this request was on its way.
+  if (!draft) {
+    return alreadySubmitted(res, req.case.id);
+  }
+
+  return res.json({
+    status: 'ok',
+    draft: toDraftResponse(draft),
+  });
+});
+
+// Runs the full intake validation and turns the draft into a case.
+router.post('/:caseId/submit', requireCaseAccess(), requireDraft, async (req, res) => {
+  const intake = req.body && req.body.intake !== undefined ? req.body.intake : req.case.intake;
+  const { valid, errors } = validateIntake(intake);
+  if (!valid) {
+    return invalidDraft(res, errors);
+  }
+
+  let submitted;
+  try {
+    submitted = await promoteDraft(req.case.id, intake);
+  } catch (error) {
+    console.error('Unable to submit draft', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to submit intake right now. Please try again.',
+    });
+  }
+  if (!submitted) {
+    return alreadySubmitted(res, req.case.id);
+  }
+
+  console.log('Draft submitted', {
+    caseId: req.case.id,
+    receivedAt: new Date().toISOString(),
+    jurisdiction: intake.jurisdiction,
+  });
+
+  return res.status(201).json({
+    status: 'received',
+    caseId: req.case.id,
+    message:
+      'Intake received for document preparation. No legal advice is provided.',
+  });
+});
+
+module.exports = router;
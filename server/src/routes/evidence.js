@@ -0,0 +1,252 @@
+const express = require('express');
+const multer = require('multer');
+const { requireCaseAccess } = require('../lib/caseAccess');
+const {
+  addCaseEvidence,
+  removeCaseEvidence,
+  updateCaseEvidence,
+} = require('../lib/caseStore');
+const {
+  EVIDENCE_CATEGORIES,
+  InvalidEvidenceError,
+  MAX_EVIDENCE_PER_CASE,
+  deleteEvidenceFiles,
+  normalizeEvidenceDetails,
+  readEvidenceFile,
+  storeEvidence,
+} = require('../lib/evidence');
+const { lintText } = require('../lib/languageLinter');
+
+// Mounted at /api/cases/:caseId/evidence.
+const router = express.Router({ mergeParams: true });
+
+const MAX_FILES_PER_UPLOAD = 10;
+const MAX_FILE_SIZE_MB = 15;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE_MB * 1024 * 1024, files: MAX_FILES_PER_UPLOAD },
+});
+
+// Multer's own errors (file too large, too many files) as JSON responses.
+function receiveFiles(req, res, next) {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        status: 'invalid',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Each file must be ${MAX_FILE_SIZE_MB} MB or smaller.`
+          : `Please upload up to ${MAX_FILES_PER_UPLOAD} files at a time.`,
+      });
+    }
+    return next(error);
+  });
+}
+
+function findEvidence(req, res) {
+  const entry = (req.case.evidence || []).find((candidate) => candidate.id === req.params.evidenceId);
+  if (!entry) {
+    res.status(404).json({
+      status: 'not_found',
+      message: 'That file is no longer attached to this case.',
+    });
+  }
+  return entry || null;
+}
+
+// Captions are printed in the photo appendix, so they are held to the same
+// wording rules as the documents.
+function sendCaptionViolations(res, captions) {
+  const violations = captions.flatMap((caption) => lintText(caption || ''));
+  if (violations.length === 0) {
+    return false;
+  }
+  res.status(422).json({
+    status: 'language_violation',
+    message:
+      'A caption includes wording we cannot use, such as phrases that sound like legal advice. Please describe what the photo shows instead.',
+    violations,
+  });
+  return true;
+}
+
+router.get('/', requireCaseAccess(), (req, res) => {
+  return res.json({
+    status: 'ok',
+    evidence: req.case.evidence || [],
+    categories: EVIDENCE_CATEGORIES,
+  });
+});
+
+// multipart/form-data: one or more `files`, plus an optional `details` field
+// holding a JSON array of { caption, takenAt, category, includeInDocuments },
+// one per file in the same order.
+router.post('/', requireCaseAccess(), receiveFiles, async (req, res) => {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(400).json({
+      status: 'invalid',
+      message: 'Please choose at least one photo or PDF to upload.',
+    });
+  }
+
+  const existingCount = (req.case.evidence || []).length;
+  if (existingCount + files.length > MAX_EVIDENCE_PER_CASE) {
+    return res.status(400).json({
+      status: 'invalid',
+      message: `A case can have up to ${MAX_EVIDENCE_PER_CASE} files. Remove some before adding more.`,
+    });
+  }
+
+  let detailsList = [];
+  try {
+    detailsList = req.body.details ? JSON.parse(req.body.details) : [];
+  } catch (error) {
+    detailsList = null;
+  }
+  if (!Array.isArray(detailsList)) {
+    return res.status(400).json({
+      status: 'invalid',
+      message: 'File details must be a JSON array.',
+    });
+  }
+
+  const errors = [];
+  const normalized = files.map((file, index) => {
+    const result = normalizeEvidenceDetails(detailsList[index]);
+    result.errors.forEach((error) => errors.push({ ...error, path: `files[${index}].${error.path}` }));
+    return result.details;
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'invalid',
+      message: 'Some file details are not valid. Please review and try again.',
+      errors,
+    });
+  }
+  if (sendCaptionViolations(res, normalized.map((details) => details.caption))) {
+    return undefined;
+  }
+
+  const stored = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      stored.push(await storeEvidence(req.case.id, file, normalized[index]));
+    }
+    const updatedCase = await addCaseEvidence(req.case.id, stored);
+    return res.status(201).json({
+      status: 'ok',
+      message: stored.length === 1 ? 'File added to your case.' : `${stored.length} files added to your case.`,
+      evidence: updatedCase.evidence,
+    });
+  } catch (error) {
+    await Promise.all(stored.map((entry) => deleteEvidenceFiles(req.case.id, entry).catch(() => {})));
+    if (error instanceof InvalidEvidenceError) {
+      return res.status(400).json({ status: 'invalid', message: error.message });
+    }
+    console.error('Unable to store evidence', {
+      caseId: req.case.id,
+      message: error && error.message ? error.message : String(error),
+    });
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to save your files right now. Please try again.',
+    });
+  }
+});
+
+router.patch('/:evidenceId', requireCaseAccess(), async (req, res) => {
+  const entry = findEvidence(req, res);
+  if (!entry) return undefined;
+
+  const { details, errors } = normalizeEvidenceDetails(req.body, { partial: true });
+  if (details.includeInDocuments && entry.kind !== 'photo') {
+    errors.push({ path: 'includeInDocuments', message: 'Only photos can be included in documents.' });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'invalid',
+      message: 'Some file details are not valid. Please review and try again.',
+      errors,
+    });
+  }
+  if (sendCaptionViolations(res, [details.caption])) {
+    return undefined;
+  }
+
+  try {
+    const updatedCase = await updateCaseEvidence(req.case.id, entry.id, details);
+    return res.json({
+      status: 'ok',
+      evidence: updatedCase ? updatedCase.evidence : [],
+    });
+  } catch (error) {
+    console.error('Unable to update evidence', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to save your changes right now. Please try again.',
+    });
+  }
+});
+
+router.delete('/:evidenceId', requireCaseAccess(), async (req, res) => {
+  const entry = findEvidence(req, res);
+  if (!entry) return undefined;
+
+  let result;
+  try {
+    result = await removeCaseEvidence(req.case.id, entry.id);
+  } catch (error) {
+    console.error('Unable to remove evidence', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to remove this file right now. Please try again.',
+    });
+  }
+
+  // The entry is already gone from the case, so a file left behind is only
+  // logged; it can no longer be reached through the API.
+  try {
+    await deleteEvidenceFiles(req.case.id, entry);
+  } catch (error) {
+    console.error('Unable to delete evidence files', { caseId: req.case.id, evidenceId: entry.id, message: error.message });
+  }
+
+  return res.json({
+    status: 'ok',
+    message: 'File removed from your case.',
+    evidence: result ? result.case.evidence : [],
+  });
+});
+
+// `file` is the upload as it was received; `thumbnail` a small JPEG preview.
+router.get('/:evidenceId/:variant(file|thumbnail)', requireCaseAccess(), async (req, res) => {
+  const entry = findEvidence(req, res);
+  if (!entry) return undefined;
+
+  const isThumbnail = req.params.variant === 'thumbnail';
+  let buffer;
+  try {
+    buffer = await readEvidenceFile(req.case.id, entry, isThumbnail ? 'thumbnail' : 'original');
+  } catch (error) {
+    console.error('Unable to read evidence file', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Unable to load this file right now.',
+    });
+  }
+  if (!buffer) {
+    return res.status(404).json({
+      status: 'not_found',
+      message: isThumbnail ? 'No preview is available for this file.' : 'This file could not be found.',
+    });
+  }
+
+  res.setHeader('Content-Type', isThumbnail ? 'image/jpeg' : entry.contentType);
+  res.setHeader('Cache-Control', 'private, max-age=86400');
+  if (!isThumbnail) {
+    res.setHeader('Content-Disposition', `inline; filename="${entry.filename.replace(/["\\\r\n]/g, '_')}"`);
+  }
+  return res.send(buffer);
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const { requireCaseAccess } = require('../lib/caseAccess');
+const { getExtractionQueue } = require('../lib/extractionJobs');
+
+const router = express.Router();
+
+function loadJob(req, res, next) {
+  const entry = getExtractionQueue().get(req.params.jobId);
+  if (!entry) {
+    return res.status(404).json({
+      status: 'not_found',
+      message: 'This lease upload is no longer available. Please upload your lease again.',
+    });
+  }
+  req.extractionJob = entry;
+  return next();
+}
+
+// Jobs for a case need that case's token, since their result holds what was
+// read from the lease. Jobs started before a case exists are only known by ID.
+function requireJobAccess(req, res, next) {
+  if (!req.extractionJob.caseId) {
+    return next();
+  }
+  return requireCaseAccess((request) => request.extractionJob.caseId)(req, res, next);
+}
+
+router.get('/:jobId', loadJob, requireJobAccess, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  return res.json({
+    status: 'ok',
+    job: req.extractionJob.job,
+  });
+});
+
+module.exports = router;
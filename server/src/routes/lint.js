@@ -0,0 +1,33 @@
+const express = require('express');
+const { lintText } = require('../lib/languageLinter');
+
+const router = express.Router();
+
+const MAX_TEXT_LENGTH = 20000;
+
+// Lets the intake form warn about prohibited phrases while the tenant types,
+// before the same check blocks the finished document.
+router.post('/', (req, res) => {
+  const { text } = req.body || {};
+
+  if (typeof text !== 'string') {
+    return res.status(400).json({
+      status: 'invalid',
+      message: 'Expected a "text" string to check.',
+    });
+  }
+
+  if (text.length > MAX_TEXT_LENGTH) {
+    return res.status(413).json({
+      status: 'too_large',
+      message: `Text to check is limited to ${MAX_TEXT_LENGTH} characters.`,
+    });
+  }
+
+  return res.status(200).json({
+    status: 'ok',
+    violations: lintText(text),
+  });
+});
+
+module.exports = router;
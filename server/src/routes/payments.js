@@ -1,29 +1,27 @@
 const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { getCase, updateCasePaymentStatus, getCaseBySessionId } = require('../lib/caseStore');
+const {
+  isDraft,
+  getCase,
+  updateCasePaymentStatus,
+  getCaseBySessionId,
+} = require('../lib/caseStore');
+const { requireCaseAccess } = require('../lib/caseAccess');
 const { PRODUCT_PRICE, PRODUCT_NAME, PRODUCT_DESCRIPTION, CURRENCY } = require('../config/pricing');
 
 const router = express.Router();
 
 const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
 
-router.post('/create-checkout-session', async (req, res) => {
+router.post('/create-checkout-session', requireCaseAccess((req) => req.body && req.body.caseId), async (req, res) => {
   try {
-    const { caseId } = req.body;
+    const existingCase = req.case;
+    const caseId = existingCase.id;
 
-    if (!caseId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Case ID is required.',
-      });
-    }
-
-    const existingCase = getCase(caseId);
-
-    if (!existingCase) {
-      return res.status(404).json({
-        status: 'not_found',
-        message: 'Case not found.',
+    if (isDraft(existingCase)) {
+      return res.status(409).json({
+        status: 'draft',
+        message: 'Please submit your intake before proceeding to payment.',
       });
     }
 
@@ -67,14 +65,14 @@ router.post('/create-checkout-session', async (req, res) => {
         quantity: 1,
       }],
       mode: 'payment',
-      success_url: `${CLIENT_ORIGIN}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
+      success_url: `${CLIENT_ORIGIN}/payment/success?session_id={CHECKOUT_SESSION_ID}&case_id=${caseId}`,
       cancel_url: `${CLIENT_ORIGIN}/payment/cancel?case_id=${caseId}`,
       metadata: {
         caseId: caseId,
       },
     });
 
-    updateCasePaymentStatus(caseId, {
+    await updateCasePaymentStatus(caseId, {
       stripeSessionId: session.id,
     });
 
@@ -116,18 +114,24 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
         break;
       }
 
-      const existingCase = getCase(caseId);
+      try {
+        const existingCase = await getCase(caseId);
 
-      if (!existingCase) {
-        console.error(`Case not found for caseId: ${caseId}`);
-        break;
-      }
+        if (!existingCase) {
+          console.error(`Case not found for caseId: ${caseId}`);
+          break;
+        }
 
-      updateCasePaymentStatus(caseId, {
-        paymentStatus: 'paid',
-        paidAt: new Date().toISOString(),
-        stripeSessionId: session.id,
-      });
+        await updateCasePaymentStatus(caseId, {
+          paymentStatus: 'paid',
+          paidAt: new Date().toISOString(),
+          stripeSessionId: session.id,
+        });
+      } catch (error) {
+        // A non-2xx response makes Stripe retry the event later.
+        console.error(`Unable to record payment for case: ${caseId}`, error);
+        return res.status(500).json({ received: false });
+      }
 
       console.log(`Payment completed for case: ${caseId}`);
       break;
@@ -147,7 +151,7 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   return res.status(200).json({ received: true });
 });
 
-router.get('/verify/:sessionId', async (req, res) => {
+router.get('/verify/:sessionId', requireCaseAccess((req) => req.query.case_id), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -167,9 +171,9 @@ router.get('/verify/:sessionId', async (req, res) => {
       });
     }
 
-    const caseData = getCaseBySessionId(sessionId);
+    const caseData = await getCaseBySessionId(sessionId);
 
-    if (!caseData) {
+    if (!caseData || caseData.id !== req.case.id) {
       return res.status(404).json({
         status: 'not_found',
         message: 'Case not found for this session.',
@@ -0,0 +1,14 @@
+const express = require('express');
+const { intakeSchema } = require('../lib/intakeValidation');
+
+const router = express.Router();
+
+// The same schema the server validates against; the intake form reads its
+// options from here and it doubles as the API reference for case payloads.
+router.get('/intake', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.type('application/schema+json');
+  return res.status(200).send(JSON.stringify(intakeSchema));
+});
+
+module.exports = router;
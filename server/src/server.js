@@ -4,16 +4,28 @@ const express = require('express');
 const cors = require('cors');
 
 const casesRouter = require('./routes/cases');
+const evidenceRouter = require('./routes/evidence');
 const paymentsRouter = require('./routes/payments');
 const documentsRouter = require('./routes/documents');
+const authRouter = require('./routes/auth');
+const draftsRouter = require('./routes/drafts');
+const schemaRouter = require('./routes/schema');
+const lintRouter = require('./routes/lint');
+const extractionJobsRouter = require('./routes/extractionJobs');
+const { initCaseStore, closeCaseStore } = require('./lib/caseStore');
+const { lintTemplates } = require('./lib/documentGenerator');
+const { closeBrowserPool, getBrowserPool } = require('./lib/browserPool');
+const { startDraftCleanup, stopDraftCleanup } = require('./lib/draftCleanup');
+const { closeExtractionQueue } = require('./lib/extractionJobs');
+const { closeOcrPool, getOcrPool } = require('./lib/ocrPool');
 
 const app = express();
 const port = process.env.PORT || 5000;
 const clientOrigin = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
 const corsOptions = {
   origin: clientOrigin,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
 };
 
 app.use(cors(corsOptions));
@@ -24,13 +36,61 @@ app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '2mb' }));
 
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok' });
+  res.json({ status: 'ok', pdfRenderer: getBrowserPool().getMetrics(), ocr: getOcrPool().getMetrics() });
 });
 
+app.use('/api/cases/:caseId/evidence', evidenceRouter);
 app.use('/api/cases', casesRouter);
 app.use('/api/payments', paymentsRouter);
 app.use('/api/documents', documentsRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/drafts', draftsRouter);
+app.use('/api/schema', schemaRouter);
+app.use('/api/lint', lintRouter);
+app.use('/api/extraction-jobs', extractionJobsRouter);
 
-app.listen(port, () => {
-  console.log(`DepositDefender API listening on port ${port}`);
-});
+function shutdown(signal) {
+  console.log(`${signal} received, finishing PDF renders and lease extractions and flushing case store before exit`);
+  Promise.allSettled([
+    closeBrowserPool().catch((error) => {
+      console.error('Unable to close PDF renderer cleanly:', error.message);
+    }),
+    // Running lease extractions still need OCR and save their lease to the store.
+    closeExtractionQueue()
+      .catch((error) => {
+        console.error('Unable to finish lease extractions cleanly:', error.message);
+      })
+      .then(() => Promise.allSettled([
+        closeOcrPool().catch((error) => {
+          console.error('Unable to stop OCR workers cleanly:', error.message);
+        }),
+        stopDraftCleanup().then(() => closeCaseStore()).catch((error) => {
+          console.error('Unable to close case store cleanly:', error.message);
+        }),
+      ])),
+  ]).finally(() => process.exit(0));
+}
+
+try {
+  lintTemplates();
+} catch (error) {
+  console.error(error.message);
+  (error.violations || []).forEach((violation) => {
+    console.error(`  ${violation.template}:${violation.line} "${violation.text}" (${violation.category})`);
+  });
+  process.exit(1);
+}
+
+initCaseStore()
+  .then((backend) => {
+    app.listen(port, () => {
+      console.log(`DepositDefender API listening on port ${port} (case store: ${backend})`);
+    });
+    startDraftCleanup();
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+  })
+  .catch((error) => {
+    console.error('Unable to initialize case store:', error.message);
+    process.exit(1);
+  });
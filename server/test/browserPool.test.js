@@ -0,0 +1,138 @@
+const assert = require('node:assert/strict');
+const EventEmitter = require('node:events');
+const test = require('node:test');
+const { BrowserPoolBusyError, createBrowserPool } = require('../src/lib/browserPool');
+
+// Stands in for puppeteer: each launch returns a browser whose pages record
+// whether they were closed. `crash()` disconnects it the way Chromium does.
+function fakeLaunch() {
+  const browsers = [];
+  const launch = async () => {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.pages = [];
+    browser.closed = false;
+    browser.isConnected = () => browser.connected;
+    browser.newPage = async () => {
+      if (!browser.connected) throw new Error('Target closed');
+      const page = { closed: false, setDefaultTimeout() {}, close: async () => { page.closed = true; } };
+      browser.pages.push(page);
+      return page;
+    };
+    browser.close = async () => {
+      browser.closed = true;
+    };
+    browser.crash = () => {
+      browser.connected = false;
+      browser.emit('disconnected');
+    };
+    browsers.push(browser);
+    return browser;
+  };
+  return { browsers, launch };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+test('shares one browser and closes each page after its render', async () => {
+  const { browsers, launch } = fakeLaunch();
+  const pool = createBrowserPool({ launch });
+
+  assert.equal(await pool.render(async () => 'first'), 'first');
+  assert.equal(await pool.render(async () => 'second'), 'second');
+  await pool.close();
+
+  assert.equal(browsers.length, 1);
+  assert.ok(browsers[0].pages.every((page) => page.closed));
+  assert.equal(browsers[0].closed, true);
+  assert.equal(pool.getMetrics().renders, 2);
+});
+
+test('queues renders past `size` and runs them in order', async () => {
+  const { launch } = fakeLaunch();
+  const pool = createBrowserPool({ launch, size: 1 });
+  const gate = deferred();
+  const order = [];
+
+  const first = pool.render(async () => {
+    order.push('first');
+    await gate.promise;
+  });
+  const second = pool.render(async () => order.push('second'));
+  const third = pool.render(async () => order.push('third'));
+  await settle();
+  assert.deepEqual(order, ['first']);
+  assert.equal(pool.getMetrics().activePages, 1);
+  assert.equal(pool.getMetrics().queued, 2);
+
+  gate.resolve();
+  await Promise.all([first, second, third]);
+  assert.deepEqual(order, ['first', 'second', 'third']);
+  assert.equal(pool.getMetrics().activePages, 0);
+  await pool.close();
+});
+
+test('a render that waits longer than queueTimeoutMs fails', async () => {
+  const { launch } = fakeLaunch();
+  const pool = createBrowserPool({ launch, size: 1, queueTimeoutMs: 20 });
+  const gate = deferred();
+
+  const running = pool.render(() => gate.promise);
+  await assert.rejects(pool.render(async () => 'late'), BrowserPoolBusyError);
+  assert.equal(pool.getMetrics().queueTimeouts, 1);
+  assert.equal(pool.getMetrics().queued, 0);
+
+  gate.resolve('done');
+  assert.equal(await running, 'done');
+  assert.equal(await pool.render(async () => 'next'), 'next');
+  await pool.close();
+});
+
+test('relaunches the browser after it disconnects', async () => {
+  const { browsers, launch } = fakeLaunch();
+  const pool = createBrowserPool({ launch });
+
+  await pool.render(async () => null);
+  browsers[0].crash();
+  assert.equal(pool.getMetrics().browserRunning, false);
+  assert.equal(await pool.render(async () => 'after crash'), 'after crash');
+
+  // A crash in the middle of a render fails that render only.
+  await assert.rejects(pool.render(async () => {
+    browsers[1].connected = false;
+    throw new Error('Target closed');
+  }), /Target closed/);
+  assert.equal(await pool.render(async () => 'relaunched'), 'relaunched');
+
+  assert.equal(browsers.length, 3);
+  assert.equal(pool.getMetrics().launches, 3);
+  await pool.close();
+});
+
+test('close rejects queued renders and waits for running ones', async () => {
+  const { browsers, launch } = fakeLaunch();
+  const pool = createBrowserPool({ launch, size: 1 });
+  const gate = deferred();
+
+  const running = pool.render(() => gate.promise);
+  const queued = pool.render(async () => 'never');
+  await settle();
+  const closing = pool.close();
+  await assert.rejects(queued, /shutting down/);
+
+  gate.resolve('finished');
+  assert.equal(await running, 'finished');
+  await closing;
+  assert.equal(browsers[0].closed, true);
+  await assert.rejects(pool.render(async () => null), /shutting down/);
+});
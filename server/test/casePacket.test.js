@@ -0,0 +1,57 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+const test = require('node:test');
+
+const fileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-packet-'));
+process.env.FILE_STORE = 'disk';
+process.env.FILE_STORE_DIR = fileDir;
+
+// Rendering needs Chromium; the packet only needs some PDF bytes per document.
+const issuedDocuments = require('../src/lib/issuedDocuments');
+test.mock.method(issuedDocuments, 'getIssuedPdf', async (storedCase, revision, docType) => ({
+  pdfBuffer: Buffer.from(`%PDF ${docType}`),
+  document: { docId: `DD-${docType}`, docType, fingerprint: 'f'.repeat(64) },
+}));
+const { buildCasePacket, discardCasePacket } = require('../src/lib/casePacket');
+const { getFileStore } = require('../src/lib/fileStore');
+
+const revision = { revision: 1, intake: { tenant_information: { full_name: 'Jane Tenant' } } };
+
+function storedCase(evidence) {
+  return { id: 'case-packet', evidence, revisions: [revision] };
+}
+
+test.after(() => fs.rmSync(fileDir, { recursive: true, force: true }));
+
+test('evidence originals are streamed and missing ones are left out', async () => {
+  await getFileStore().put('evidence/case-packet/photo-1/original', Buffer.from('photo one'));
+  const packet = await buildCasePacket(storedCase([
+    { id: 'photo-1', filename: 'kitchen sink.jpg', category: 'move_out', uploadedAt: '2024-12-31T00:00:00.000Z' },
+    { id: 'photo-2', filename: 'gone.jpg', category: 'move_out', uploadedAt: '2025-01-01T00:00:00.000Z' },
+  ]), revision);
+
+  const names = packet.files.map((file) => file.name);
+  assert.equal(names[0], 'index.html');
+  assert.ok(names.includes('evidence/01-kitchen_sink.jpg'));
+  assert.ok(!names.some((name) => name.includes('gone')));
+  assert.ok(names.includes('case.json'));
+
+  const evidence = packet.files.find((file) => file.name === 'evidence/01-kitchen_sink.jpg');
+  assert.ok(evidence.content instanceof Readable);
+  assert.equal(String(Buffer.concat(await evidence.content.toArray())), 'photo one');
+  assert.ok(packet.files.find((file) => file.name === 'index.html').content.includes('evidence/01-kitchen_sink.jpg'));
+});
+
+test('discarding a packet closes its evidence streams', async () => {
+  await getFileStore().put('evidence/case-packet/photo-3/original', Buffer.from('photo three'));
+  const packet = await buildCasePacket(storedCase([
+    { id: 'photo-3', filename: 'hall.jpg', category: 'move_out', uploadedAt: '2024-12-31T00:00:00.000Z' },
+  ]), revision);
+  const evidence = packet.files.find((file) => file.name === 'evidence/01-hall.jpg').content;
+
+  discardCasePacket(packet);
+  assert.equal(evidence.destroyed, true);
+});
@@ -0,0 +1,69 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {
+  diffIntake,
+  findRevision,
+  getCurrentRevision,
+  getRevisions,
+  mergeIntake,
+  summarizeRevisions,
+} = require('../src/lib/caseRevisions');
+
+test('mergeIntake merges sections field by field and replaces arrays', () => {
+  const current = {
+    tenant_information: { full_name: 'Jane Doe', email: 'jane@example.com' },
+    deductions: [{ label: 'Paint' }],
+  };
+  const merged = mergeIntake(current, {
+    tenant_information: { email: 'jane.doe@example.com' },
+    deductions: [],
+  });
+  assert.deepEqual(merged, {
+    tenant_information: { full_name: 'Jane Doe', email: 'jane.doe@example.com' },
+    deductions: [],
+  });
+  assert.equal(current.tenant_information.email, 'jane@example.com');
+});
+
+test('diffIntake lists the dotted paths that changed', () => {
+  const before = {
+    tenant_information: { full_name: 'Jane Doe', phone: '' },
+    deductions: [{ label: 'Paint' }],
+  };
+  const after = {
+    tenant_information: { full_name: 'Jane Doe', phone: '512-555-0100' },
+    deductions: [{ label: 'Carpet' }],
+    notes: 'New',
+  };
+  assert.deepEqual(diffIntake(before, after), ['tenant_information.phone', 'deductions', 'notes']);
+  assert.deepEqual(diffIntake(after, after), []);
+});
+
+test('cases saved before revisions existed read as revision 1', () => {
+  const legacy = { createdAt: '2024-01-01T00:00:00.000Z', intake: { jurisdiction: 'TX' } };
+  assert.deepEqual(getRevisions(legacy), [{
+    revision: 1,
+    createdAt: legacy.createdAt,
+    editedBy: 'tenant',
+    changedFields: [],
+    intake: legacy.intake,
+  }]);
+  assert.equal(getCurrentRevision(legacy), 1);
+  assert.deepEqual(findRevision(legacy, 1).intake, legacy.intake);
+});
+
+test('finds revisions by number and summarizes them without intakes', () => {
+  const caseRecord = {
+    revisions: [
+      { revision: 1, createdAt: 'a', editedBy: 'tenant', changedFields: [], intake: { v: 1 } },
+      { revision: 2, createdAt: 'b', editedBy: 'tenant', changedFields: ['v'], intake: { v: 2 } },
+    ],
+  };
+  assert.equal(getCurrentRevision(caseRecord), 2);
+  assert.deepEqual(findRevision(caseRecord, 2).intake, { v: 2 });
+  assert.equal(findRevision(caseRecord, 3), null);
+  assert.deepEqual(summarizeRevisions(caseRecord), [
+    { revision: 1, createdAt: 'a', editedBy: 'tenant', changedFields: [] },
+    { revision: 2, createdAt: 'b', editedBy: 'tenant', changedFields: ['v'] },
+  ]);
+});
@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-store-'));
+process.env.CASE_STORE = 'json';
+process.env.CASE_STORE_FILE = path.join(dataDir, 'cases.json');
+process.env.CASE_STORE_SNAPSHOTS = '0';
+
+const caseStore = require('../src/lib/caseStore');
+
+function intake(notes) {
+  return { tenant_information: { full_name: 'Jane Tenant' }, additional_notes: { tenant_notes: notes } };
+}
+
+test.before(() => caseStore.initCaseStore());
+test.after(async () => {
+  await caseStore.closeCaseStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('concurrent intake edits each become a revision', async () => {
+  await caseStore.saveCase('case-edits', intake('first'));
+  const [second, third] = await Promise.all([
+    caseStore.updateCaseIntake('case-edits', intake('second'), 'tenant'),
+    caseStore.updateCaseIntake('case-edits', intake('third'), 'tenant'),
+  ]);
+  assert.deepEqual(second.changedFields, ['additional_notes.tenant_notes']);
+  assert.deepEqual(third.changedFields, ['additional_notes.tenant_notes']);
+
+  const stored = await caseStore.getCase('case-edits');
+  assert.deepEqual(stored.revisions.map((revision) => revision.revision), [1, 2, 3]);
+  assert.deepEqual(stored.revisions.map((revision) => revision.intake.additional_notes.tenant_notes), ['first', 'second', 'third']);
+});
+
+test('an unchanged intake adds no revision', async () => {
+  await caseStore.saveCase('case-unchanged', intake('same'));
+  const result = await caseStore.updateCaseIntake('case-unchanged', intake('same'), 'tenant');
+  assert.deepEqual(result.changedFields, []);
+  assert.equal(result.case.revisions.length, 1);
+  assert.equal(await caseStore.updateCaseIntake('missing-case', intake('x'), 'tenant'), null);
+});
+
+test('concurrent evidence changes are all kept', async () => {
+  await caseStore.saveCase('case-evidence', intake('evidence'));
+  await Promise.all([
+    caseStore.addCaseEvidence('case-evidence', [{ id: 'a' }]),
+    caseStore.addCaseEvidence('case-evidence', [{ id: 'b' }]),
+    caseStore.addCaseEvidence('case-evidence', [{ id: 'c' }]),
+  ]);
+  await Promise.all([
+    caseStore.updateCaseEvidence('case-evidence', 'a', { caption: 'Kitchen' }),
+    caseStore.removeCaseEvidence('case-evidence', 'b'),
+  ]);
+
+  const stored = await caseStore.getCase('case-evidence');
+  assert.deepEqual(stored.evidence, [{ id: 'a', caption: 'Kitchen' }, { id: 'c' }]);
+  assert.equal(await caseStore.updateCaseEvidence('case-evidence', 'b', { caption: 'Gone' }), null);
+  assert.equal(await caseStore.removeCaseEvidence('case-evidence', 'b'), null);
+});
+
+test('documents served concurrently are all recorded', async () => {
+  await caseStore.saveCase('case-documents', intake('documents'));
+  await Promise.all(['letter', 'summary', 'letter'].map((cacheKey) => (
+    caseStore.recordGeneratedDocument('case-documents', { cacheKey, sha256: `${cacheKey}-hash`, docId: cacheKey })
+  )));
+
+  const stored = await caseStore.getCase('case-documents');
+  assert.deepEqual(
+    stored.generatedDocuments.map((entry) => [entry.cacheKey, entry.timesServed]),
+    [['letter', 2], ['summary', 1]]
+  );
+});
+
+test('a draft can be submitted once and not saved afterwards', async () => {
+  await caseStore.saveDraft('case-draft', intake('draft'), null);
+  const [submitted, resubmitted] = await Promise.all([
+    caseStore.promoteDraft('case-draft', intake('submitted')),
+    caseStore.promoteDraft('case-draft', intake('resubmitted')),
+  ]);
+  assert.equal(submitted.status, 'submitted');
+  assert.equal(resubmitted, null);
+  assert.equal(await caseStore.updateDraft('case-draft', intake('late autosave')), null);
+
+  const stored = await caseStore.getCase('case-draft');
+  assert.equal(stored.intake.additional_notes.tenant_notes, 'submitted');
+  assert.equal(stored.submittedAt, submitted.submittedAt);
+  assert.deepEqual(stored.revisions.map((revision) => revision.intake.additional_notes.tenant_notes), ['submitted']);
+  assert.equal(await caseStore.updateDraft('missing-case', intake('x')), null);
+});
@@ -0,0 +1,42 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const {
+  documentCacheKey,
+  readCachedDocument,
+  sha256,
+  writeCachedDocument,
+} = require('../src/lib/documentCache');
+
+test('stores documents under the hash of their bytes', async (t) => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'document-cache-'));
+  process.env.DOCUMENT_CACHE_DIR = cacheDir;
+  t.after(() => {
+    delete process.env.DOCUMENT_CACHE_DIR;
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  const pdf = Buffer.from('%PDF-1.4 cached');
+  const stored = await writeCachedDocument(pdf);
+  assert.deepEqual(stored, { sha256: sha256(pdf), size: pdf.length });
+  assert.deepEqual(await writeCachedDocument(pdf), stored);
+  assert.deepEqual(fs.readdirSync(cacheDir), [`${stored.sha256}.pdf`]);
+  assert.deepEqual(await readCachedDocument(stored.sha256), pdf);
+
+  // The cache may be emptied at any time.
+  fs.rmSync(path.join(cacheDir, `${stored.sha256}.pdf`));
+  assert.equal(await readCachedDocument(stored.sha256), null);
+  await assert.rejects(readCachedDocument('../cases'), /Invalid document hash/);
+});
+
+test('the cache key changes with anything that changes the rendered document', () => {
+  const base = { caseId: 'case-1', revision: 1, templateVersion: 'v1', docType: 'letter' };
+  const key = documentCacheKey(base);
+  assert.equal(documentCacheKey({ ...base }), key);
+  assert.equal(documentCacheKey({ ...base, evidence: [] }), key);
+  assert.notEqual(documentCacheKey({ ...base, revision: 2 }), key);
+  assert.notEqual(documentCacheKey({ ...base, templateVersion: 'v2' }), key);
+  assert.notEqual(documentCacheKey({ ...base, evidence: [['photo', 'hash']] }), key);
+});
@@ -0,0 +1,96 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'document-verification-'));
+process.env.CASE_STORE = 'json';
+process.env.CASE_STORE_FILE = path.join(dataDir, 'cases.json');
+process.env.CASE_STORE_SNAPSHOTS = '0';
+
+const express = require('express');
+const caseStore = require('../src/lib/caseStore');
+const { sha256 } = require('../src/lib/documentCache');
+const {
+  createDocumentId,
+  documentFingerprint,
+  normalizeDocumentId,
+} = require('../src/lib/documentVerification');
+const documentsRouter = require('../src/routes/documents');
+
+const issuedPdf = Buffer.from('%PDF-1.4 issued document bytes');
+const docId = createDocumentId();
+let baseUrl;
+let server;
+
+test.before(async () => {
+  await caseStore.initCaseStore();
+  await caseStore.saveCase('case-verify', { tenant_information: { full_name: 'Jane Tenant' } });
+  await caseStore.recordGeneratedDocument('case-verify', {
+    cacheKey: 'letter-key',
+    sha256: sha256(issuedPdf),
+    docId,
+    docType: 'letter',
+    revision: 1,
+    fingerprint: documentFingerprint(docId, 'letter text'),
+  });
+
+  const app = express();
+  app.use('/api/documents', documentsRouter);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/documents`;
+});
+
+test.after(async () => {
+  server.close();
+  await caseStore.closeCaseStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function uploadPdf(id, bytes) {
+  const body = new FormData();
+  body.append('document', new Blob([bytes], { type: 'application/pdf' }), 'document.pdf');
+  return fetch(`${baseUrl}/verify/${encodeURIComponent(id)}`, { method: 'POST', body });
+}
+
+test('document IDs avoid look-alike characters and are read back loosely', () => {
+  const id = createDocumentId();
+  assert.match(id, /^DD(-[2-9A-HJ-NP-Z]{4}){3}$/);
+  assert.equal(normalizeDocumentId(` ${id.toLowerCase()} `), id);
+  assert.equal(normalizeDocumentId('DD-ABCD-EFGH-IJK1'), null);
+  assert.equal(normalizeDocumentId(undefined), null);
+});
+
+test('looks up an issued document without revealing the case', async () => {
+  const response = await fetch(`${baseUrl}/verify/${docId.toLowerCase()}`);
+  const body = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(body.document.docId, docId);
+  assert.equal(body.document.version, 1);
+  assert.equal(body.document.fingerprint, documentFingerprint(docId, 'letter text'));
+  assert.ok(!JSON.stringify(body).includes('case-verify'));
+});
+
+test('an uploaded copy matches only if it is byte for byte the issued PDF', async () => {
+  const same = await uploadPdf(docId, issuedPdf);
+  assert.equal(same.status, 200);
+  assert.equal((await same.json()).matches, true);
+
+  const altered = await uploadPdf(docId, Buffer.from('%PDF-1.4 issued document bytez'));
+  assert.equal(altered.status, 200);
+  assert.equal((await altered.json()).matches, false);
+});
+
+test('unknown document IDs and missing uploads are rejected', async () => {
+  assert.equal((await uploadPdf(createDocumentId(), issuedPdf)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/verify/not-an-id`)).status, 404);
+  const empty = await fetch(`${baseUrl}/verify/${docId}`, { method: 'POST', body: new FormData() });
+  assert.equal(empty.status, 400);
+});
+
+test('uploads over the size limit are refused', async () => {
+  const response = await uploadPdf(docId, Buffer.alloc(10 * 1024 * 1024 + 1));
+  assert.equal(response.status, 413);
+  assert.equal((await response.json()).status, 'invalid');
+});
@@ -0,0 +1,52 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'draft-cleanup-'));
+process.env.CASE_STORE = 'json';
+process.env.CASE_STORE_FILE = path.join(dataDir, 'cases.json');
+process.env.CASE_STORE_SNAPSHOTS = '0';
+process.env.FILE_STORE = 'disk';
+process.env.FILE_STORE_DIR = path.join(dataDir, 'files');
+process.env.DRAFT_TTL_DAYS = '30';
+
+const caseStore = require('../src/lib/caseStore');
+const { getFileStore } = require('../src/lib/fileStore');
+const { sweepExpiredDrafts } = require('../src/lib/draftCleanup');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test.before(() => caseStore.initCaseStore());
+test.after(async () => {
+  await caseStore.closeCaseStore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('deletes drafts not saved within the TTL, with their files', async () => {
+  const now = Date.now();
+  await caseStore.saveDraft('stale-draft', {}, null);
+  await caseStore.updateCase('stale-draft', {
+    updatedAt: new Date(now - 31 * DAY_MS).toISOString(),
+    lease: { sha256: 'lease-hash' },
+    evidence: [{ id: 'photo-1' }],
+  });
+  await getFileStore().put('leases/stale-draft/lease-hash', Buffer.from('lease'), 'application/pdf');
+  await getFileStore().put('evidence/stale-draft/photo-1/original', Buffer.from('photo'), 'image/jpeg');
+
+  await caseStore.saveDraft('fresh-draft', {}, null);
+  await caseStore.saveCase('old-case', {});
+  await caseStore.updateCase('old-case', { createdAt: new Date(now - 90 * DAY_MS).toISOString() });
+
+  assert.equal(await sweepExpiredDrafts(now), 1);
+  assert.equal(await caseStore.getCase('stale-draft'), null);
+  assert.ok(await caseStore.getCase('fresh-draft'));
+  assert.ok(await caseStore.getCase('old-case'));
+  assert.equal(await getFileStore().get('leases/stale-draft/lease-hash'), null);
+  assert.equal(await getFileStore().get('evidence/stale-draft/photo-1/original'), null);
+
+  const onDisk = JSON.parse(fs.readFileSync(process.env.CASE_STORE_FILE, 'utf8'));
+  assert.deepEqual(Object.keys(onDisk).sort(), ['fresh-draft', 'old-case']);
+  assert.equal(await sweepExpiredDrafts(now), 0);
+});
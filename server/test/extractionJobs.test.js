@@ -0,0 +1,126 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {
+  ExtractionJobError,
+  ExtractionQueueFullError,
+  createExtractionQueue,
+} = require('../src/lib/extractionJobs');
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+test('runs jobs up to the concurrency limit and reports queue positions', async (t) => {
+  const queue = createExtractionQueue({ concurrency: 1 });
+  t.after(() => queue.close());
+  const first = deferred();
+  const second = deferred();
+
+  const firstJob = queue.enqueue(() => first.promise, { caseId: 'case-1' });
+  const secondJob = queue.enqueue(() => second.promise);
+  await settle();
+
+  assert.equal(queue.get(firstJob.id).caseId, 'case-1');
+  assert.equal(queue.get(firstJob.id).job.state, 'running');
+  assert.equal(queue.get(secondJob.id).job.state, 'queued');
+  assert.equal(queue.get(secondJob.id).job.position, 1);
+  assert.deepEqual(queue.getMetrics(), { concurrency: 1, running: 1, queued: 1, tracked: 2 });
+
+  first.resolve({ fields: 3 });
+  await settle();
+  assert.equal(queue.get(firstJob.id).job.state, 'completed');
+  assert.deepEqual(queue.get(firstJob.id).job.result, { fields: 3 });
+  assert.equal(queue.get(firstJob.id).job.percent, 100);
+  assert.equal(queue.get(secondJob.id).job.state, 'running');
+
+  second.resolve(null);
+  await settle();
+});
+
+test('tracks the stage and page a task reports', async (t) => {
+  const queue = createExtractionQueue();
+  t.after(() => queue.close());
+  const gate = deferred();
+  let report;
+  const { id } = queue.enqueue((reportProgress) => {
+    report = reportProgress;
+    return gate.promise;
+  });
+  await settle();
+
+  report({ stage: 'ocr', page: 3, pages: 4 });
+  const { job } = queue.get(id);
+  assert.equal(job.stage, 'ocr');
+  assert.equal(job.stageLabel, 'Scanning pages for text');
+  assert.equal(job.percent, 55);
+
+  report({ stage: 'not-a-stage' });
+  assert.equal(queue.get(id).job.stage, 'ocr');
+
+  gate.resolve(null);
+  await settle();
+});
+
+test('shows ExtractionJobError messages and hides other failures', async (t) => {
+  const queue = createExtractionQueue({ concurrency: 2 });
+  t.after(() => queue.close());
+  t.mock.method(console, 'error', () => {});
+
+  const known = queue.enqueue(async () => {
+    throw new ExtractionJobError('This file is not a PDF.');
+  });
+  const unknown = queue.enqueue(async () => {
+    throw new Error('disk on fire');
+  });
+  await settle();
+
+  assert.equal(queue.get(known.id).job.state, 'failed');
+  assert.equal(queue.get(known.id).job.error, 'This file is not a PDF.');
+  assert.equal(queue.get(unknown.id).job.error, 'Unable to process this file right now. Please try again.');
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('refuses new jobs once the queue is full', async (t) => {
+  const queue = createExtractionQueue({ concurrency: 1, maxQueued: 1 });
+  t.after(() => queue.close());
+  const gate = deferred();
+
+  queue.enqueue(() => gate.promise);
+  queue.enqueue(() => gate.promise);
+  assert.throws(() => queue.enqueue(() => gate.promise), ExtractionQueueFullError);
+
+  gate.resolve(null);
+  await settle();
+});
+
+test('close fails queued jobs and waits for running ones', async () => {
+  const queue = createExtractionQueue({ concurrency: 1 });
+  const gate = deferred();
+  const running = queue.enqueue(() => gate.promise);
+  const queued = queue.enqueue(() => gate.promise);
+  await settle();
+
+  let closed = false;
+  const closing = queue.close().then(() => {
+    closed = true;
+  });
+  await settle();
+  assert.equal(closed, false);
+  assert.equal(queue.get(queued.id).job.state, 'failed');
+  assert.match(queue.get(queued.id).job.error, /server restarted/);
+
+  gate.resolve('done');
+  await closing;
+  assert.equal(queue.get(running.id).job.state, 'completed');
+  assert.throws(() => queue.enqueue(() => null), ExtractionQueueFullError);
+});
@@ -0,0 +1,30 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const { text } = require('node:stream/consumers');
+const { createDiskFileStore } = require('../src/lib/fileStore');
+
+test('the disk store reads files back as buffers or streams', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const fileStore = createDiskFileStore({ dir });
+
+  await fileStore.put('evidence/case-1/photo-1/original', Buffer.from('photo bytes'));
+  assert.equal(String(await fileStore.get('evidence/case-1/photo-1/original')), 'photo bytes');
+  assert.equal(await text(await fileStore.stream('evidence/case-1/photo-1/original')), 'photo bytes');
+
+  await fileStore.delete('evidence/case-1/photo-1/original');
+  assert.equal(await fileStore.get('evidence/case-1/photo-1/original'), null);
+  assert.equal(await fileStore.stream('evidence/case-1/photo-1/original'), null);
+});
+
+test('rejects keys that could leave the store', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const fileStore = createDiskFileStore({ dir });
+
+  await assert.rejects(fileStore.stream('evidence/../../etc/passwd'), /Invalid file key/);
+  await assert.rejects(fileStore.get('/etc/passwd'), /Invalid file key/);
+});
@@ -0,0 +1,153 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { validateIntake } = require('../src/lib/intakeValidation');
+
+// A finished intake as the client form sends it: optional fields the tenant
+// skipped are empty strings, never missing.
+function completeIntake(overrides = {}) {
+  const intake = {
+    jurisdiction: 'TX',
+    tenant_information: { full_name: 'Jane Tenant', email: 'jane@example.com', phone: '' },
+    landlord_information: {
+      landlord_name: 'Acme Properties',
+      landlord_address: '100 Main St',
+      landlord_city: 'Austin',
+      landlord_state: 'TX',
+      landlord_zip: '78701',
+    },
+    property_information: {
+      property_address: '200 Oak Ave',
+      city: 'Austin',
+      zip_code: '78704',
+      county: 'Travis',
+    },
+    lease_information: {
+      lease_start_date: '2024-01-01',
+      lease_end_date: '2024-12-31',
+      lease_type: 'written',
+    },
+    move_out_information: {
+      move_out_date: '2024-12-31',
+      forwarding_address_provided: 'unknown',
+      forwarding_address_date: '',
+    },
+    security_deposit_information: {
+      deposit_amount: '1200',
+      deposit_paid_date: '',
+      deposit_returned: 'no',
+      amount_returned: '',
+    },
+    post_move_out_communications: {
+      itemized_deductions_received: 'unknown',
+      date_itemized_list_received: '',
+      communication_methods_used: [],
+    },
+    deductions: [],
+    additional_notes: { tenant_notes: '' },
+    acknowledgements: { texas_only_confirmation: true, non_legal_service_acknowledged: true },
+  };
+  Object.keys(overrides).forEach((section) => {
+    intake[section] = { ...intake[section], ...overrides[section] };
+  });
+  return intake;
+}
+
+function errorPaths(result) {
+  return result.errors.map((error) => error.path);
+}
+
+test('accepts a complete intake with the optional fields left blank', () => {
+  assert.deepEqual(validateIntake(completeIntake()), { valid: true, errors: [] });
+});
+
+test('still checks the format of optional fields that are filled in', () => {
+  const result = validateIntake(completeIntake({
+    tenant_information: { phone: '12345' },
+    security_deposit_information: { deposit_paid_date: '2024-02-30' },
+  }));
+  assert.deepEqual(result.errors, [
+    { path: 'tenant_information.phone', message: 'Expected a 10-digit US phone number' },
+    { path: 'security_deposit_information.deposit_paid_date', message: 'Expected a date in YYYY-MM-DD format' },
+  ]);
+});
+
+test('reports required fields left blank', () => {
+  const result = validateIntake(completeIntake({
+    tenant_information: { full_name: '  ' },
+    lease_information: { lease_start_date: '' },
+    acknowledgements: { texas_only_confirmation: false },
+  }));
+  assert.deepEqual(errorPaths(result), [
+    'tenant_information.full_name',
+    'lease_information.lease_start_date',
+    'acknowledgements.texas_only_confirmation',
+  ]);
+});
+
+test('reports missing sections', () => {
+  const intake = completeIntake();
+  delete intake.lease_information;
+  const result = validateIntake(intake);
+  assert.deepEqual(result.errors, [{ path: 'lease_information', message: 'Required' }]);
+});
+
+test('draft mode accepts an empty intake but not malformed values', () => {
+  assert.equal(validateIntake({}, { mode: 'draft' }).valid, true);
+  const result = validateIntake({ tenant_information: { email: 'not-an-email' } }, { mode: 'draft' });
+  assert.deepEqual(result.errors, [{ path: 'tenant_information.email', message: 'Expected an email address' }]);
+});
+
+test('only requires a Texas landlord ZIP when the landlord is in Texas', () => {
+  const outOfState = validateIntake(completeIntake({
+    landlord_information: { landlord_state: 'CA', landlord_zip: '90210' },
+  }));
+  assert.equal(outOfState.valid, true);
+
+  const inState = validateIntake(completeIntake({ landlord_information: { landlord_zip: '90210' } }));
+  assert.deepEqual(inState.errors, [{ path: 'landlord_information.landlord_zip', message: 'Expected a Texas ZIP code' }]);
+});
+
+test('checks date order across fields', () => {
+  const result = validateIntake(completeIntake({
+    lease_information: { lease_end_date: '2023-12-31' },
+    move_out_information: { forwarding_address_date: '2024-12-01' },
+  }));
+  assert.deepEqual(errorPaths(result), [
+    'lease_information.lease_end_date',
+    'move_out_information.forwarding_address_date',
+  ]);
+});
+
+test('deductions must add up to the amount kept', () => {
+  const deductions = [
+    { description: 'Carpet cleaning', category: 'cleaning', amount: '150.00' },
+    { description: 'Wall repair', category: 'damage', amount: '250' },
+  ];
+  const balanced = completeIntake({ security_deposit_information: { deposit_returned: 'partial', amount_returned: '800' } });
+  balanced.deductions = deductions;
+  assert.equal(validateIntake(balanced).valid, true);
+
+  const unbalanced = completeIntake();
+  unbalanced.deductions = deductions;
+  assert.deepEqual(errorPaths(validateIntake(unbalanced)), ['deductions']);
+  assert.equal(validateIntake(unbalanced, { mode: 'draft' }).valid, true);
+});
+
+test('the property county must match the property ZIP code', () => {
+  const mismatched = validateIntake(completeIntake({ property_information: { zip_code: '77002', county: 'Travis' } }));
+  assert.deepEqual(mismatched.errors, [
+    { path: 'property_information.county', message: 'ZIP code 77002 is not in Travis County' },
+  ]);
+
+  const matched = validateIntake(completeIntake({ property_information: { zip_code: '77002-1234', county: 'harris county' } }));
+  assert.equal(matched.valid, true);
+
+  const draft = validateIntake({ property_information: { zip_code: '79901', county: 'Bexar' } }, { mode: 'draft' });
+  assert.deepEqual(draft.errors.map((error) => error.path), ['property_information.county']);
+});
+
+test('counties that share a ZIP prefix are both accepted', () => {
+  ['Travis', 'Williamson', 'Hays'].forEach((county) => {
+    assert.equal(validateIntake(completeIntake({ property_information: { zip_code: '78701', county } })).valid, true);
+  });
+});
@@ -0,0 +1,76 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const { createJsonFileStore } = require('../src/lib/caseStores/jsonFileStore');
+
+async function openStore(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const dataFile = path.join(dataDir, 'cases.json');
+  const store = createJsonFileStore({ dataFile, coalesceMs: 0, snapshotCount: 0 });
+  await store.init();
+  // A directory where the temporary file goes makes the next write fail.
+  const blockWrites = () => fs.mkdirSync(`${dataFile}.${process.pid}.tmp`);
+  const unblockWrites = () => fs.rmdirSync(`${dataFile}.${process.pid}.tmp`);
+  const readFile = () => JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  return { store, dataFile, blockWrites, unblockWrites, readFile };
+}
+
+test('changes are visible only once they are on disk', async (t) => {
+  const { store, readFile } = await openStore(t);
+  const saving = store.save({ id: 'case-1', status: 'submitted' });
+  assert.equal(await store.get('case-1'), null);
+  await saving;
+  assert.deepEqual(await store.get('case-1'), { id: 'case-1', status: 'submitted' });
+  assert.deepEqual(readFile(), { 'case-1': { id: 'case-1', status: 'submitted' } });
+  await store.close();
+});
+
+test('a failed write leaves the stored case as it was', async (t) => {
+  const { store, blockWrites, unblockWrites, readFile } = await openStore(t);
+  await store.save({ id: 'case-1', status: 'draft' });
+
+  blockWrites();
+  await assert.rejects(store.update('case-1', { status: 'submitted' }));
+  await assert.rejects(store.save({ id: 'case-2', status: 'draft' }));
+  assert.equal((await store.get('case-1')).status, 'draft');
+  assert.equal(await store.get('case-2'), null);
+  assert.deepEqual(Object.keys(readFile()), ['case-1']);
+
+  unblockWrites();
+  const updated = await store.update('case-1', (existing) => ({ status: `${existing.status}-resumed` }));
+  assert.equal(updated.status, 'draft-resumed');
+  assert.equal(readFile()['case-1'].status, 'draft-resumed');
+  await store.close();
+});
+
+test('changes queued behind a failed write fail with it', async (t) => {
+  const { store, blockWrites, readFile } = await openStore(t);
+  await store.save({ id: 'case-1', count: 0 });
+
+  blockWrites();
+  const increment = () => store.update('case-1', (existing) => ({ count: existing.count + 1 }));
+  const first = increment();
+  // The second change is built on the first, so it must not be saved either.
+  await new Promise((resolve) => setImmediate(resolve));
+  const second = increment();
+  const results = await Promise.allSettled([first, second]);
+  assert.deepEqual(results.map((result) => result.status), ['rejected', 'rejected']);
+  assert.equal((await store.get('case-1')).count, 0);
+  assert.equal(readFile()['case-1'].count, 0);
+  await store.close();
+});
+
+test('concurrent updates are applied one after another', async (t) => {
+  const { store, readFile } = await openStore(t);
+  await store.save({ id: 'case-1', count: 0 });
+  await Promise.all(Array.from({ length: 5 }, () => (
+    store.update('case-1', (existing) => ({ count: existing.count + 1 }))
+  )));
+  assert.equal((await store.get('case-1')).count, 5);
+  assert.equal(readFile()['case-1'].count, 5);
+  assert.equal(await store.update('missing', { count: 1 }), null);
+  await store.close();
+});
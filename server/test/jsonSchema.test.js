@@ -0,0 +1,75 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { applySchemaDefaults, createSchemaValidator } = require('../src/lib/jsonSchema');
+
+const schema = {
+  type: 'object',
+  required: ['name', 'kind'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 2 },
+    kind: { oneOf: [{ const: 'house' }, { const: 'apartment' }] },
+    email: { type: 'string', format: 'email' },
+    deposit: { type: 'number', minimum: 0, errorMessage: { minimum: 'Deposit cannot be negative' } },
+    unit: { type: 'string' },
+    rooms: { type: 'array', items: { $ref: '#/$defs/room' } },
+  },
+  if: { properties: { kind: { const: 'apartment' } } },
+  then: { required: ['unit'] },
+  $defs: {
+    room: { type: 'object', required: ['label'], properties: { label: { type: 'string' } } },
+  },
+};
+
+const validate = createSchemaValidator(schema, {
+  formats: { email: (value) => value.includes('@') },
+});
+
+test('accepts a valid value', () => {
+  assert.deepEqual(validate({ name: 'Home', kind: 'house', email: 'a@b.c', deposit: 10, rooms: [{ label: 'Kitchen' }] }), []);
+});
+
+test('reports one error per path with custom messages', () => {
+  assert.deepEqual(validate({ name: 'H', kind: 'castle', deposit: -1, extra: true, rooms: [{}] }), [
+    { path: 'name', message: 'Must be at least 2 characters' },
+    { path: 'kind', message: 'Expected one of: house, apartment' },
+    { path: 'deposit', message: 'Deposit cannot be negative' },
+    { path: 'rooms.0.label', message: 'Required' },
+    { path: 'extra', message: 'Unexpected field' },
+  ]);
+});
+
+test('skips blank optional fields but still checks filled ones', () => {
+  assert.deepEqual(validate({ name: 'Home', kind: 'house', email: '' }), []);
+  assert.deepEqual(validate({ name: 'Home', kind: 'house', email: null }), []);
+  assert.deepEqual(validate({ name: 'Home', kind: 'house', email: 'nope' }), [
+    { path: 'email', message: 'Invalid format' },
+  ]);
+});
+
+test('blank required fields still fail', () => {
+  assert.deepEqual(validate({ name: '', kind: 'house' }), [
+    { path: 'name', message: 'Must be at least 2 characters' },
+  ]);
+  assert.deepEqual(validate({ kind: 'house' }), [{ path: 'name', message: 'Required' }]);
+});
+
+test('applies if/then using the strict condition', () => {
+  assert.deepEqual(validate({ name: 'Flat', kind: 'apartment' }), [{ path: 'unit', message: 'Required' }]);
+});
+
+test('partial mode ignores required fields and blanks', () => {
+  assert.deepEqual(validate({ name: '', email: '' }, { partial: true }), []);
+  assert.deepEqual(validate({ email: 'nope' }, { partial: true }), [{ path: 'email', message: 'Invalid format' }]);
+});
+
+test('applySchemaDefaults fills in every declared property', () => {
+  assert.deepEqual(applySchemaDefaults(schema, { name: 'Home', rooms: [{}] }), {
+    name: 'Home',
+    kind: null,
+    email: null,
+    deposit: null,
+    unit: null,
+    rooms: [{ label: null }],
+  });
+});
@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const {
+  LanguageViolationError,
+  lintHtml,
+  lintText,
+  loadProhibitedPhrases,
+} = require('../src/lib/languageLinter');
+
+test('reads the prohibited phrases and their categories from the constraints file', () => {
+  const rules = loadProhibitedPhrases();
+  const byPhrase = new Map(rules.map((rule) => [rule.phrase.toLowerCase(), rule.category]));
+  assert.equal(byPhrase.get('you are entitled to'), 'Implies legal advice or conclusions');
+  assert.equal(byPhrase.get('demand letter'), 'Implies legal strategy or pressure');
+  // "This is illegal / unlawful" becomes one rule per alternative.
+  assert.ok(byPhrase.has('this is illegal'));
+  assert.ok(byPhrase.has('this is unlawful'));
+});
+
+test('only the prohibited section of the file counts', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'language-linter-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'constraints.md');
+  fs.writeFileSync(file, [
+    '## 1. ABSOLUTELY PROHIBITED LANGUAGE',
+    '### Implies urgency',
+    '- "Act now"',
+    '- "Act now"',
+    '## 2. SAFE LANGUAGE',
+    '- "You may wish to"',
+  ].join('\n'));
+  assert.deepEqual(loadProhibitedPhrases(file), [{ phrase: 'Act now', category: 'Implies urgency' }]);
+});
+
+test('lintText reports each match with offsets, across line breaks and case', () => {
+  const text = 'Dear landlord,\nyou are\n  ENTITLED to nothing. This is unlawful.';
+  const violations = lintText(text);
+  assert.deepEqual(violations.map((violation) => violation.phrase), ['You are entitled to', 'This is unlawful']);
+  violations.forEach((violation) => {
+    assert.equal(text.slice(violation.start, violation.end), violation.text);
+  });
+});
+
+test('lintText matches whole words only', () => {
+  assert.deepEqual(lintText('This is illegally parked'), []);
+  assert.deepEqual(lintText(''), []);
+  assert.deepEqual(lintText(null), []);
+});
+
+test('lintHtml ignores markup but keeps offsets into the HTML', () => {
+  const html = '<p title="Demand letter">Please treat this as a <b>final notice</b>.</p>';
+  const violations = lintHtml(html);
+  assert.deepEqual(violations.map((violation) => violation.phrase), ['Final notice']);
+  assert.equal(html.slice(violations[0].start, violations[0].end), 'final notice');
+});
+
+test('LanguageViolationError lists each phrase once', () => {
+  const violations = lintText('Final notice. Final notice. Demand letter.');
+  const error = new LanguageViolationError('Template demand', violations);
+  assert.equal(error.name, 'LanguageViolationError');
+  assert.equal(error.message, 'Template demand uses prohibited language: "Final notice", "Demand letter".');
+  assert.equal(error.violations, violations);
+});
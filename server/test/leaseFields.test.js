@@ -0,0 +1,98 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { extractLeaseFields, fieldValues, normalizeDate } = require('../src/lib/leaseFields');
+
+const firstPage = 'RESIDENTIAL LEASE between Acme Homes LLC and Jane Doe (Tenant).\nPremises: 123 Main Street, Austin, TX 78701.';
+const secondPage = 'Security Deposit: $1,200.00 due at signing.\nThe lease term: from 01/01/2024 to 12/31/2024.';
+const leaseText = `${firstPage}\n${secondPage}`;
+const pages = [
+  { number: 1, text: firstPage, source: 'text' },
+  { number: 2, text: secondPage, source: 'ocr' },
+];
+
+test('finds each field with its pattern, offsets and page position', () => {
+  const fields = extractLeaseFields(leaseText, pages);
+  assert.deepEqual(fieldValues(fields), {
+    deposit_amount: '$1,200.00',
+    property_address: '123 Main Street',
+    city: 'Austin',
+    zip_code: '78701',
+    lease_start_date: '2024-01-01',
+    lease_end_date: '2024-12-31',
+    tenant_name: 'Jane Doe',
+  });
+
+  const address = fields.property_address;
+  assert.equal(address.pattern, 'premises_label');
+  assert.equal(leaseText.slice(address.start, address.end), '123 Main Street');
+  assert.equal(address.page, 1);
+  assert.equal(firstPage.slice(address.pageStart, address.pageEnd), '123 Main Street');
+
+  const deposit = fields.deposit_amount;
+  assert.equal(leaseText.slice(deposit.start, deposit.end), '$1,200.00');
+  assert.equal(deposit.page, 2);
+  assert.equal(secondPage.slice(deposit.pageStart, deposit.pageEnd), '$1,200.00');
+});
+
+test('snippets stay on the page they cite', () => {
+  const fields = extractLeaseFields(leaseText, pages);
+  // The deposit sits at the top of page 2, so nothing from page 1 leaks in.
+  assert.ok(fields.deposit_amount.snippet.startsWith('Security Deposit: $1,200.00'));
+  assert.ok(!fields.deposit_amount.snippet.includes('78701'));
+  // The ZIP code ends page 1, so its snippet stops there without an ellipsis.
+  assert.ok(fields.zip_code.snippet.endsWith('Austin, TX 78701.'));
+  assert.ok(fields.zip_code.snippet.startsWith('…'));
+});
+
+test('text read by OCR scores lower than the same match from a text layer', () => {
+  const fromOcr = extractLeaseFields(leaseText, pages).deposit_amount;
+  const fromText = extractLeaseFields(leaseText, pages.map((page) => ({ ...page, source: 'text' }))).deposit_amount;
+  assert.equal(fromText.confidence, 0.85);
+  assert.equal(fromOcr.confidence, 0.75);
+});
+
+test('a value found in several places gains confidence and keeps the others as candidates', () => {
+  const fields = extractLeaseFields('Security Deposit: $500.00. Security deposit: $500.00 again, deposit: $750.00 later');
+  const deposit = fields.deposit_amount;
+  assert.equal(deposit.value, '$500.00');
+  assert.equal(deposit.matches, 2);
+  assert.equal(deposit.confidence, 0.9);
+  assert.equal(deposit.page, null);
+  assert.deepEqual(
+    deposit.candidates.map((candidate) => [candidate.value, candidate.confidence, candidate.pattern]),
+    [['$750.00', 0.5, 'deposit_label']]
+  );
+});
+
+test('close competing values both lose confidence', () => {
+  const fields = extractLeaseFields('Security Deposit: $500.00 at signing. Security Deposit: $600.00 at renewal.');
+  const deposit = fields.deposit_amount;
+  assert.equal(deposit.value, '$500.00');
+  assert.equal(deposit.confidence, 0.7);
+  assert.deepEqual(deposit.candidates.map((candidate) => [candidate.value, candidate.confidence]), [['$600.00', 0.7]]);
+});
+
+test('ignores page ranges that do not rebuild the text', () => {
+  const fields = extractLeaseFields(leaseText, [{ number: 1, text: firstPage, source: 'ocr' }]);
+  assert.equal(fields.deposit_amount.page, null);
+  assert.equal(fields.deposit_amount.confidence, 0.85);
+});
+
+test('offsets point at the captured text even when it also appears earlier in the match', () => {
+  const text = 'This lease is made between Jane Doe Rentals LLC and Jane Doe (Tenant) for the home.';
+  const tenant = extractLeaseFields(text).tenant_name;
+  assert.equal(tenant.value, 'Jane Doe');
+  assert.equal(tenant.start, text.indexOf('Jane Doe (Tenant)'));
+  assert.equal(text.slice(tenant.start, tenant.end), 'Jane Doe');
+});
+
+test('returns nothing for text too short to be a lease', () => {
+  assert.deepEqual(extractLeaseFields('Deposit: $5'), {});
+  assert.deepEqual(extractLeaseFields(''), {});
+});
+
+test('normalizeDate turns US dates into ISO dates', () => {
+  assert.equal(normalizeDate('1/2/2024'), '2024-01-02');
+  assert.equal(normalizeDate('12-31-2024'), '2024-12-31');
+  assert.equal(normalizeDate('2024'), '2024');
+});
@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { LeaseIngestionError, getLeaseStageNames, ingestLease } = require('../src/lib/leaseIngestion');
+
+test('runs the default stages in order', () => {
+  assert.deepEqual(getLeaseStageNames(), ['sniff', 'textLayer', 'ocr', 'rawText', 'sections', 'fields']);
+});
+
+test('runs the given stages, skipping the ones whose `when` fails', async () => {
+  const progress = [];
+  const result = await ingestLease(Buffer.from('lease'), 'application/pdf', {
+    onProgress: (update) => progress.push(update.stage),
+    stages: [
+      { name: 'read', progress: 'reading', run: (context) => { context.text = 'Security deposit: $900'; } },
+      { name: 'never', when: () => false, run: () => { throw new Error('should not run'); } },
+      { name: 'note', run: (context) => { context.diagnostics.note = context.text.length; } },
+    ],
+  });
+
+  assert.equal(result.text, 'Security deposit: $900');
+  assert.equal(result.diagnostics.note, 22);
+  assert.deepEqual(result.diagnostics.stages.map((stage) => [stage.stage, Boolean(stage.skipped)]), [
+    ['read', false],
+    ['never', true],
+    ['note', false],
+  ]);
+  assert.deepEqual(progress, ['reading']);
+});
+
+test('names the failing stage and still destroys the open PDF', async () => {
+  let destroyed = 0;
+  const failure = ingestLease(Buffer.from('%PDF-'), 'application/pdf', {
+    stages: [
+      { name: 'open', run: (context) => { context.kind = 'pdf'; context.pdf = { destroy: async () => { destroyed += 1; } }; } },
+      { name: 'broken', run: () => { throw new Error('page 3 is unreadable'); } },
+    ],
+  });
+
+  await assert.rejects(failure, (error) => {
+    assert.ok(error instanceof LeaseIngestionError);
+    assert.equal(error.stage, 'broken');
+    assert.equal(error.kind, 'pdf');
+    assert.equal(error.message, 'page 3 is unreadable');
+    return true;
+  });
+  assert.equal(destroyed, 1);
+});
+
+test('destroys the open PDF after a successful run', async () => {
+  let destroyed = 0;
+  await ingestLease(Buffer.from('%PDF-'), 'application/pdf', {
+    stages: [{ name: 'open', run: (context) => { context.pdf = { destroy: async () => { destroyed += 1; } }; } }],
+  });
+  assert.equal(destroyed, 1);
+});
@@ -0,0 +1,25 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { formatCurrency, parseCurrency } = require('../src/lib/money');
+
+test('parseCurrency reads dollar amounts as whole cents', () => {
+  assert.equal(parseCurrency('1200'), 120000);
+  assert.equal(parseCurrency('1,200.00'), 120000);
+  assert.equal(parseCurrency(' $1,200 '), 120000);
+  assert.equal(parseCurrency('$ 45.5'), 4550);
+  assert.equal(parseCurrency('0.07'), 7);
+});
+
+test('parseCurrency rejects anything that is not a plain amount', () => {
+  ['', '12,00', '1.234', '-5', 'abc', '$'].forEach((value) => {
+    assert.equal(parseCurrency(value), null, value);
+  });
+  assert.equal(parseCurrency(1200), null);
+  assert.equal(parseCurrency(null), null);
+});
+
+test('formatCurrency writes cents as dollars', () => {
+  assert.equal(formatCurrency(120000), '$1,200.00');
+  assert.equal(formatCurrency(4550), '$45.50');
+  assert.equal(formatCurrency(0), '$0.00');
+});
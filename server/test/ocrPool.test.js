@@ -0,0 +1,128 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { OcrPoolBusyError, OcrTimeoutError, OcrUnavailableError, createOcrPool } = require('../src/lib/ocrPool');
+
+// Stands in for a Tesseract worker; `recognize` defers to the test.
+function fakeWorkers(recognize = (image) => Promise.resolve({ data: { text: `text of ${image}` } })) {
+  const started = [];
+  const startWorker = async () => {
+    const worker = {
+      id: started.length + 1,
+      terminated: false,
+      recognize: (image) => recognize(image, worker),
+      terminate: async () => {
+        worker.terminated = true;
+      },
+    };
+    started.push(worker);
+    return worker;
+  };
+  return { started, startWorker };
+}
+
+test('keeps workers loaded between jobs and replaces them after maxJobsPerWorker', async () => {
+  const { started, startWorker } = fakeWorkers();
+  const pool = createOcrPool({ startWorker, maxJobsPerWorker: 2 });
+
+  assert.equal(await pool.recognize('page-1'), 'text of page-1');
+  assert.equal(await pool.recognize('page-2'), 'text of page-2');
+  assert.equal(await pool.recognize('page-3'), 'text of page-3');
+  await pool.close();
+
+  assert.equal(started.length, 2);
+  assert.equal(started[0].terminated, true);
+  assert.equal(started[1].terminated, true);
+  const metrics = pool.getMetrics();
+  assert.equal(metrics.starts, 2);
+  assert.equal(metrics.jobs, 3);
+  assert.equal(metrics.recycled, 1);
+});
+
+test('runs at most `size` jobs at once and queues the rest in order', async () => {
+  const pending = [];
+  const { started, startWorker } = fakeWorkers((image) => new Promise((resolve) => {
+    pending.push(() => resolve({ data: { text: image } }));
+  }));
+  const pool = createOcrPool({ startWorker, size: 1 });
+
+  const results = [pool.recognize('a'), pool.recognize('b')];
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(pending.length, 1);
+  assert.equal(pool.getMetrics().queued, 1);
+
+  pending.shift()();
+  assert.equal(await results[0], 'a');
+  await new Promise((resolve) => setImmediate(resolve));
+  pending.shift()();
+  assert.equal(await results[1], 'b');
+  assert.equal(started.length, 1);
+  await pool.close();
+});
+
+test('a job that runs too long fails and its worker is replaced', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { started, startWorker } = fakeWorkers((image) => (image === 'slow'
+    ? new Promise(() => {})
+    : Promise.resolve({ data: { text: image } })));
+  const pool = createOcrPool({ startWorker, jobTimeoutMs: 20 });
+
+  await assert.rejects(pool.recognize('slow'), OcrTimeoutError);
+  assert.equal(started[0].terminated, true);
+  assert.equal(await pool.recognize('fast'), 'fast');
+  assert.equal(started.length, 2);
+  assert.equal(pool.getMetrics().timeouts, 1);
+  await pool.close();
+});
+
+test('a job left waiting longer than queueTimeoutMs fails', async () => {
+  let finish;
+  const { startWorker } = fakeWorkers(() => new Promise((resolve) => {
+    finish = () => resolve({ data: { text: 'stuck page' } });
+  }));
+  const pool = createOcrPool({ startWorker, size: 1, queueTimeoutMs: 20 });
+
+  const stuck = pool.recognize('stuck');
+  await assert.rejects(pool.recognize('waiting'), OcrPoolBusyError);
+  assert.equal(pool.getMetrics().queued, 0);
+  assert.equal(pool.getMetrics().queueTimeouts, 1);
+
+  finish();
+  assert.equal(await stuck, 'stuck page');
+  assert.equal(pool.getMetrics().activeJobs, 0);
+  await pool.close();
+});
+
+test('fails fast for a while after a worker cannot start', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  let attempts = 0;
+  const pool = createOcrPool({
+    startWorker: async () => {
+      attempts += 1;
+      throw new Error('language data unavailable');
+    },
+  });
+
+  await assert.rejects(pool.recognize('page'), OcrUnavailableError);
+  await assert.rejects(pool.recognize('page'), OcrUnavailableError);
+  assert.equal(attempts, 1);
+  assert.equal(pool.getMetrics().startFailures, 1);
+  await pool.close();
+});
+
+test('close rejects queued jobs', async () => {
+  let finish;
+  const { startWorker } = fakeWorkers(() => new Promise((resolve) => {
+    finish = () => resolve({ data: { text: 'done' } });
+  }));
+  const pool = createOcrPool({ startWorker, size: 1 });
+
+  const running = pool.recognize('a');
+  const queued = pool.recognize('b');
+  await new Promise((resolve) => setImmediate(resolve));
+  const closing = pool.close();
+  await assert.rejects(queued, /shutting down/);
+  finish();
+  assert.equal(await running, 'done');
+  await closing;
+  await assert.rejects(pool.recognize('c'), /shutting down/);
+});
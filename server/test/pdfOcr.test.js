@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { openPdf } = require('../src/lib/leaseExtraction');
+const { renderPdfPageToPng } = require('../src/lib/pdfOcr');
+
+// A one-page, 200x100pt PDF with a line of text, a filled black rectangle in
+// the top-left corner and a stroked diagonal line.
+function vectorPdf() {
+  const content = [
+    'BT /F1 12 Tf 110 80 Td (Lease) Tj ET',
+    '0 0 0 rg 10 60 30 30 re f',
+    '0 0 0 RG 2 w 10 10 m 190 40 l S',
+  ].join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 100] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+test('renders a page with vector paths to a PNG', async (t) => {
+  const pdf = await openPdf(vectorPdf());
+  t.after(() => pdf.destroy());
+
+  const page = await pdf.getPage(1);
+  const png = await renderPdfPageToPng(page, 1);
+  page.cleanup();
+
+  const image = await loadImage(png);
+  assert.equal(image.width, 200);
+  assert.equal(image.height, 100);
+
+  const canvas = createCanvas(image.width, image.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0);
+  const brightness = (x, y) => context.getImageData(x, y, 1, 1).data[0];
+  assert.ok(brightness(25, 25) < 64, 'the rectangle is filled');
+  assert.ok(brightness(100, 75) < 128, 'the line is stroked');
+  assert.ok(brightness(60, 20) > 192, 'the background stays white');
+});
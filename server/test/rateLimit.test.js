@@ -0,0 +1,35 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { createRateLimiter } = require('../src/lib/rateLimit');
+
+function call(limiter, ip) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  limiter({ ip }, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('allows max requests per key in each window', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const limiter = createRateLimiter({ windowMs: 1000, max: 2, message: 'Slow down.' });
+
+  assert.equal(call(limiter, '1.1.1.1').passed, true);
+  assert.equal(call(limiter, '1.1.1.1').passed, true);
+  const blocked = call(limiter, '1.1.1.1');
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.deepEqual(blocked.res.body, { status: 'rate_limited', message: 'Slow down.' });
+  assert.equal(blocked.res.headers['Retry-After'], '1');
+
+  assert.equal(call(limiter, '2.2.2.2').passed, true);
+
+  t.mock.timers.tick(1000);
+  assert.equal(call(limiter, '1.1.1.1').passed, true);
+});
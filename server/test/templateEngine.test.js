@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { TemplateError, TrustedHtml, renderTemplate } = require('../src/lib/templateEngine');
+
+const filters = {
+  upper: (value) => String(value).toUpperCase(),
+  default: (value, fallback) => (value === null || value === undefined || value === '' ? fallback : value),
+};
+
+test('renders values with HTML escaping and filters applied left to right', () => {
+  const context = { tenant: { name: '<Jane & "Co">', nickname: '' } };
+  assert.equal(
+    renderTemplate('Dear {{ tenant.name }}, aka {{ tenant.nickname | default: "n/a" | upper }}.', context, { filters }),
+    'Dear &lt;Jane &amp; &quot;Co&quot;&gt;, aka N/A.'
+  );
+});
+
+test('copies trusted HTML as is and renders null as nothing', () => {
+  assert.equal(renderTemplate('<main>{{ body }}</main>{{ missing }}', {
+    body: new TrustedHtml('<p>Hi</p>'),
+    missing: null,
+  }), '<main><p>Hi</p></main>');
+});
+
+test('conditionals support truthiness, comparisons, unless and else', () => {
+  const source = [
+    '{{#if returned == "partial"}}Partial{{else}}Other{{/if}}',
+    '{{#unless notes}}No notes{{/unless}}',
+    '{{#if items}}Has items{{else}}Empty{{/if}}',
+    '{{#if count != 0}}Some{{/if}}',
+  ].join('|');
+  assert.equal(renderTemplate(source, { returned: 'partial', notes: '', items: [], count: 2 }), 'Partial|No notes|Empty|Some');
+  assert.equal(renderTemplate(source, { returned: 'no', notes: 'x', items: [1], count: 0 }), 'Other||Has items|');
+});
+
+test('loops expose the item, @index and @number, and render else when empty', () => {
+  const source = '{{#each deductions as deduction}}{{ @number }}. {{ deduction.label }} ({{ @index }}) {{/each}}{{#each none as item}}x{{else}}none{{/each}}';
+  assert.equal(
+    renderTemplate(source, { deductions: [{ label: 'Paint' }, { label: 'Carpet' }], none: [] }),
+    '1. Paint (0) 2. Carpet (1) none'
+  );
+});
+
+test('block tags on their own line leave no blank line behind', () => {
+  const source = 'Start\n{{#if show}}\nShown\n{{/if}}\nEnd\n';
+  assert.equal(renderTemplate(source, { show: true }), 'Start\nShown\nEnd\n');
+  assert.equal(renderTemplate(source, { show: false }), 'Start\nEnd\n');
+});
+
+test('reports unknown fields, filters and malformed blocks', () => {
+  const cases = [
+    ['{{ tenant.nmae }}', { tenant: { name: 'Jane' } }, 'Template letter: unknown field "tenant.nmae"'],
+    ['{{ name | shout }}', { name: 'Jane' }, 'Template letter: unknown filter "shout"'],
+    ['{{#if name}}open', { name: 'Jane' }, 'Template letter: {{#if}} is never closed'],
+    ['{{#if name}}x{{/each}}', { name: 'Jane' }, 'Template letter: {{#if}} closed by {{/each}}'],
+    ['{{#each name}}x{{/each}}', { name: 'Jane' }, 'Template letter: expected "{{#each list as item}}" but found "{{#each name}}"'],
+    ['{{#each name as item}}x{{/each}}', { name: 'Jane' }, 'Template letter: "name" is not a list'],
+    ['{{ constructor }}', {}, 'Template letter: unknown field "constructor"'],
+  ];
+  cases.forEach(([source, context, message]) => {
+    assert.throws(
+      () => renderTemplate(source, context, { name: 'letter', filters }),
+      (error) => error instanceof TemplateError && error.message === message
+    );
+  });
+});